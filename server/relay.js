@@ -0,0 +1,184 @@
+/**
+ * Minimal WebSocket relay for multiplayer driving.
+ *
+ * Players join a room and every car state they send is passed on to the other
+ * players of that room. The server doesn't simulate anything - it only assigns
+ * ids, keeps the room lists, announces joins and leaves and answers clock pings
+ * so clients can put remote states on a shared timeline.
+ *
+ * Run with `npm run relay` (PORT defaults to 8080).
+ *
+ * Client messages: join {room, name, car, color}, state {t, p, q, s},
+ * profile {car, color}, ping {clientTime}
+ * Server messages: welcome {id, room, players}, join {player}, leave {id},
+ * state {id, t, p, q, s}, profile {id, car, color}, pong {clientTime, serverTime}, error {message}
+ */
+const { WebSocketServer } = require('ws');
+
+const PORT = Number(process.env.PORT) || 8080;
+const MAX_PLAYERS_PER_ROOM = 16;
+const HEARTBEAT_INTERVAL = 30000;
+// State budget of each client (token bucket): clients send 15 per second, so this
+// leaves room for states bunched up by network jitter while stopping a flood
+const STATE_RATE = 25;      // States per second added to the budget
+const STATE_BURST = 10;     // Most states that can be sent back to back
+
+// Room name -> Map of player id -> client
+const rooms = new Map();
+// Socket -> client, for every connection
+const clients = new Map();
+let nextId = 1;
+
+const text = (value, fallback, maxLength) =>
+    typeof value === 'string' && value.trim() ? value.trim().slice(0, maxLength) : fallback;
+
+const color = value => (typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? value : '#cc3333');
+
+const numbers = (value, length) =>
+    Array.isArray(value) && value.length === length && value.every(Number.isFinite) ? value : null;
+
+const publicInfo = client => ({ id: client.id, name: client.name, car: client.car, color: client.color });
+
+function send(socket, message) {
+    if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+}
+
+function broadcast(room, message, except = null) {
+    const data = JSON.stringify(message);
+    room.forEach((client) => {
+        if (client !== except && client.socket.readyState === client.socket.OPEN) {
+            client.socket.send(data);
+        }
+    });
+}
+
+function join(client, message) {
+    if (client.room) return;
+
+    const roomName = text(message.room, 'default', 32);
+    const room = rooms.get(roomName) || new Map();
+
+    if (room.size >= MAX_PLAYERS_PER_ROOM) {
+        send(client.socket, { type: 'error', message: 'Room is full' });
+        return;
+    }
+
+    client.id = String(nextId++);
+    client.room = roomName;
+    client.name = text(message.name, `Driver ${client.id}`, 20);
+    client.car = text(message.car, null, 32);
+    client.color = color(message.color);
+
+    send(client.socket, {
+        type: 'welcome',
+        id: client.id,
+        room: roomName,
+        players: Array.from(room.values()).map(publicInfo)
+    });
+
+    room.set(client.id, client);
+    rooms.set(roomName, room);
+    broadcast(room, { type: 'join', player: publicInfo(client) }, client);
+
+    console.log(`${client.name} (${client.id}) joined ${roomName} - ${room.size} player(s)`);
+}
+
+function leave(client) {
+    const room = rooms.get(client.room);
+    if (!room) return;
+
+    room.delete(client.id);
+    broadcast(room, { type: 'leave', id: client.id });
+
+    if (room.size === 0) {
+        rooms.delete(client.room);
+    }
+
+    console.log(`${client.name} (${client.id}) left ${client.room}`);
+    client.room = null;
+}
+
+function handleMessage(client, data) {
+    let message;
+    try {
+        message = JSON.parse(data);
+    } catch (error) {
+        return;
+    }
+    if (!message || typeof message.type !== 'string') return;
+
+    if (message.type === 'ping') {
+        send(client.socket, { type: 'pong', clientTime: message.clientTime, serverTime: Date.now() });
+        return;
+    }
+
+    if (message.type === 'join') {
+        join(client, message);
+        return;
+    }
+
+    const room = rooms.get(client.room);
+    if (!room) return;
+
+    if (message.type === 'state') {
+        const now = Date.now();
+        client.stateBudget = Math.min(client.stateBudget + (now - client.lastStateTime) / 1000 * STATE_RATE, STATE_BURST);
+        client.lastStateTime = now;
+        if (client.stateBudget < 1) return;
+        client.stateBudget -= 1;
+
+        const p = numbers(message.p, 3);
+        const q = numbers(message.q, 4);
+        if (!p || !q || !Number.isFinite(message.t)) return;
+
+        broadcast(room, {
+            type: 'state',
+            id: client.id,
+            t: message.t,
+            p,
+            q,
+            s: Number.isFinite(message.s) ? message.s : 0
+        }, client);
+    } else if (message.type === 'profile') {
+        client.car = text(message.car, client.car, 32);
+        client.color = color(message.color);
+        broadcast(room, { type: 'profile', id: client.id, car: client.car, color: client.color }, client);
+    }
+}
+
+const server = new WebSocketServer({ port: PORT, maxPayload: 4096 });
+
+server.on('connection', (socket) => {
+    const client = { socket, id: null, room: null, alive: true, stateBudget: STATE_BURST, lastStateTime: Date.now() };
+    clients.set(socket, client);
+
+    socket.on('pong', () => {
+        client.alive = true;
+    });
+    socket.on('message', data => handleMessage(client, data));
+    socket.on('close', () => {
+        clients.delete(socket);
+        leave(client);
+    });
+    socket.on('error', error => console.warn('Socket error:', error.message));
+});
+
+// Drop connections that stopped answering
+const heartbeat = setInterval(() => {
+    clients.forEach((client, socket) => {
+        if (!client.alive) {
+            socket.terminate();
+            return;
+        }
+        client.alive = false;
+        socket.ping();
+    });
+}, HEARTBEAT_INTERVAL);
+
+server.on('close', () => clearInterval(heartbeat));
+
+server.on('listening', () => {
+    console.log(`Relay listening on ws://localhost:${PORT}`);
+});
@@ -0,0 +1,281 @@
+import * as THREE from 'three';
+import EventEmitter from './utils/EventEmitter.js';
+
+const BUSES = ['music', 'sfx', 'ambience'];
+
+/**
+ * Sound of the experience.
+ *
+ * Every sound goes through one of three buses (music, sfx, ambience) into the
+ * AudioListener on the camera, whose gain is the master volume. Positional
+ * sounds attached to scene objects get louder as the camera gets closer, like
+ * the hum of each billboard. Volumes and mute are remembered in localStorage.
+ *
+ * The sounds are synthesized by Resources; browsers only let the audio start
+ * after a user gesture, so the context is resumed on the first key press,
+ * click or touch.
+ *
+ * Events: 'unlock', 'volumeChange'
+ */
+export default class AudioManager extends EventEmitter {
+    constructor(experience) {
+        super();
+
+        this.experience = experience;
+        this.resources = this.experience.resources;
+
+        this.settings = this.loadSettings();
+
+        // Ears of the scene ride with the main camera
+        this.listener = new THREE.AudioListener();
+        this.experience.camera.instance.add(this.listener);
+        this.context = this.listener.context;
+
+        this.buses = {};
+        BUSES.forEach((name) => {
+            this.buses[name] = this.context.createGain();
+            this.buses[name].connect(this.listener.getInput());
+        });
+        this.applyVolumes();
+
+        this.sounds = [];
+        this.setupUnlock();
+
+        // Keep quiet in a background tab
+        this.onVisibilityChange = () => {
+            if (!this.unlocked) return;
+            if (document.hidden) {
+                this.context.suspend();
+            } else {
+                this.context.resume();
+            }
+        };
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+
+        this.resources.on('ready', () => this.setupSounds());
+    }
+
+    loadSettings() {
+        const defaults = {
+            masterVolume: 0.8,
+            muted: false,
+            volumes: { music: 0.35, sfx: 0.8, ambience: 0.5 }
+        };
+
+        // A volume from storage, kept to 0-1 - anything else would throw in the gain nodes
+        const volume = (value, fallback) => (Number.isFinite(value) ? THREE.MathUtils.clamp(value, 0, 1) : fallback);
+
+        try {
+            const saved = JSON.parse(window.localStorage.getItem('rcCarAudio')) || {};
+            const savedVolumes = saved.volumes || {};
+
+            const volumes = {};
+            BUSES.forEach((bus) => {
+                volumes[bus] = volume(savedVolumes[bus], defaults.volumes[bus]);
+            });
+
+            return {
+                masterVolume: volume(saved.masterVolume, defaults.masterVolume),
+                muted: typeof saved.muted === 'boolean' ? saved.muted : defaults.muted,
+                volumes
+            };
+        } catch (error) {
+            console.warn("Could not load the sound settings:", error);
+            return defaults;
+        }
+    }
+
+    saveSettings() {
+        try {
+            window.localStorage.setItem('rcCarAudio', JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn("Could not save the sound settings:", error);
+        }
+    }
+
+    setupUnlock() {
+        this.unlocked = this.context.state === 'running';
+
+        this.onGesture = () => {
+            this.context.resume().then(() => {
+                if (this.unlocked) return;
+                this.unlocked = true;
+                this.trigger('unlock');
+            });
+            ['keydown', 'pointerdown', 'touchstart'].forEach((name) => {
+                window.removeEventListener(name, this.onGesture);
+            });
+        };
+
+        if (!this.unlocked) {
+            ['keydown', 'pointerdown', 'touchstart'].forEach((name) => {
+                window.addEventListener(name, this.onGesture);
+            });
+        }
+    }
+
+    /**
+     * Start the music, the ambience and the billboard hums once the assets are in
+     */
+    setupSounds() {
+        // Resources can announce 'ready' twice when its safety timeout fires first
+        if (this.soundsReady) return;
+        this.soundsReady = true;
+
+        this.music = this.createSound('musicSound', { bus: 'music' });
+        this.ambience = this.createSound('ambienceSound', { bus: 'ambience' });
+
+        const track = this.experience.track;
+        if (track && track.signs) {
+            track.signs.forEach((sign) => {
+                this.createPositionalSound(sign, 'billboardHumSound', {
+                    bus: 'ambience',
+                    volume: 0.6,
+                    refDistance: 3,
+                    maxDistance: 30,
+                    // Slightly different pitches so the hums don't phase
+                    playbackRate: 0.96 + Math.random() * 0.08,
+                    position: new THREE.Vector3(0, 2, 0)
+                });
+            });
+        }
+    }
+
+    /**
+     * Looping (by default) sound heard the same everywhere
+     * @param {string} name - Resources item with the AudioBuffer
+     * @param {Object} options - bus, volume, loop, autoplay
+     * @returns {THREE.Audio|null}
+     */
+    createSound(name, options = {}) {
+        const sound = new THREE.Audio(this.listener);
+        return this.setupSound(sound, name, options);
+    }
+
+    /**
+     * Sound coming from a scene object, louder as the camera gets closer
+     * Example: window.experience.audio.createPositionalSound(object, 'billboardHumSound', { refDistance: 5 })
+     * @param {THREE.Object3D} object - Object to attach the sound to
+     * @param {string} name - Resources item with the AudioBuffer
+     * @param {Object} options - bus, volume, loop, autoplay, refDistance, maxDistance, rolloffFactor, position
+     * @returns {THREE.PositionalAudio|null}
+     */
+    createPositionalSound(object, name, options = {}) {
+        const sound = new THREE.PositionalAudio(this.listener);
+        sound.setDistanceModel('linear');
+        sound.setRefDistance(options.refDistance || 2);
+        sound.setMaxDistance(options.maxDistance || 40);
+        sound.setRolloffFactor(options.rolloffFactor || 1);
+
+        if (options.position) {
+            sound.position.copy(options.position);
+        }
+        object.add(sound);
+
+        return this.setupSound(sound, name, Object.assign({ bus: 'sfx' }, options));
+    }
+
+    setupSound(sound, name, options) {
+        const buffer = this.resources.items[name];
+        if (!buffer) {
+            console.warn(`Sound ${name} is not loaded`);
+            if (sound.parent) {
+                sound.parent.remove(sound);
+            }
+            return null;
+        }
+
+        // Through the bus rather than straight into the listener
+        sound.gain.disconnect();
+        sound.gain.connect(this.getBus(options.bus || 'sfx'));
+
+        sound.setBuffer(buffer);
+        sound.setLoop(options.loop !== undefined ? options.loop : true);
+        sound.setVolume(options.volume !== undefined ? options.volume : 1);
+        if (options.playbackRate) {
+            sound.setPlaybackRate(options.playbackRate);
+        }
+
+        // Playing before the unlock is fine - the context starts it on resume
+        if (options.autoplay !== false) {
+            sound.play();
+        }
+
+        this.sounds.push(sound);
+        return sound;
+    }
+
+    /**
+     * @param {string} name - 'music', 'sfx' or 'ambience'
+     * @returns {GainNode}
+     */
+    getBus(name) {
+        return this.buses[name] || this.buses.sfx;
+    }
+
+    applyVolumes() {
+        const now = this.context.currentTime;
+
+        this.listener.gain.gain.setTargetAtTime(this.settings.muted ? 0 : this.settings.masterVolume, now, 0.05);
+        BUSES.forEach((name) => {
+            this.buses[name].gain.setTargetAtTime(this.settings.volumes[name], now, 0.05);
+        });
+    }
+
+    /**
+     * Example: window.experience.audio.setMasterVolume(0.5)
+     * @param {number} volume - 0-1
+     */
+    setMasterVolume(volume) {
+        this.settings.masterVolume = THREE.MathUtils.clamp(volume, 0, 1);
+        this.onVolumeChange();
+    }
+
+    /**
+     * Example: window.experience.audio.setVolume('music', 0)
+     * @param {string} bus - 'music', 'sfx' or 'ambience'
+     * @param {number} volume - 0-1
+     */
+    setVolume(bus, volume) {
+        if (!this.buses[bus]) return;
+
+        this.settings.volumes[bus] = THREE.MathUtils.clamp(volume, 0, 1);
+        this.onVolumeChange();
+    }
+
+    setMuted(muted) {
+        this.settings.muted = muted;
+        this.onVolumeChange();
+    }
+
+    toggleMute() {
+        this.setMuted(!this.settings.muted);
+    }
+
+    onVolumeChange() {
+        this.applyVolumes();
+        this.saveSettings();
+        this.trigger('volumeChange', [this.settings]);
+    }
+
+    destroy() {
+        ['keydown', 'pointerdown', 'touchstart'].forEach((name) => {
+            window.removeEventListener(name, this.onGesture);
+        });
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+
+        this.sounds.forEach((sound) => {
+            if (sound.isPlaying) {
+                sound.stop();
+            }
+            if (sound.parent) {
+                sound.parent.remove(sound);
+            }
+        });
+        this.sounds = [];
+
+        if (this.listener.parent) {
+            this.listener.parent.remove(this.listener);
+        }
+    }
+}
@@ -2,8 +2,17 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 
 export default class Camera {
-    constructor(experience) {
+    /**
+     * @param {Experience} experience
+     * @param {Object} options
+     * @param {RCCar} options.car - Car to follow, the experience's car by default
+     * @param {Object} options.viewport - Part of the canvas shown, as fractions from the bottom left
+     * @param {boolean} options.listenToInput - Cycle the modes with the camera action
+     */
+    constructor(experience, options = {}) {
         this.experience = experience;
+        this.target = options.car || null;
+        this.viewport = Object.assign({ x: 0, y: 0, width: 1, height: 1 }, options.viewport);
         this.sizes = this.experience.sizes;
         this.scene = this.experience.scene;
         this.canvas = this.experience.canvas;
@@ -18,6 +27,39 @@ export default class Camera {
         this.cameraTargetPosition = new THREE.Vector3();
         this.cameraTargetLookAt = new THREE.Vector3();
         this.lastCarDirection = new THREE.Vector3(0, 0, -1);
+        
+        // Camera shake (e.g. collisions)
+        this.shakeIntensity = 0;
+        this.shakeDecay = 3; // Intensity lost per second
+        this.shakeAmplitude = 0.6; // World units at full intensity
+        this.shakeOffset = new THREE.Vector3();
+        
+        // Boost effects: wider field of view, a light shake and speed lines
+        this.baseFov = 35;
+        this.boostFov = 12;         // Extra degrees at full boost
+        this.boostShake = 0.25;     // Shake intensity held at full boost
+        this.boostLerp = 4;         // How fast the effects follow the boost (per second)
+        this.boostEffect = 0;       // Smoothed 0-1
+        
+        // Follow modes cycled with the camera action
+        this.modes = ['side', 'chase', 'top', 'trackside'];
+        // Modes that can only be set directly - 'recorded' leaves the camera to a replay
+        this.extraModes = ['recorded'];
+        this.mode = 'side';
+        this.chaseDistance = 12;
+        this.chaseHeight = 4;
+        this.topHeight = 50;
+        
+        // Trackside cameras: fixed spots outside the track, the closest one films the car
+        this.tracksideCount = 8;
+        this.tracksideDistance = 6;  // Distance outside the track edge
+        this.tracksideHeight = 3;
+        this.tracksideSpots = null;  // Built once the track exists
+        this.tracksideSpot = null;
+        
+        if (this.experience.input && options.listenToInput !== false) {
+            this.experience.input.on('camera', () => this.nextMode());
+        }
 
         try {
             this.setInstance();
@@ -25,6 +67,7 @@ export default class Camera {
             if (this.experience.debug && this.experience.debug.active) {
                 this.setControls();
             }
+            this.createSpeedLines();
             console.log("Camera initialized successfully");
         } catch (error) {
             console.error("Error initializing camera:", error);
@@ -32,10 +75,18 @@ export default class Camera {
         }
     }
 
+    get car() {
+        return this.target || this.experience.rcCar;
+    }
+    
+    get aspect() {
+        return (this.sizes.width * this.viewport.width) / (this.sizes.height * this.viewport.height);
+    }
+    
     setInstance() {
         this.instance = new THREE.PerspectiveCamera(
-            35,
-            this.sizes.width / this.sizes.height,
+            this.baseFov,
+            this.aspect,
             0.1,
             10000 // Increased from 100 to 10000 to see the extended floor
         );
@@ -79,12 +130,183 @@ export default class Camera {
         }
     }
 
+    /**
+     * Switch to the next follow mode: side view, chase view behind the car, top-down,
+     * trackside cameras
+     */
+    nextMode() {
+        const index = this.modes.indexOf(this.mode);
+        this.setMode(this.modes[(index + 1) % this.modes.length]);
+    }
+    
+    /**
+     * @param {string} mode - 'side', 'chase', 'top', 'trackside' or 'recorded'
+     */
+    setMode(mode) {
+        if (!this.modes.includes(mode) && !this.extraModes.includes(mode)) {
+            console.warn(`Unknown camera mode: ${mode}`);
+            return;
+        }
+        
+        this.mode = mode;
+        console.log(`Camera mode set to: ${mode}`);
+    }
+    
+    /**
+     * Shake the camera - intensity stacks up to 1 and fades out over time
+     * @param {number} intensity - 0 to 1
+     */
+    shake(intensity) {
+        this.shakeIntensity = Math.min(this.shakeIntensity + intensity, 1);
+    }
+
+    updateShake() {
+        // Remove last frame's offset so it doesn't accumulate in the smoothed position
+        this.instance.position.sub(this.shakeOffset);
+        this.shakeOffset.set(0, 0, 0);
+        
+        if (this.shakeIntensity <= 0) return;
+        
+        const delta = this.experience.time ? this.experience.time.delta / 1000 : 0.016;
+        this.shakeIntensity = Math.max(this.shakeIntensity - this.shakeDecay * delta, 0);
+        
+        const amplitude = this.shakeAmplitude * this.shakeIntensity * this.shakeIntensity;
+        this.shakeOffset.set(
+            (Math.random() - 0.5) * 2 * amplitude,
+            (Math.random() - 0.5) * 2 * amplitude,
+            (Math.random() - 0.5) * 2 * amplitude
+        );
+    }
+
+    /**
+     * Streaks over the view while boosting, in a DOM layer over the camera's part of the canvas
+     */
+    createSpeedLines() {
+        this.speedLines = document.createElement('div');
+        this.speedLines.className = 'speed-lines';
+        document.body.appendChild(this.speedLines);
+        this.positionSpeedLines();
+    }
+    
+    positionSpeedLines() {
+        if (!this.speedLines) return;
+        
+        // The viewport counts from the bottom left like WebGL
+        const style = this.speedLines.style;
+        style.left = `${this.viewport.x * 100}%`;
+        style.bottom = `${this.viewport.y * 100}%`;
+        style.width = `${this.viewport.width * 100}%`;
+        style.height = `${this.viewport.height * 100}%`;
+    }
+    
+    /**
+     * How much boost the followed car is using - nothing while the world is paused or replaying
+     * @returns {number} 0 to 1
+     */
+    getBoostTarget() {
+        const car = this.car;
+        if (!car || !car.boost || !car.boost.active || !car.physics) return 0;
+        
+        const replay = this.experience.replay;
+        if (this.experience.paused || (replay && replay.active)) return 0;
+        
+        // Grows with the speed so a boost from standstill builds up
+        return Math.min(Math.abs(car.currentSpeed) / car.physics.settings.maxSpeed, 1);
+    }
+    
+    updateBoost() {
+        const delta = this.experience.time ? Math.min(this.experience.time.delta / 1000, 0.1) : 0.016;
+        const target = this.getBoostTarget();
+        this.boostEffect += (target - this.boostEffect) * Math.min(this.boostLerp * delta, 1);
+        if (this.boostEffect < 0.001) {
+            this.boostEffect = 0;
+        }
+        
+        const fov = this.baseFov + this.boostFov * this.boostEffect;
+        if (Math.abs(this.instance.fov - fov) > 0.01) {
+            this.instance.fov = fov;
+            this.instance.updateProjectionMatrix();
+        }
+        
+        if (this.boostEffect > 0) {
+            this.shakeIntensity = Math.max(this.shakeIntensity, this.boostShake * this.boostEffect);
+        }
+        
+        if (this.speedLines) {
+            const opacity = this.boostEffect > 0.05 ? this.boostEffect : 0;
+            this.speedLines.style.opacity = opacity.toFixed(2);
+            
+            // Turn the streaks a little every frame so they flicker past
+            if (opacity > 0) {
+                this.speedLines.style.setProperty('--speed-lines-angle', `${(Math.random() * 6).toFixed(1)}deg`);
+            }
+        }
+    }
+    
+    /**
+     * Camera spots around the outside of the track, looking in at it
+     * @returns {THREE.Vector3[]}
+     */
+    getTracksideSpots() {
+        const track = this.experience.track;
+        if (this.tracksideSpots || !track || !track.trackCurve) return this.tracksideSpots || [];
+        
+        const points = [];
+        const centre = new THREE.Vector3();
+        // Half way between the billboards, which stand at every eighth of the lap
+        const progressAt = i => (i + 0.5) / this.tracksideCount;
+        for (let i = 0; i < this.tracksideCount; i++) {
+            points.push(track.getPointAt(progressAt(i)));
+            centre.add(points[i]);
+        }
+        centre.divideScalar(points.length);
+        
+        const offset = (track.getTrackWidth ? track.getTrackWidth() / 2 : 0) + this.tracksideDistance;
+        
+        this.tracksideSpots = points.map((point, i) => {
+            const tangent = track.getTangentAt(progressAt(i));
+            const normal = new THREE.Vector3(tangent.z, 0, -tangent.x).normalize();
+            
+            // Use the side of the track facing away from the middle of the loop
+            const outward = point.clone().sub(centre);
+            if (outward.dot(normal) < 0) {
+                normal.negate();
+            }
+            
+            return point.clone().addScaledVector(normal, offset).setY(this.tracksideHeight);
+        });
+        
+        return this.tracksideSpots;
+    }
+    
     resize() {
         if (this.instance) {
-            this.instance.aspect = this.sizes.width / this.sizes.height;
+            this.instance.aspect = this.aspect;
             this.instance.updateProjectionMatrix();
         }
     }
+    
+    /**
+     * Show the camera in part of the canvas, e.g. half of it in split-screen mode
+     * @param {{x: number, y: number, width: number, height: number}} viewport - Fractions of the canvas from the bottom left
+     */
+    setViewport(viewport) {
+        Object.assign(this.viewport, viewport);
+        this.resize();
+        this.positionSpeedLines();
+    }
+    
+    dispose() {
+        if (this.speedLines && this.speedLines.parentNode) {
+            this.speedLines.parentNode.removeChild(this.speedLines);
+        }
+        if (this.controls) {
+            this.controls.dispose();
+        }
+        if (this.instance && this.instance.parent) {
+            this.instance.parent.remove(this.instance);
+        }
+    }
 
     update() {
         // Update controls if they exist
@@ -92,13 +314,23 @@ export default class Camera {
             this.controls.update();
         } 
         // Otherwise follow the car if it exists
-        else if (this.experience.rcCar && this.experience.rcCar.carGroup) {
+        else if (this.car && this.car.carGroup) {
             try {
-                const carPosition = this.experience.rcCar.carGroup.position.clone();
+                this.updateBoost();
+                
+                // A replay positions the camera itself, recorded shake included
+                if (this.mode === 'recorded') {
+                    this.shakeOffset.set(0, 0, 0);
+                    return;
+                }
+                
+                this.updateShake();
+                
+                const carPosition = this.car.carGroup.position.clone();
                 
                 // Always use the car's facing direction regardless of movement mode
                 let carDirection = new THREE.Vector3(0, 0, -1);
-                carDirection.applyQuaternion(this.experience.rcCar.carGroup.quaternion);
+                carDirection.applyQuaternion(this.car.carGroup.quaternion);
                 
                 // If the car has stopped, use the last known good direction
                 // This prevents the camera from jumping when the car stops
@@ -111,21 +343,43 @@ export default class Camera {
                 // Get the right vector (perpendicular to the car's direction)
                 // This will be used to position the camera to the side of the car
                 const rightVector = new THREE.Vector3(1, 0, 0);
-                rightVector.applyQuaternion(this.experience.rcCar.carGroup.quaternion);
+                rightVector.applyQuaternion(this.car.carGroup.quaternion);
                 
-                // Calculate camera position to the side of the car
-                this.cameraTargetPosition.copy(carPosition)
-                    .add(rightVector.clone().multiplyScalar(-this.followDistance)) // Use the class property
-                    .add(new THREE.Vector3(0, this.followHeight * 0.7, 0)); // Lower height for side view
+                if (this.mode === 'chase') {
+                    // Behind the car (carDirection points backwards)
+                    this.cameraTargetPosition.copy(carPosition)
+                        .add(carDirection.clone().multiplyScalar(this.chaseDistance))
+                        .add(new THREE.Vector3(0, this.chaseHeight, 0));
+                } else if (this.mode === 'top') {
+                    // High above, nudged back so lookAt keeps the car's forward pointing up the screen
+                    this.cameraTargetPosition.copy(carPosition)
+                        .add(carDirection.clone().multiplyScalar(1))
+                        .add(new THREE.Vector3(0, this.topHeight, 0));
+                } else if (this.mode === 'trackside' && this.getTracksideSpots().length > 0) {
+                    const spots = this.getTracksideSpots();
+                    const closest = spots.reduce((best, spot) =>
+                        spot.distanceToSquared(carPosition) < best.distanceToSquared(carPosition) ? spot : best
+                    );
+                    
+                    // Cut straight to the next camera, like a TV broadcast
+                    if (closest !== this.tracksideSpot) {
+                        this.tracksideSpot = closest;
+                        this.instance.position.copy(closest);
+                    }
+                    this.cameraTargetPosition.copy(closest);
+                } else {
+                    // Calculate camera position to the side of the car
+                    this.cameraTargetPosition.copy(carPosition)
+                        .add(rightVector.clone().multiplyScalar(-this.followDistance)) // Use the class property
+                        .add(new THREE.Vector3(0, this.followHeight * 0.7, 0)); // Lower height for side view
+                }
                 
                 // Get the look target with a slight offset for better view
                 this.cameraTargetLookAt.copy(carPosition).add(this.lookOffset);
                 
                 // Use smoother interpolation for camera movements
                 // Lower lerpFactor when car is not moving for more stability
-                const isMoving = this.experience.rcCar.controlMode === 'auto' || 
-                                (this.experience.rcCar.keys.forward || 
-                                 this.experience.rcCar.keys.backward);
+                const isMoving = Math.abs(this.car.currentSpeed) > 0.1;
                 
                 const lerpSpeed = isMoving ? this.lerpFactor : this.lerpFactor * 0.5;
                 
@@ -134,6 +388,9 @@ export default class Camera {
                 
                 // Make the camera look at the car
                 this.instance.lookAt(this.cameraTargetLookAt);
+                
+                // Shake on top of the smoothed position
+                this.instance.position.add(this.shakeOffset);
             } catch (error) {
                 console.error("Error updating camera position:", error);
             }
@@ -9,7 +9,32 @@ import Sizes from './utils/Sizes.js';
 import RCCar from './world/RCCar.js';
 import Track from './world/Track.js';
 import Environment from './world/Environment.js';
+import Collisions from './world/Collisions.js';
+import RaceManager from './world/RaceManager.js';
+import LapTimer from './world/LapTimer.js';
+import GhostCar from './world/GhostCar.js';
+import Replay from './world/Replay.js';
+import Particles from './world/Particles.js';
+import CarParticles from './world/CarParticles.js';
+import SkidMarks from './world/SkidMarks.js';
+import CarLights from './world/CarLights.js';
+import BoostPickups from './world/BoostPickups.js';
+import Telemetry from './world/Telemetry.js';
+import SplitScreen from './world/SplitScreen.js';
+import Multiplayer from './world/Multiplayer.js';
+import AudioManager from './AudioManager.js';
+import EngineSound from './world/EngineSound.js';
 import DebugLineRemover from './utils/DebugLineRemover.js';
+import InputManager from './utils/InputManager.js';
+import Hud from './ui/Hud.js';
+import ControlsInfo from './ui/ControlsInfo.js';
+import Garage from './ui/Garage.js';
+import RacePanel from './ui/RacePanel.js';
+import ReplayPanel from './ui/ReplayPanel.js';
+import SplitScreenPanel from './ui/SplitScreenPanel.js';
+import MultiplayerPanel from './ui/MultiplayerPanel.js';
+import AudioPanel from './ui/AudioPanel.js';
+import TelemetryPanel from './ui/TelemetryPanel.js';
 
 export default class Experience {
     constructor(canvas) {
@@ -23,6 +48,7 @@ export default class Experience {
         this.sizes = new Sizes();
         this.time = new Time();
         this.scene = new THREE.Scene();
+        this.paused = false;
 
         try {
             // Setup components in the correct order
@@ -40,6 +66,10 @@ export default class Experience {
         // Resources must be set up before world components
         this.resources = new Resources();
         
+        // Keyboard, gamepad and touch input mapped to named actions
+        this.input = new InputManager();
+        this.input.on('pause', () => this.togglePause());
+        
         // Set up camera and renderer
         this.setCamera();
         this.renderer = new Renderer(this);
@@ -47,7 +77,83 @@ export default class Experience {
         // World components - track must be initialized first
         this.track = new Track(this);
         this.environment = new Environment(this);
+        this.collisions = new Collisions(this);
         this.rcCar = new RCCar(this);
+        
+        // Shake the camera when the car hits something
+        this.rcCar.on('collision', (contact) => {
+            if (this.camera && typeof this.camera.shake === 'function') {
+                this.camera.shake(Math.min(contact.impactSpeed / 10, 1));
+            }
+        });
+        
+        // Keep the touch toggle button in sync with the car
+        this.rcCar.on('modeChange', (mode) => {
+            this.input.touch.setMode(mode);
+        });
+        
+        // Pooled particles: dust and exhaust behind the car, confetti and the like
+        this.particles = new Particles(this);
+        this.carParticles = new CarParticles(this, { car: this.rcCar });
+        
+        // Rubber left on the ground when the tyres slide
+        this.skidMarks = new SkidMarks(this, { car: this.rcCar });
+        
+        // Headlights, brake lights and indicators
+        this.carLights = new CarLights(this, { car: this.rcCar });
+        this.input.on('lights', () => this.carLights.toggleHeadlights());
+        
+        // Races against AI opponents
+        this.race = new RaceManager(this);
+        
+        // Lap and sector times of the player's car
+        this.lapTimer = new LapTimer(this, { car: this.rcCar });
+        
+        // Confetti over the car for every lap, more for a best lap
+        this.lapTimer.on('lapCompleted', (lap) => {
+            this.particles.emit('confetti', {
+                position: this.rcCar.carGroup.position.clone().setY(this.rcCar.carGroup.position.y + 1.5),
+                velocity: new THREE.Vector3(0, 4, 0),
+                count: lap.isBest ? 200 : 80
+            });
+        });
+        
+        // Translucent replay of the best lap
+        this.ghost = new GhostCar(this, { car: this.rcCar, lapTimer: this.lapTimer });
+        
+        // Recording of the whole session, played back in replay mode
+        this.replay = new Replay(this);
+        this.input.on('replay', () => this.toggleReplay());
+        
+        // Local two-player races on a split screen
+        this.splitScreen = new SplitScreen(this);
+        
+        // Boost refills lying around the track
+        this.boostPickups = new BoostPickups(this);
+        
+        // Speed, accelerations, input and slip of the player's car for tuning
+        this.telemetry = new Telemetry(this, { car: this.rcCar });
+        
+        // Other visitors' cars through the relay server
+        this.multiplayer = new Multiplayer(this);
+        
+        // Music, ambience and positional sounds, after the track so the billboards can hum
+        this.audio = new AudioManager(this);
+        this.input.on('mute', () => this.audio.toggleMute());
+        
+        // Engine and tyre sounds of the player's car
+        this.engineSound = new EngineSound(this, { car: this.rcCar });
+        
+        // UI overlays
+        this.hud = new Hud(this);
+        this.controlsInfo = new ControlsInfo(this);
+        this.garage = new Garage(this);
+        this.racePanel = new RacePanel(this);
+        this.replayPanel = new ReplayPanel(this);
+        this.splitScreenPanel = new SplitScreenPanel(this);
+        this.multiplayerPanel = new MultiplayerPanel(this);
+        this.audioPanel = new AudioPanel(this);
+        this.telemetryPanel = new TelemetryPanel(this);
 
         // Initialize debug line remover
         this.debugLineRemover = new DebugLineRemover(this.scene);
@@ -150,25 +256,149 @@ export default class Experience {
             this.camera.resize();
         }
         
+        if (this.splitScreen && this.splitScreen.camera) {
+            this.splitScreen.camera.resize();
+        }
+        
+        if (this.particles) {
+            this.particles.resize();
+        }
+        
         if (this.renderer && typeof this.renderer.resize === 'function') {
             this.renderer.resize();
         }
     }
 
+    /**
+     * Freeze the world while the camera and renderer keep running
+     */
+    togglePause() {
+        // In replay mode the pause action pauses the playback instead
+        if (this.replay && this.replay.active) {
+            this.replay.togglePlay();
+            return;
+        }
+        
+        this.paused = !this.paused;
+        
+        if (this.hud) {
+            this.hud.setPaused(this.paused);
+        }
+        
+        console.log(this.paused ? "Experience paused" : "Experience resumed");
+    }
+
+    /**
+     * Enter or leave replay mode - the live world stays frozen while a replay plays
+     */
+    toggleReplay() {
+        // Only player 1 is recorded
+        if (!this.replay || (this.splitScreen && this.splitScreen.active)) return;
+        
+        if (this.replay.active) {
+            this.replay.exit();
+        } else {
+            this.replay.enter();
+        }
+    }
+
     update() {
         try {
+            // Read all input devices once per frame
+            if (this.input) {
+                this.input.update();
+            }
+            
             // Update camera
             if (this.camera && typeof this.camera.update === 'function') {
                 this.camera.update();
             }
             
+            // Player 2's view in split-screen mode
+            if (this.splitScreen && this.splitScreen.camera) {
+                this.splitScreen.camera.update();
+            }
+            
             // Update world components
-            if (this.rcCar && typeof this.rcCar.update === 'function') {
-                this.rcCar.update();
+            if (this.replay && this.replay.active) {
+                this.replay.update();
+                
+                if (this.hud) {
+                    this.hud.update();
+                }
+            } else if (!this.paused) {
+                if (this.rcCar && typeof this.rcCar.update === 'function') {
+                    this.rcCar.update();
+                }
+                
+                if (this.carParticles) {
+                    this.carParticles.update();
+                }
+                
+                if (this.skidMarks) {
+                    this.skidMarks.update();
+                }
+                
+                if (this.carLights) {
+                    this.carLights.update();
+                }
+                
+                if (this.race) {
+                    this.race.update();
+                }
+                
+                if (this.splitScreen) {
+                    this.splitScreen.update();
+                }
+                
+                if (this.boostPickups) {
+                    this.boostPickups.update();
+                }
+                
+                if (this.telemetry) {
+                    this.telemetry.update();
+                }
+                
+                if (this.lapTimer) {
+                    this.lapTimer.update();
+                }
+                
+                if (this.ghost) {
+                    this.ghost.update();
+                }
+                
+                if (this.particles) {
+                    this.particles.update();
+                }
+                
+                if (this.replay) {
+                    this.replay.update();
+                }
+                
+                if (this.track && typeof this.track.update === 'function') {
+                    this.track.update();
+                }
+                
+                if (this.hud) {
+                    this.hud.update();
+                }
+                
+                if (this.splitScreenPanel) {
+                    this.splitScreenPanel.update();
+                }
+                
+                if (this.telemetryPanel) {
+                    this.telemetryPanel.update();
+                }
+            }
+            
+            // The other players don't pause or replay with us
+            if (this.multiplayer) {
+                this.multiplayer.update();
             }
             
-            if (this.track && typeof this.track.update === 'function') {
-                this.track.update();
+            if (this.engineSound) {
+                this.engineSound.update();
             }
             
             // Update renderer
@@ -184,6 +414,90 @@ export default class Experience {
         this.sizes.off('resize');
         this.time.off('tick');
 
+        if (this.input) {
+            this.input.destroy();
+        }
+
+        if (this.hud) {
+            this.hud.destroy();
+        }
+
+        if (this.controlsInfo) {
+            this.controlsInfo.destroy();
+        }
+
+        if (this.garage) {
+            this.garage.destroy();
+        }
+
+        if (this.race) {
+            this.race.destroy();
+        }
+
+        if (this.ghost) {
+            this.ghost.destroy();
+        }
+
+        if (this.racePanel) {
+            this.racePanel.destroy();
+        }
+
+        if (this.replay) {
+            this.replay.destroy();
+        }
+
+        if (this.replayPanel) {
+            this.replayPanel.destroy();
+        }
+
+        if (this.splitScreen) {
+            this.splitScreen.destroy();
+        }
+
+        if (this.splitScreenPanel) {
+            this.splitScreenPanel.destroy();
+        }
+
+        if (this.multiplayer) {
+            this.multiplayer.destroy();
+        }
+
+        if (this.multiplayerPanel) {
+            this.multiplayerPanel.destroy();
+        }
+
+        if (this.engineSound) {
+            this.engineSound.destroy();
+        }
+
+        if (this.audio) {
+            this.audio.destroy();
+        }
+
+        if (this.audioPanel) {
+            this.audioPanel.destroy();
+        }
+
+        if (this.telemetryPanel) {
+            this.telemetryPanel.destroy();
+        }
+
+        if (this.particles) {
+            this.particles.destroy();
+        }
+
+        if (this.skidMarks) {
+            this.skidMarks.destroy();
+        }
+
+        if (this.carLights) {
+            this.carLights.destroy();
+        }
+
+        if (this.boostPickups) {
+            this.boostPickups.destroy();
+        }
+
         // Stop the debug line remover
         if (this.debugLineRemover) {
             this.debugLineRemover.stopPeriodicRemoval();
@@ -219,6 +533,29 @@ export default class Experience {
         }
     }
     
+    /**
+     * Free the geometry and materials of an object tree and take it out of the scene
+     * @param {THREE.Object3D} object
+     */
+    disposeObject(object) {
+        if (!object) return;
+        
+        object.traverse((child) => {
+            if (child instanceof THREE.Mesh) {
+                if (child.geometry) {
+                    child.geometry.dispose();
+                }
+                
+                const materials = Array.isArray(child.material) ? child.material : [child.material];
+                materials.forEach(material => this.disposeMaterial(material));
+            }
+        });
+        
+        if (object.parent) {
+            object.parent.remove(object);
+        }
+    }
+    
     disposeMaterial(material) {
         if (!material) return;
         
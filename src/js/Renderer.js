@@ -7,6 +7,7 @@ export default class Renderer {
         this.sizes = this.experience.sizes;
         this.scene = this.experience.scene;
         this.camera = this.experience.camera;
+        this.views = null; // Cameras drawn side by side instead of the main one, e.g. in split-screen mode
 
         this.setInstance();
     }
@@ -74,8 +75,37 @@ export default class Renderer {
         }
     }
 
+    /**
+     * Draw several cameras, each in its own viewport
+     * @param {Camera[]|null} cameras - null goes back to the main camera on the whole canvas
+     */
+    setViews(cameras) {
+        this.views = cameras;
+    }
+
     update() {
-        if (this.instance && this.scene && this.camera && this.camera.instance) {
+        if (!this.instance || !this.scene) return;
+
+        if (this.views) {
+            const { width, height } = this.sizes;
+
+            this.views.forEach((camera) => {
+                const viewport = camera.viewport;
+                const x = Math.round(viewport.x * width);
+                const y = Math.round(viewport.y * height);
+                const viewWidth = Math.round(viewport.width * width);
+                const viewHeight = Math.round(viewport.height * height);
+
+                this.instance.setViewport(x, y, viewWidth, viewHeight);
+                this.instance.setScissor(x, y, viewWidth, viewHeight);
+                this.instance.setScissorTest(true);
+                this.instance.render(this.scene, camera.instance);
+            });
+
+            // Back to the whole canvas for anything drawn outside the views
+            this.instance.setScissorTest(false);
+            this.instance.setViewport(0, 0, width, height);
+        } else if (this.camera && this.camera.instance) {
             this.instance.render(this.scene, this.camera.instance);
         }
     }
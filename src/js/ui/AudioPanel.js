@@ -0,0 +1,100 @@
+const VOLUME_LABELS = {
+    master: 'Master',
+    music: 'Music',
+    sfx: 'Effects',
+    ambience: 'Ambience'
+};
+
+/**
+ * Sound button and the volume panel: mute and the master, music, effects and
+ * ambience volumes
+ */
+export default class AudioPanel {
+    constructor(experience) {
+        this.experience = experience;
+        this.audio = this.experience.audio;
+
+        this.isOpen = false;
+
+        this.createElements();
+        this.showSettings(this.audio.settings);
+
+        this.audio.on('volumeChange', (settings) => this.showSettings(settings));
+    }
+
+    createElements() {
+        this.button = document.createElement('button');
+        this.button.type = 'button';
+        this.button.className = 'audio-button';
+        this.button.addEventListener('click', () => {
+            // Keep Space from clicking the button again
+            this.button.blur();
+            this.setOpen(!this.isOpen);
+        });
+        document.body.appendChild(this.button);
+
+        const sliders = Object.keys(VOLUME_LABELS)
+            .map(name => `
+                <label class="race-row">
+                    <span>${VOLUME_LABELS[name]}</span>
+                    <input class="audio-volume" data-bus="${name}" type="range" min="0" max="1" step="0.05">
+                </label>
+            `)
+            .join('');
+
+        this.element = document.createElement('div');
+        this.element.className = 'audio-panel';
+        this.element.innerHTML = `
+            <h3>Sound</h3>
+            ${sliders}
+            <button class="audio-mute" type="button"></button>
+        `;
+        document.body.appendChild(this.element);
+
+        this.sliders = Array.from(this.element.querySelectorAll('.audio-volume'));
+        this.sliders.forEach((slider) => {
+            slider.addEventListener('input', () => {
+                const volume = Number(slider.value);
+
+                if (slider.dataset.bus === 'master') {
+                    this.audio.setMasterVolume(volume);
+                } else {
+                    this.audio.setVolume(slider.dataset.bus, volume);
+                }
+            });
+        });
+
+        this.muteButton = this.element.querySelector('.audio-mute');
+        this.muteButton.addEventListener('click', () => {
+            this.muteButton.blur();
+            this.audio.toggleMute();
+        });
+    }
+
+    setOpen(open) {
+        this.isOpen = open;
+        this.element.classList.toggle('open', open);
+        this.button.classList.toggle('open', open);
+    }
+
+    showSettings(settings) {
+        this.button.textContent = settings.muted ? 'Sound off' : 'Sound';
+        this.muteButton.textContent = settings.muted ? 'Unmute (M)' : 'Mute (M)';
+
+        this.sliders.forEach((slider) => {
+            // Dragging the slider already moved it
+            if (document.activeElement === slider) return;
+
+            const bus = slider.dataset.bus;
+            slider.value = String(bus === 'master' ? settings.masterVolume : settings.volumes[bus]);
+        });
+    }
+
+    destroy() {
+        [this.button, this.element].forEach((element) => {
+            if (element && element.parentNode) {
+                element.parentNode.removeChild(element);
+            }
+        });
+    }
+}
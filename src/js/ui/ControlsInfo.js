@@ -0,0 +1,131 @@
+// Rows of the key list, in display order
+const ACTION_LABELS = {
+    throttle: 'Drive',
+    brake: 'Brake / Reverse',
+    steerLeft: 'Steer Left',
+    steerRight: 'Steer Right',
+    handbrake: 'Handbrake / Drift',
+    boost: 'Boost',
+    toggleMode: 'Auto / Manual',
+    camera: 'Camera',
+    pause: 'Pause',
+    garage: 'Garage',
+    replay: 'Replay',
+    mute: 'Mute sound',
+    lights: 'Headlights',
+    telemetry: 'Telemetry'
+};
+
+/**
+ * Controls panel in the bottom-left corner: the current key bindings
+ * (click one to rebind it), gamepad hints and the car's control mode
+ */
+export default class ControlsInfo {
+    constructor(experience) {
+        this.experience = experience;
+        this.input = this.experience.input;
+        this.rcCar = this.experience.rcCar;
+
+        this.rebind = null;             // Row waiting for a key
+
+        this.createElements();
+        this.renderBindings();
+
+        this.input.on('bindingsChange', () => this.renderBindings());
+        this.input.on('gamepadConnected', () => this.gamepadElement.classList.add('visible'));
+        this.input.on('gamepadDisconnected', () => this.gamepadElement.classList.remove('visible'));
+
+        if (this.rcCar) {
+            this.rcCar.on('modeChange', (mode) => this.setMode(mode));
+        }
+    }
+
+    createElements() {
+        this.element = document.createElement('div');
+        this.element.className = 'controls-info';
+        this.element.classList.toggle('touch', this.input.touch.enabled);
+        this.element.innerHTML = `
+            <h3>Controls</h3>
+            <div class="controls-info-keys"></div>
+            <div class="controls-info-gamepad">Gamepad: RT/LT Drive, Stick Steer, B Handbrake, X Boost, A Toggle, Y Camera</div>
+            <div class="controls-info-mode">Mode: Automatic</div>
+        `;
+        document.body.appendChild(this.element);
+
+        this.keysElement = this.element.querySelector('.controls-info-keys');
+        this.gamepadElement = this.element.querySelector('.controls-info-gamepad');
+        this.modeElement = this.element.querySelector('.controls-info-mode');
+    }
+
+    renderBindings() {
+        // There are no keys to press on a phone
+        if (this.input.touch.enabled) {
+            this.keysElement.innerHTML = `
+                <div>Joystick: Steer</div>
+                <div>&#9650; / &#9660;: Drive / Brake</div>
+                <div>DRIFT: Handbrake</div>
+                <div>BOOST: Boost</div>
+            `;
+            return;
+        }
+
+        this.keysElement.innerHTML = '';
+
+        Object.keys(ACTION_LABELS).forEach((action) => {
+            const row = document.createElement('button');
+            row.type = 'button';
+            row.className = 'controls-info-row';
+            row.title = 'Click to change the key';
+            row.innerHTML = `<span>${ACTION_LABELS[action]}</span><span class="controls-info-key">${this.input.getBindingLabel(action)}</span>`;
+            row.addEventListener('click', () => this.startRebind(action, row));
+            this.keysElement.appendChild(row);
+        });
+
+        const reset = document.createElement('button');
+        reset.type = 'button';
+        reset.className = 'controls-info-reset';
+        reset.textContent = 'Reset keys';
+        reset.addEventListener('click', () => this.input.resetBindings());
+        this.keysElement.appendChild(reset);
+    }
+
+    startRebind(action, row) {
+        // Clicking another row cancels the capture in progress: put its key back
+        if (this.rebind && this.rebind.row !== row) {
+            this.rebind.row.classList.remove('waiting');
+            this.rebind.row.querySelector('.controls-info-key').textContent = this.input.getBindingLabel(this.rebind.action);
+        }
+        const rebind = { action, row };
+        this.rebind = rebind;
+
+        row.classList.add('waiting');
+        row.querySelector('.controls-info-key').textContent = 'Press a key (Esc cancels)';
+
+        // Don't let Space or Enter click the button again
+        row.blur();
+
+        this.input.captureBinding(action).then((code) => {
+            // Stale: a newer capture took over
+            if (this.rebind !== rebind) return;
+            this.rebind = null;
+
+            // A new binding re-renders the list through 'bindingsChange'
+            if (code === null) {
+                this.renderBindings();
+            }
+        });
+    }
+
+    /**
+     * @param {string} mode - 'auto' or 'manual'
+     */
+    setMode(mode) {
+        this.modeElement.textContent = `Mode: ${mode === 'auto' ? 'Automatic' : 'Manual'}`;
+    }
+
+    destroy() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}
@@ -0,0 +1,104 @@
+import PaintShop from './PaintShop.js';
+
+/**
+ * Garage panel for picking the car from the catalog at runtime and painting it
+ */
+export default class Garage {
+    constructor(experience) {
+        this.experience = experience;
+        this.rcCar = this.experience.rcCar;
+        this.input = this.experience.input;
+
+        this.isOpen = false;
+
+        this.createElements();
+
+        this.rcCar.on('carLoading', (entry) => this.setStatus(entry.id, 'loading'));
+        this.rcCar.on('carChange', (entry) => this.setStatus(entry.id, 'active'));
+
+        if (this.input) {
+            this.input.on('garage', () => this.toggle());
+        }
+    }
+
+    createElements() {
+        this.button = document.createElement('button');
+        this.button.type = 'button';
+        this.button.className = 'garage-button';
+        this.button.textContent = 'Garage';
+        this.button.addEventListener('click', () => this.toggle());
+        document.body.appendChild(this.button);
+
+        this.element = document.createElement('div');
+        this.element.className = 'garage';
+        this.element.innerHTML = `
+            <h3>Garage</h3>
+            <div class="garage-cars"></div>
+        `;
+        document.body.appendChild(this.element);
+
+        const list = this.element.querySelector('.garage-cars');
+        this.cards = {};
+
+        this.rcCar.catalog.list().forEach((car) => {
+            const card = document.createElement('button');
+            card.type = 'button';
+            card.className = 'garage-car';
+            card.innerHTML = `
+                <div class="garage-car-name">${car.name}</div>
+                <div class="garage-car-description">${car.description}</div>
+                <div class="garage-car-stats">${this.getStatsText(car)}</div>
+            `;
+            card.addEventListener('click', () => this.rcCar.setCar(car.id));
+            list.appendChild(card);
+
+            this.cards[car.id] = card;
+        });
+
+        this.paintShop = new PaintShop(this.experience, this.element);
+    }
+
+    getStatsText(car) {
+        const handling = Object.assign({}, this.rcCar.defaultHandling, car.handling);
+        const topSpeed = Math.round(handling.maxSpeed * this.rcCar.metersPerUnit * 3.6);
+        const grip = Math.round((handling.frontGrip + handling.rearGrip) / 2);
+
+        return `Top speed ${topSpeed} km/h &middot; Grip ${grip}`;
+    }
+
+    /**
+     * @param {string} id - Car id
+     * @param {string} status - 'loading' or 'active'
+     */
+    setStatus(id, status) {
+        Object.keys(this.cards).forEach((carId) => {
+            const card = this.cards[carId];
+            card.classList.remove('loading');
+
+            if (status === 'active') {
+                card.classList.toggle('active', carId === id);
+            }
+        });
+
+        if (status === 'loading' && this.cards[id]) {
+            this.cards[id].classList.add('loading');
+        }
+    }
+
+    toggle() {
+        this.isOpen = !this.isOpen;
+        this.element.classList.toggle('open', this.isOpen);
+        this.button.classList.toggle('open', this.isOpen);
+
+        // Keep Space from clicking the button again
+        this.button.blur();
+    }
+
+    destroy() {
+        [this.button, this.element].forEach((element) => {
+            if (element && element.parentNode) {
+                element.parentNode.removeChild(element);
+            }
+        });
+    }
+}
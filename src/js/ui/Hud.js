@@ -0,0 +1,233 @@
+import LapTimer from '../world/LapTimer.js';
+
+/**
+ * Heads-up display overlaid on the canvas
+ */
+export default class Hud {
+    /**
+     * @param {Experience} experience
+     * @param {Object} options - A second HUD, e.g. for player 2, gets its own car, lap timer and class
+     */
+    constructor(experience, options = {}) {
+        this.experience = experience;
+        this.rcCar = options.car || this.experience.rcCar;
+        this.lapTimer = options.lapTimer || this.experience.lapTimer;
+        this.className = options.className || '';
+
+        this.driftTotal = 0;
+
+        this.createElements();
+
+        if (this.rcCar) {
+            this.listenToCar();
+        }
+
+        if (this.lapTimer) {
+            this.listenToLapTimer();
+        }
+    }
+
+    createElements() {
+        this.element = document.createElement('div');
+        this.element.className = `hud ${this.className}`.trim();
+        this.element.innerHTML = `
+            <div class="hud-speed">
+                <span class="hud-speed-value">0</span>
+                <span class="hud-speed-unit">km/h</span>
+            </div>
+            <div class="hud-boost">
+                <span>BOOST</span>
+                <div class="hud-boost-bar"><div class="hud-boost-fill"></div></div>
+            </div>
+            <div class="hud-drift">
+                <div class="hud-drift-combo"></div>
+                <div class="hud-drift-score"></div>
+            </div>
+            <div class="hud-drift-total">Drift: 0</div>
+            <div class="hud-paused">PAUSED</div>
+            <div class="hud-lap">
+                <div class="hud-lap-time">-:--.-</div>
+                <div class="hud-lap-times">
+                    <span class="hud-lap-last">Last -</span>
+                    <span class="hud-lap-best">Best -</span>
+                </div>
+                <div class="hud-lap-split"></div>
+            </div>
+        `;
+        document.body.appendChild(this.element);
+
+        this.speedElement = this.element.querySelector('.hud-speed-value');
+        this.boostElement = this.element.querySelector('.hud-boost');
+        this.boostFillElement = this.element.querySelector('.hud-boost-fill');
+        this.driftElement = this.element.querySelector('.hud-drift');
+        this.driftComboElement = this.element.querySelector('.hud-drift-combo');
+        this.driftScoreElement = this.element.querySelector('.hud-drift-score');
+        this.driftTotalElement = this.element.querySelector('.hud-drift-total');
+        this.pausedElement = this.element.querySelector('.hud-paused');
+        this.lapTimeElement = this.element.querySelector('.hud-lap-time');
+        this.lastLapElement = this.element.querySelector('.hud-lap-last');
+        this.bestLapElement = this.element.querySelector('.hud-lap-best');
+        this.splitElement = this.element.querySelector('.hud-lap-split');
+    }
+
+    listenToCar() {
+        this.rcCar.on('driftStart', ({ combo }) => {
+            this.driftElement.classList.add('active');
+            this.driftElement.classList.remove('banked', 'cancelled');
+            this.driftComboElement.textContent = combo > 1 ? `DRIFT x${combo}` : 'DRIFT';
+        });
+
+        this.rcCar.on('drift', ({ comboScore }) => {
+            this.driftScoreElement.textContent = comboScore;
+        });
+
+        this.rcCar.on('driftComboEnd', ({ total, combo }) => {
+            this.driftTotal += total;
+            this.driftTotalElement.textContent = `Drift: ${this.driftTotal}`;
+
+            this.driftComboElement.textContent = combo > 1 ? `x${combo} COMBO` : 'NICE';
+            this.driftScoreElement.textContent = `+${total}`;
+            this.driftElement.classList.add('banked');
+            this.hideDriftLater();
+        });
+
+        this.rcCar.on('driftCancel', () => {
+            this.driftComboElement.textContent = 'COMBO LOST';
+            this.driftElement.classList.add('cancelled');
+            this.hideDriftLater();
+        });
+    }
+
+    listenToLapTimer() {
+        this.showLapTimes();
+
+        this.lapTimer.on('sectorCompleted', ({ index, time, delta }) => {
+            // The last sector is shown with the lap
+            if (index === this.lapTimer.settings.sectors.length) return;
+
+            this.showSplit(`S${index + 1} ${LapTimer.formatTime(time)}`, delta);
+        });
+
+        this.lapTimer.on('lapCompleted', (lap) => {
+            let text = `Lap ${LapTimer.formatTime(lap.time)}`;
+            if (lap.isBest) {
+                text = `Best lap! ${LapTimer.formatTime(lap.time)}`;
+            } else if (lap.assisted) {
+                text += ' (autopilot)';
+            }
+
+            this.showSplit(text, lap.assisted ? null : lap.delta);
+            this.showLapTimes();
+        });
+
+        this.lapTimer.on('lapCancelled', (reason) => {
+            if (reason === 'reverse') {
+                this.showSplit('Wrong way - lap cancelled', null, 'cancelled');
+            }
+        });
+
+        // Best times are per car
+        if (this.rcCar) {
+            this.rcCar.on('carChange', () => this.showLapTimes());
+        }
+    }
+
+    showLapTimes() {
+        const last = this.lapTimer.lastLap;
+        const best = this.lapTimer.bestLap;
+
+        this.lastLapElement.textContent = `Last ${last ? LapTimer.formatTime(last.time) : '-'}`;
+        this.bestLapElement.textContent = `Best ${best ? LapTimer.formatTime(best.time) : '-'}`;
+    }
+
+    /**
+     * Flash a split time, coloured by the difference to the best lap
+     * @param {string} text
+     * @param {number|null} delta - Seconds slower (positive) or faster (negative) than the best
+     * @param {string} state - Extra class, e.g. 'cancelled'
+     */
+    showSplit(text, delta = null, state = '') {
+        let deltaText = '';
+        if (delta !== null && delta !== undefined) {
+            deltaText = ` ${delta < 0 ? '-' : '+'}${Math.abs(delta).toFixed(3)}`;
+        }
+
+        this.splitElement.textContent = text + deltaText;
+        this.splitElement.className = 'hud-lap-split active';
+        if (delta !== null && delta !== undefined) {
+            this.splitElement.classList.add(delta < 0 ? 'faster' : 'slower');
+        }
+        if (state) {
+            this.splitElement.classList.add(state);
+        }
+
+        clearTimeout(this.splitHideTimeout);
+        this.splitHideTimeout = setTimeout(() => {
+            this.splitElement.classList.remove('active');
+        }, 2500);
+    }
+
+    update() {
+        if (this.rcCar) {
+            const speed = String(Math.round(this.rcCar.speedKmh));
+
+            // Only touch the DOM when the number changes
+            if (speed !== this.speedText) {
+                this.speedText = speed;
+                this.speedElement.textContent = speed;
+            }
+            
+            this.updateBoost();
+        }
+
+        if (this.lapTimer) {
+            const lapTime = this.lapTimer.currentTime;
+            const lapText = lapTime === null ? '-:--.-' : LapTimer.formatTime(lapTime, 1);
+
+            if (lapText !== this.lapText) {
+                this.lapText = lapText;
+                this.lapTimeElement.textContent = lapText;
+            }
+        }
+    }
+
+    /**
+     * Fill the boost gauge with what is left in the car's tank
+     */
+    updateBoost() {
+        const boost = this.rcCar.boost;
+        if (!boost) return;
+
+        // Whole percents are plenty for a 120px bar
+        const amount = Math.round(boost.amount * 100);
+        if (amount !== this.boostAmount) {
+            this.boostAmount = amount;
+            this.boostFillElement.style.transform = `scaleX(${amount / 100})`;
+            this.boostElement.classList.toggle('low', amount < boost.settings.minStart * 100);
+        }
+
+        if (boost.active !== this.boostActive) {
+            this.boostActive = boost.active;
+            this.boostElement.classList.toggle('active', boost.active);
+        }
+    }
+
+    setPaused(paused) {
+        this.pausedElement.classList.toggle('active', paused);
+    }
+
+    hideDriftLater() {
+        clearTimeout(this.driftHideTimeout);
+        this.driftHideTimeout = setTimeout(() => {
+            this.driftElement.classList.remove('active', 'banked', 'cancelled');
+        }, 1500);
+    }
+
+    destroy() {
+        clearTimeout(this.driftHideTimeout);
+        clearTimeout(this.splitHideTimeout);
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}
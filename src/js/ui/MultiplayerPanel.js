@@ -0,0 +1,147 @@
+const STATE_LABELS = {
+    disconnected: 'Offline',
+    connecting: 'Connecting…',
+    connected: 'Online'
+};
+
+/**
+ * Online button and the panel to join a room: name, room and server address,
+ * connection status, ping and the players in the room
+ */
+export default class MultiplayerPanel {
+    constructor(experience) {
+        this.experience = experience;
+        this.multiplayer = this.experience.multiplayer;
+
+        this.isOpen = false;
+
+        this.createElements();
+
+        this.multiplayer.on('stateChange', (state) => this.showState(state));
+        this.multiplayer.on('playerJoin', () => this.showPlayers());
+        this.multiplayer.on('playerLeave', () => this.showPlayers());
+        this.multiplayer.on('pingChange', () => this.showState(this.multiplayer.state));
+        this.multiplayer.on('error', (message) => {
+            this.statusElement.textContent = message;
+        });
+    }
+
+    createElements() {
+        this.button = document.createElement('button');
+        this.button.type = 'button';
+        this.button.className = 'online-button';
+        this.button.textContent = 'Online';
+        this.button.addEventListener('click', () => {
+            // Keep Space from clicking the button again
+            this.button.blur();
+            this.setOpen(!this.isOpen);
+        });
+        document.body.appendChild(this.button);
+
+        const settings = this.multiplayer.settings;
+
+        this.element = document.createElement('div');
+        this.element.className = 'online-panel';
+        this.element.innerHTML = `
+            <h3>Online</h3>
+            <label class="race-row">
+                <span>Name</span>
+                <input class="online-name" type="text" maxlength="20" placeholder="Driver">
+            </label>
+            <label class="race-row">
+                <span>Room</span>
+                <input class="online-room" type="text" maxlength="32">
+            </label>
+            <label class="race-row">
+                <span>Server</span>
+                <input class="online-url" type="text">
+            </label>
+            <button class="online-connect" type="button">Connect</button>
+            <div class="online-status"></div>
+            <ul class="online-players"></ul>
+        `;
+        document.body.appendChild(this.element);
+
+        this.nameInput = this.element.querySelector('.online-name');
+        this.roomInput = this.element.querySelector('.online-room');
+        this.urlInput = this.element.querySelector('.online-url');
+        this.connectButton = this.element.querySelector('.online-connect');
+        this.statusElement = this.element.querySelector('.online-status');
+        this.playersElement = this.element.querySelector('.online-players');
+
+        this.nameInput.value = settings.name;
+        this.roomInput.value = settings.room;
+        this.urlInput.value = settings.url;
+
+        this.connectButton.addEventListener('click', () => {
+            if (this.multiplayer.state === 'disconnected') {
+                this.multiplayer.connect({
+                    name: this.nameInput.value.trim(),
+                    room: this.roomInput.value.trim() || 'default',
+                    url: this.urlInput.value.trim()
+                });
+            } else {
+                this.multiplayer.disconnect();
+            }
+        });
+
+        this.showState(this.multiplayer.state);
+    }
+
+    setOpen(open) {
+        this.isOpen = open;
+        this.element.classList.toggle('open', open);
+        this.button.classList.toggle('open', open);
+    }
+
+    showState(state) {
+        const multiplayer = this.multiplayer;
+        const connected = state === 'connected';
+
+        this.button.textContent = connected ? `Online (${multiplayer.players.size + 1})` : 'Online';
+        this.connectButton.textContent = state === 'disconnected' ? 'Connect' : 'Disconnect';
+        [this.nameInput, this.roomInput, this.urlInput].forEach((input) => {
+            input.disabled = state !== 'disconnected';
+        });
+
+        let status = STATE_LABELS[state];
+        if (connected) {
+            status += ` in "${multiplayer.settings.room}"`;
+            if (multiplayer.ping !== null) {
+                status += ` · ${multiplayer.ping} ms`;
+            }
+        }
+        this.statusElement.textContent = status;
+
+        this.showPlayers();
+    }
+
+    showPlayers() {
+        const multiplayer = this.multiplayer;
+
+        if (!multiplayer.connected) {
+            this.playersElement.innerHTML = '';
+            return;
+        }
+
+        this.button.textContent = `Online (${multiplayer.players.size + 1})`;
+
+        const names = [`${multiplayer.settings.name || 'You'} (you)`]
+            .concat(Array.from(multiplayer.players.values()).map(player => player.name));
+
+        this.playersElement.innerHTML = '';
+        names.forEach((name) => {
+            const item = document.createElement('li');
+            item.textContent = name; // Names come from other visitors, so never as HTML
+            this.playersElement.appendChild(item);
+        });
+    }
+
+    destroy() {
+        [this.button, this.element].forEach((element) => {
+            if (element && element.parentNode) {
+                element.parentNode.removeChild(element);
+            }
+        });
+    }
+}
@@ -0,0 +1,123 @@
+import Livery from '../world/Livery.js';
+
+const FINISH_LABELS = {
+    matte: 'Matte',
+    metallic: 'Metallic',
+    pearlescent: 'Pearl'
+};
+
+/**
+ * Paint section of the garage: body colour and finish, rim colour and decals
+ * of the current car
+ */
+export default class PaintShop {
+    /**
+     * @param {Experience} experience
+     * @param {HTMLElement} container - Element the paint controls are added to
+     */
+    constructor(experience, container) {
+        this.experience = experience;
+        this.rcCar = this.experience.rcCar;
+
+        this.createElements(container);
+
+        this.rcCar.on('carChange', () => this.refresh());
+        this.rcCar.on('liveryChange', () => this.refresh());
+    }
+
+    createElements(container) {
+        this.element = document.createElement('div');
+        this.element.className = 'paint-shop';
+        this.element.innerHTML = `
+            <h3>Paint</h3>
+            <label class="paint-row">
+                <span>Body</span>
+                <input class="paint-body-color" type="color">
+            </label>
+            <div class="paint-row paint-finishes">
+                ${Livery.finishes.map(finish => `<button type="button" data-finish="${finish}">${FINISH_LABELS[finish] || finish}</button>`).join('')}
+            </div>
+            <label class="paint-row">
+                <span>Rims</span>
+                <input class="paint-rim-color" type="color">
+            </label>
+            <label class="paint-row">
+                <span>Decal</span>
+                <select class="paint-decal">
+                    <option value="none">None</option>
+                    <option value="number">Number</option>
+                    <option value="stripes">Stripes</option>
+                </select>
+                <input class="paint-number" type="text" maxlength="2" size="2">
+            </label>
+            <button class="paint-reset" type="button">Factory paint</button>
+        `;
+        container.appendChild(this.element);
+
+        this.bodyColorInput = this.element.querySelector('.paint-body-color');
+        this.rimColorInput = this.element.querySelector('.paint-rim-color');
+        this.decalSelect = this.element.querySelector('.paint-decal');
+        this.numberInput = this.element.querySelector('.paint-number');
+        this.finishButtons = Array.from(this.element.querySelectorAll('[data-finish]'));
+
+        // Show the colour live while the picker is dragged, keep it once it is picked
+        this.bodyColorInput.addEventListener('input', () => {
+            this.rcCar.previewLivery({ bodyColor: this.bodyColorInput.value });
+        });
+        this.bodyColorInput.addEventListener('change', () => {
+            this.rcCar.setLivery({ bodyColor: this.bodyColorInput.value });
+        });
+
+        this.rimColorInput.addEventListener('input', () => {
+            this.rcCar.previewLivery({ rimColor: this.rimColorInput.value });
+        });
+        this.rimColorInput.addEventListener('change', () => {
+            this.rcCar.setLivery({ rimColor: this.rimColorInput.value });
+        });
+
+        this.finishButtons.forEach((button) => {
+            button.addEventListener('click', () => {
+                this.rcCar.setLivery({ finish: button.dataset.finish });
+            });
+        });
+
+        this.decalSelect.addEventListener('change', () => {
+            this.rcCar.setLivery({ decal: this.decalSelect.value });
+        });
+
+        this.numberInput.addEventListener('change', () => {
+            // Digits only, so the roundel stays readable
+            const number = this.numberInput.value.replace(/[^0-9]/g, '');
+            this.rcCar.setLivery({ number: number || '1' });
+        });
+
+        this.element.querySelector('.paint-reset').addEventListener('click', () => {
+            this.rcCar.resetLivery();
+        });
+    }
+
+    /**
+     * Show the current car's paint job in the controls
+     */
+    refresh() {
+        const livery = this.rcCar.getLivery();
+        const paint = this.rcCar.livery;
+
+        // Colour inputs need a value, so show the model's own colour for "factory" paint
+        const factoryColor = (materials) => {
+            const material = materials.find(candidate => candidate.userData.factoryColor);
+            return material ? `#${material.userData.factoryColor.getHexString()}` : '#ffffff';
+        };
+
+        this.bodyColorInput.value = livery.bodyColor || factoryColor(paint.bodyMaterials);
+        this.rimColorInput.value = livery.rimColor || factoryColor(paint.rimMaterials);
+        this.rimColorInput.disabled = paint.rimMaterials.length === 0;
+        this.decalSelect.value = livery.decal;
+        this.numberInput.value = livery.number;
+        this.numberInput.style.visibility = livery.decal === 'number' ? 'visible' : 'hidden';
+
+        this.finishButtons.forEach((button) => {
+            button.classList.toggle('active', button.dataset.finish === livery.finish);
+        });
+    }
+}
@@ -0,0 +1,158 @@
+import LapTimer from '../world/LapTimer.js';
+
+/**
+ * Race setup, countdown, live standings and results for races against AI cars
+ */
+export default class RacePanel {
+    constructor(experience) {
+        this.experience = experience;
+        this.race = this.experience.race;
+
+        this.isOpen = false;
+
+        this.createElements();
+
+        this.race.on('countdown', (seconds) => this.showCountdown(String(seconds)));
+        this.race.on('raceStart', () => this.showCountdown('GO!', 800));
+        this.race.on('standingsChange', (standings) => this.showStandings(standings));
+        this.race.on('raceFinish', (standings) => this.showResults(standings));
+        this.race.on('raceStop', () => this.reset());
+    }
+
+    createElements() {
+        this.button = document.createElement('button');
+        this.button.type = 'button';
+        this.button.className = 'race-button';
+        this.button.textContent = 'Race';
+        this.button.addEventListener('click', () => this.onButtonClick());
+        document.body.appendChild(this.button);
+
+        const options = (values, selected) => values
+            .map(value => `<option value="${value}"${value === selected ? ' selected' : ''}>${value}</option>`)
+            .join('');
+
+        this.setupElement = document.createElement('div');
+        this.setupElement.className = 'race-setup';
+        this.setupElement.innerHTML = `
+            <h3>Race</h3>
+            <label class="race-row">
+                <span>Opponents</span>
+                <select class="race-opponents">${options([1, 2, 3, 4, 5], this.race.settings.opponents)}</select>
+            </label>
+            <label class="race-row">
+                <span>Laps</span>
+                <select class="race-laps">${options([1, 2, 3, 5, 10], this.race.settings.laps)}</select>
+            </label>
+            <button class="race-start" type="button">Start race</button>
+        `;
+        document.body.appendChild(this.setupElement);
+
+        this.setupElement.querySelector('.race-start').addEventListener('click', () => {
+            const started = this.race.start({
+                opponents: Number(this.setupElement.querySelector('.race-opponents').value),
+                laps: Number(this.setupElement.querySelector('.race-laps').value)
+            });
+
+            if (started) {
+                this.setOpen(false);
+                this.button.textContent = 'Quit race';
+            }
+        });
+
+        this.standingsElement = document.createElement('ol');
+        this.standingsElement.className = 'race-standings';
+        document.body.appendChild(this.standingsElement);
+
+        this.countdownElement = document.createElement('div');
+        this.countdownElement.className = 'race-countdown';
+        document.body.appendChild(this.countdownElement);
+
+        this.resultsElement = document.createElement('div');
+        this.resultsElement.className = 'race-results';
+        document.body.appendChild(this.resultsElement);
+    }
+
+    onButtonClick() {
+        // Keep Space from clicking the button again
+        this.button.blur();
+
+        if (this.race.state === 'idle') {
+            this.setOpen(!this.isOpen);
+        } else {
+            this.race.stop();
+        }
+    }
+
+    setOpen(open) {
+        this.isOpen = open;
+        this.setupElement.classList.toggle('open', open);
+        this.button.classList.toggle('open', open);
+    }
+
+    /**
+     * @param {string} text - Text shown in the middle of the screen
+     * @param {number} duration - Hide it after this many ms (0 keeps it until the next call)
+     */
+    showCountdown(text, duration = 0) {
+        clearTimeout(this.countdownTimeout);
+        this.countdownElement.textContent = text;
+        this.countdownElement.classList.add('active');
+
+        if (duration > 0) {
+            this.countdownTimeout = setTimeout(() => {
+                this.countdownElement.classList.remove('active');
+            }, duration);
+        }
+    }
+
+    showStandings(standings) {
+        const laps = this.race.settings.laps;
+
+        this.standingsElement.innerHTML = standings.map((racer) => {
+            const status = racer.finished ? LapTimer.formatTime(racer.finishTime) : `Lap ${racer.lap}/${laps}`;
+            return `
+                <li class="${racer.isPlayer ? 'player' : ''}">
+                    <span class="race-standings-name">${racer.name}</span>
+                    <span class="race-standings-status">${status}</span>
+                </li>
+            `;
+        }).join('');
+        this.standingsElement.classList.add('active');
+    }
+
+    showResults(standings) {
+        const player = standings.find(racer => racer.isPlayer);
+
+        this.resultsElement.innerHTML = `
+            <h3>${player ? `You finished P${player.position}` : 'Race over'}</h3>
+            <ol>
+                ${standings.map(racer => `
+                    <li class="${racer.isPlayer ? 'player' : ''}">
+                        <span>${racer.name}</span>
+                        <span>${racer.finished ? LapTimer.formatTime(racer.finishTime) : 'Still racing'}</span>
+                    </li>
+                `).join('')}
+            </ol>
+            <button class="race-close" type="button">Close</button>
+        `;
+        this.resultsElement.querySelector('.race-close').addEventListener('click', () => this.race.stop());
+        this.resultsElement.classList.add('active');
+    }
+
+    reset() {
+        clearTimeout(this.countdownTimeout);
+        this.button.textContent = 'Race';
+        this.countdownElement.classList.remove('active');
+        this.standingsElement.classList.remove('active');
+        this.resultsElement.classList.remove('active');
+    }
+
+    destroy() {
+        clearTimeout(this.countdownTimeout);
+        [this.button, this.setupElement, this.standingsElement, this.countdownElement, this.resultsElement].forEach((element) => {
+            if (element && element.parentNode) {
+                element.parentNode.removeChild(element);
+            }
+        });
+    }
+}
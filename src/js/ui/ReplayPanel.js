@@ -0,0 +1,140 @@
+import LapTimer from '../world/LapTimer.js';
+
+const CAMERA_LABELS = {
+    recorded: 'As recorded',
+    chase: 'Chase',
+    side: 'Side',
+    trackside: 'Trackside',
+    top: 'Top-down'
+};
+
+/**
+ * Replay button and the playback bar of replay mode: play/pause, speed,
+ * timeline, camera choice and JSON export/import
+ */
+export default class ReplayPanel {
+    constructor(experience) {
+        this.experience = experience;
+        this.replay = this.experience.replay;
+        this.camera = this.experience.camera;
+
+        this.createElements();
+
+        this.replay.on('enter', () => this.setActive(true));
+        this.replay.on('exit', () => this.setActive(false));
+        this.replay.on('playheadChange', (time) => this.showPlayhead(time));
+        this.replay.on('playStateChange', (playing) => {
+            this.playButton.textContent = playing ? 'Pause' : 'Play';
+        });
+        this.replay.on('speedChange', (speed) => {
+            this.speedSelect.value = String(speed);
+        });
+        this.replay.on('cameraChange', (mode) => {
+            this.cameraSelect.value = mode;
+        });
+    }
+
+    createElements() {
+        this.button = document.createElement('button');
+        this.button.type = 'button';
+        this.button.className = 'replay-button';
+        this.button.textContent = 'Replay';
+        this.button.addEventListener('click', () => {
+            // Keep Space from clicking the button again
+            this.button.blur();
+            this.experience.toggleReplay();
+        });
+        document.body.appendChild(this.button);
+
+        const speeds = this.replay.settings.speeds
+            .map(speed => `<option value="${speed}"${speed === this.replay.speed ? ' selected' : ''}>${speed}×</option>`)
+            .join('');
+        const cameras = Object.keys(CAMERA_LABELS)
+            .map(mode => `<option value="${mode}"${mode === this.replay.cameraMode ? ' selected' : ''}>${CAMERA_LABELS[mode]}</option>`)
+            .join('');
+
+        this.element = document.createElement('div');
+        this.element.className = 'replay-bar';
+        this.element.innerHTML = `
+            <div class="replay-row">
+                <button class="replay-play" type="button">Play</button>
+                <input class="replay-timeline" type="range" min="0" max="0" step="0.01" value="0">
+                <span class="replay-time">0:00.0 / 0:00.0</span>
+            </div>
+            <div class="replay-row">
+                <span class="replay-mode"></span>
+                <label>Speed <select class="replay-speed">${speeds}</select></label>
+                <label>Camera <select class="replay-camera">${cameras}</select></label>
+                <button class="replay-export" type="button">Export</button>
+                <button class="replay-import" type="button">Import</button>
+                <input class="replay-file" type="file" accept="application/json,.json">
+            </div>
+        `;
+        document.body.appendChild(this.element);
+
+        this.playButton = this.element.querySelector('.replay-play');
+        this.timeline = this.element.querySelector('.replay-timeline');
+        this.timeElement = this.element.querySelector('.replay-time');
+        this.modeElement = this.element.querySelector('.replay-mode');
+        this.speedSelect = this.element.querySelector('.replay-speed');
+        this.cameraSelect = this.element.querySelector('.replay-camera');
+        this.fileInput = this.element.querySelector('.replay-file');
+
+        this.playButton.addEventListener('click', () => {
+            this.playButton.blur();
+            this.replay.togglePlay();
+        });
+        this.timeline.addEventListener('input', () => this.replay.seek(Number(this.timeline.value)));
+        this.speedSelect.addEventListener('change', () => this.replay.setSpeed(Number(this.speedSelect.value)));
+        this.cameraSelect.addEventListener('change', () => this.replay.setCamera(this.cameraSelect.value));
+        this.element.querySelector('.replay-export').addEventListener('click', () => this.replay.exportJson());
+        this.element.querySelector('.replay-import').addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files[0];
+            if (file) {
+                this.replay.importJson(file);
+            }
+            // Allow the same file to be picked again
+            this.fileInput.value = '';
+        });
+    }
+
+    setActive(active) {
+        this.element.classList.toggle('active', active);
+        this.button.classList.toggle('open', active);
+        this.button.textContent = active ? 'Exit replay' : 'Replay';
+
+        if (active) {
+            this.timeline.min = String(this.replay.startTime);
+            this.timeline.max = String(this.replay.endTime);
+            this.showPlayhead(this.replay.playhead);
+        }
+    }
+
+    showPlayhead(time) {
+        const start = this.replay.startTime;
+
+        // Dragging the slider already moved it
+        if (document.activeElement !== this.timeline) {
+            this.timeline.value = String(time);
+        }
+        this.timeElement.textContent =
+            `${LapTimer.formatTime(time - start, 1)} / ${LapTimer.formatTime(this.replay.duration, 1)}`;
+
+        const mode = this.replay.controlMode;
+        this.modeElement.textContent = mode ? `${mode === 'auto' ? 'Auto' : 'Manual'} driving` : '';
+
+        // The camera key cycles the camera in replay mode too
+        if (this.camera.mode !== this.cameraSelect.value && CAMERA_LABELS[this.camera.mode]) {
+            this.cameraSelect.value = this.camera.mode;
+        }
+    }
+
+    destroy() {
+        [this.button, this.element].forEach((element) => {
+            if (element && element.parentNode) {
+                element.parentNode.removeChild(element);
+            }
+        });
+    }
+}
@@ -0,0 +1,196 @@
+import Hud from './Hud.js';
+import LapTimer from '../world/LapTimer.js';
+
+/**
+ * Two-player button and setup, player 2's HUD, lap counters per half of the
+ * screen, countdown and the shared results of split-screen races
+ */
+export default class SplitScreenPanel {
+    constructor(experience) {
+        this.experience = experience;
+        this.splitScreen = this.experience.splitScreen;
+
+        this.isOpen = false;
+        this.playerTwoHud = null;
+
+        this.createElements();
+
+        this.splitScreen.on('start', () => this.onStart());
+        this.splitScreen.on('countdown', (seconds) => this.showCountdown(String(seconds)));
+        this.splitScreen.on('raceStart', () => this.showCountdown('GO!', 800));
+        this.splitScreen.on('lapCompleted', () => this.showLapCounters());
+        this.splitScreen.on('playerFinish', (player) => {
+            const place = this.splitScreen.getResults().indexOf(player) + 1;
+            this.lapElements[player.index].textContent = `${player.name} · Finished P${place}`;
+        });
+        this.splitScreen.on('finish', (results) => this.showResults(results));
+        this.splitScreen.on('stop', () => this.reset());
+    }
+
+    createElements() {
+        this.button = document.createElement('button');
+        this.button.type = 'button';
+        this.button.className = 'split-button';
+        this.button.textContent = '2 Players';
+        this.button.addEventListener('click', () => this.onButtonClick());
+        document.body.appendChild(this.button);
+
+        const laps = [1, 2, 3, 5, 10]
+            .map(value => `<option value="${value}"${value === this.splitScreen.settings.laps ? ' selected' : ''}>${value}</option>`)
+            .join('');
+
+        this.setupElement = document.createElement('div');
+        this.setupElement.className = 'split-setup';
+        this.setupElement.innerHTML = `
+            <h3>Split-screen</h3>
+            <p class="split-keys">Player 1: WASD, left Shift<br>Player 2: arrow keys, right Shift</p>
+            <label class="race-row">
+                <span>Laps</span>
+                <select class="split-laps">${laps}</select>
+            </label>
+            <button class="split-start" type="button">Start race</button>
+        `;
+        document.body.appendChild(this.setupElement);
+
+        this.setupElement.querySelector('.split-start').addEventListener('click', () => {
+            const started = this.splitScreen.start({
+                laps: Number(this.setupElement.querySelector('.split-laps').value)
+            });
+
+            if (started) {
+                this.setOpen(false);
+            }
+        });
+
+        // Line between the two views
+        this.dividerElement = document.createElement('div');
+        this.dividerElement.className = 'split-divider';
+        document.body.appendChild(this.dividerElement);
+
+        // Lap counter in the corner of each view
+        this.lapElements = ['split-lap-one', 'split-lap-two'].map((className) => {
+            const element = document.createElement('div');
+            element.className = `split-lap ${className}`;
+            document.body.appendChild(element);
+            return element;
+        });
+
+        this.countdownElement = document.createElement('div');
+        this.countdownElement.className = 'race-countdown';
+        document.body.appendChild(this.countdownElement);
+
+        this.resultsElement = document.createElement('div');
+        this.resultsElement.className = 'race-results';
+        document.body.appendChild(this.resultsElement);
+    }
+
+    onButtonClick() {
+        // Keep Space from clicking the button again
+        this.button.blur();
+
+        if (this.splitScreen.active) {
+            this.splitScreen.stop();
+        } else {
+            this.setOpen(!this.isOpen);
+        }
+    }
+
+    setOpen(open) {
+        this.isOpen = open;
+        this.setupElement.classList.toggle('open', open);
+        this.button.classList.toggle('open', open);
+    }
+
+    onStart() {
+        this.button.textContent = 'End 2 players';
+        this.dividerElement.classList.add('active');
+        this.lapElements.forEach(element => element.classList.add('active'));
+        this.resultsElement.classList.remove('active');
+        this.showLapCounters();
+
+        // Player 2's speed and lap times in the lower half
+        this.playerTwoHud = new Hud(this.experience, {
+            car: this.splitScreen.car,
+            lapTimer: this.splitScreen.lapTimer,
+            className: 'hud-player-two'
+        });
+    }
+
+    showLapCounters() {
+        const laps = this.splitScreen.settings.laps;
+
+        this.splitScreen.players.forEach((player, index) => {
+            if (player.finished) return;
+            this.lapElements[index].textContent = `${player.name} · Lap ${this.splitScreen.getCurrentLap(index)}/${laps}`;
+        });
+    }
+
+    update() {
+        if (this.playerTwoHud) {
+            this.playerTwoHud.update();
+        }
+    }
+
+    /**
+     * @param {string} text - Text shown in the middle of the screen
+     * @param {number} duration - Hide it after this many ms (0 keeps it until the next call)
+     */
+    showCountdown(text, duration = 0) {
+        clearTimeout(this.countdownTimeout);
+        this.countdownElement.textContent = text;
+        this.countdownElement.classList.add('active');
+
+        if (duration > 0) {
+            this.countdownTimeout = setTimeout(() => {
+                this.countdownElement.classList.remove('active');
+            }, duration);
+        }
+    }
+
+    showResults(results) {
+        const winner = results[0];
+
+        this.resultsElement.innerHTML = `
+            <h3>${winner.finished ? `${winner.name} wins!` : 'Race over'}</h3>
+            <ol>
+                ${results.map(player => `
+                    <li>
+                        <span>${player.name}</span>
+                        <span>${player.finished ? LapTimer.formatTime(player.finishTime) : `${player.laps} laps`}</span>
+                        <div class="split-results-best">Best lap ${player.bestLap !== null ? LapTimer.formatTime(player.bestLap) : '-'}</div>
+                    </li>
+                `).join('')}
+            </ol>
+            <button class="race-start split-again" type="button">Race again</button>
+            <button class="race-close" type="button">Close</button>
+        `;
+        this.resultsElement.querySelector('.split-again').addEventListener('click', () => this.splitScreen.start());
+        this.resultsElement.querySelector('.race-close').addEventListener('click', () => this.splitScreen.stop());
+        this.resultsElement.classList.add('active');
+    }
+
+    reset() {
+        clearTimeout(this.countdownTimeout);
+        this.button.textContent = '2 Players';
+        this.countdownElement.classList.remove('active');
+        this.resultsElement.classList.remove('active');
+        this.dividerElement.classList.remove('active');
+        this.lapElements.forEach(element => element.classList.remove('active'));
+
+        if (this.playerTwoHud) {
+            this.playerTwoHud.destroy();
+            this.playerTwoHud = null;
+        }
+    }
+
+    destroy() {
+        this.reset();
+        [this.button, this.setupElement, this.dividerElement, this.countdownElement, this.resultsElement]
+            .concat(this.lapElements)
+            .forEach((element) => {
+                if (element && element.parentNode) {
+                    element.parentNode.removeChild(element);
+                }
+            });
+    }
+}
@@ -0,0 +1,252 @@
+// Graphs from top to bottom: sample fields drawn as lines, and the smallest
+// range shown (it grows to fit bigger values). Lateral acceleration and steering
+// are positive to the left.
+const GRAPHS = [
+    {
+        label: 'Speed',
+        unit: ' km/h',
+        decimals: 0,
+        range: [0, 20],
+        series: [{ field: 'speed', name: '', color: '#ffcc00' }]
+    },
+    {
+        label: 'Accel',
+        unit: ' g',
+        decimals: 2,
+        range: [-0.5, 0.5],
+        series: [
+            { field: 'longAccel', name: 'long', color: '#4dd2ff' },
+            { field: 'latAccel', name: 'lat', color: '#ff6b4a' }
+        ]
+    },
+    {
+        label: 'Input',
+        unit: '',
+        decimals: 2,
+        range: [-1, 1],
+        series: [
+            { field: 'steer', name: 'steer', color: '#b388ff' },
+            { field: 'throttle', name: 'thr', color: '#33cc66' },
+            { field: 'brake', name: 'brk', color: '#ff4d4d' }
+        ]
+    },
+    {
+        label: 'Slip',
+        unit: '°',
+        decimals: 1,
+        range: [-10, 10],
+        series: [
+            { field: 'slip', name: 'body', color: '#ffffff' },
+            { field: 'frontSlip', name: 'front', color: '#4dd2ff' },
+            { field: 'rearSlip', name: 'rear', color: '#ff6b4a' }
+        ]
+    },
+    {
+        label: 'Frame',
+        unit: ' ms',
+        decimals: 1,
+        range: [0, 40],
+        series: [{ field: 'frameTime', name: '', color: '#33cc66' }]
+    }
+];
+
+const WIDTH = 360;
+const GRAPH_HEIGHT = 62;
+
+/**
+ * Telemetry button and overlay: live graphs of the last few seconds of the
+ * player's car, plus recording and CSV export of a session
+ */
+export default class TelemetryPanel {
+    constructor(experience) {
+        this.experience = experience;
+        this.telemetry = this.experience.telemetry;
+        this.input = this.experience.input;
+
+        this.isOpen = false;
+
+        this.createElements();
+
+        this.telemetry.on('recordStart', () => this.showRecording());
+        this.telemetry.on('recordStop', () => this.showRecording());
+
+        if (this.input) {
+            this.input.on('telemetry', () => this.setOpen(!this.isOpen));
+        }
+    }
+
+    createElements() {
+        this.button = document.createElement('button');
+        this.button.type = 'button';
+        this.button.className = 'telemetry-button';
+        this.button.textContent = 'Telemetry';
+        this.button.addEventListener('click', () => {
+            // Keep Space from clicking the button again
+            this.button.blur();
+            this.setOpen(!this.isOpen);
+        });
+        document.body.appendChild(this.button);
+
+        this.element = document.createElement('div');
+        this.element.className = 'telemetry-panel';
+        this.element.innerHTML = `
+            <h3>Telemetry</h3>
+            <canvas class="telemetry-graphs"></canvas>
+            <div class="telemetry-row">
+                <button class="telemetry-record" type="button">Record</button>
+                <button class="telemetry-export" type="button">Export CSV</button>
+                <span class="telemetry-status"></span>
+            </div>
+        `;
+        document.body.appendChild(this.element);
+
+        // Sharp lines on high density screens
+        const pixelRatio = Math.min(window.devicePixelRatio || 1, 2);
+        this.canvas = this.element.querySelector('.telemetry-graphs');
+        this.canvas.width = WIDTH * pixelRatio;
+        this.canvas.height = GRAPH_HEIGHT * GRAPHS.length * pixelRatio;
+        this.canvas.style.width = `${WIDTH}px`;
+        this.canvas.style.height = `${GRAPH_HEIGHT * GRAPHS.length}px`;
+        this.context = this.canvas.getContext('2d');
+        if (this.context) {
+            this.context.scale(pixelRatio, pixelRatio);
+        }
+
+        this.recordButton = this.element.querySelector('.telemetry-record');
+        this.recordButton.addEventListener('click', () => {
+            this.recordButton.blur();
+            if (this.telemetry.isRecording) {
+                this.telemetry.stopRecording();
+            } else {
+                this.telemetry.startRecording();
+            }
+        });
+
+        this.exportButton = this.element.querySelector('.telemetry-export');
+        this.exportButton.addEventListener('click', () => {
+            this.exportButton.blur();
+            this.telemetry.exportCsv();
+        });
+
+        this.statusElement = this.element.querySelector('.telemetry-status');
+        this.showRecording();
+    }
+
+    setOpen(open) {
+        this.isOpen = open;
+        this.element.classList.toggle('open', open);
+        this.button.classList.toggle('open', open);
+
+        if (open) {
+            this.draw();
+        }
+    }
+
+    showRecording() {
+        const recording = this.telemetry.isRecording;
+        const samples = this.telemetry.recording || this.telemetry.lastRecording;
+
+        this.recordButton.textContent = recording ? 'Stop' : 'Record';
+        this.recordButton.classList.toggle('active', recording);
+        this.exportButton.disabled = !samples || samples.length === 0;
+
+        if (!samples || samples.length === 0) {
+            this.statusElement.textContent = recording ? 'Recording' : '';
+            return;
+        }
+
+        const duration = samples[samples.length - 1].time - samples[0].time;
+        this.statusElement.textContent = recording
+            ? `Recording ${duration.toFixed(1)} s`
+            : `${samples.length} samples, ${duration.toFixed(1)} s`;
+    }
+
+    update() {
+        if (!this.isOpen) return;
+
+        this.draw();
+
+        if (this.telemetry.isRecording) {
+            this.showRecording();
+        }
+    }
+
+    draw() {
+        const context = this.context;
+        if (!context) return;
+
+        const history = this.telemetry.history;
+        const historyLength = this.telemetry.settings.historyLength;
+        const startTime = this.telemetry.elapsed - historyLength;
+        const latest = history[history.length - 1];
+
+        context.clearRect(0, 0, WIDTH, GRAPH_HEIGHT * GRAPHS.length);
+        context.font = '11px sans-serif';
+        context.textBaseline = 'top';
+
+        GRAPHS.forEach((graph, index) => {
+            const top = index * GRAPH_HEIGHT;
+            const height = GRAPH_HEIGHT - 6;
+
+            // Grow the range to fit what is on screen
+            let [min, max] = graph.range;
+            history.forEach((sample) => {
+                graph.series.forEach(({ field }) => {
+                    min = Math.min(min, sample[field]);
+                    max = Math.max(max, sample[field]);
+                });
+            });
+            const toY = value => top + height - (value - min) / (max - min) * height;
+
+            context.fillStyle = 'rgba(255, 255, 255, 0.06)';
+            context.fillRect(0, top, WIDTH, height);
+
+            if (min < 0 && max > 0) {
+                context.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+                context.lineWidth = 1;
+                context.beginPath();
+                context.moveTo(0, toY(0));
+                context.lineTo(WIDTH, toY(0));
+                context.stroke();
+            }
+
+            graph.series.forEach(({ field, color }) => {
+                context.strokeStyle = color;
+                context.lineWidth = 1.5;
+                context.beginPath();
+                history.forEach((sample, sampleIndex) => {
+                    const x = (sample.time - startTime) / historyLength * WIDTH;
+                    const y = toY(sample[field]);
+                    if (sampleIndex === 0) {
+                        context.moveTo(x, y);
+                    } else {
+                        context.lineTo(x, y);
+                    }
+                });
+                context.stroke();
+            });
+
+            // Name and latest values in the top left corner
+            let x = 4;
+            context.fillStyle = '#ffffff';
+            context.fillText(graph.label, x, top + 2);
+            x += context.measureText(graph.label).width + 8;
+
+            graph.series.forEach(({ field, name, color }) => {
+                const value = latest ? latest[field] : 0;
+                const text = `${name ? `${name} ` : ''}${value.toFixed(graph.decimals)}${graph.unit}`;
+                context.fillStyle = color;
+                context.fillText(text, x, top + 2);
+                x += context.measureText(text).width + 8;
+            });
+        });
+    }
+
+    destroy() {
+        [this.button, this.element].forEach((element) => {
+            if (element && element.parentNode) {
+                element.parentNode.removeChild(element);
+            }
+        });
+    }
+}
@@ -0,0 +1,156 @@
+import EventEmitter from '../utils/EventEmitter.js';
+
+/**
+ * On-screen controls for touch devices: a steering joystick on the left,
+ * throttle/brake/handbrake/boost buttons on the right and an auto/manual toggle.
+ *
+ * Only the controls themselves capture touches, so pinch and scroll gestures
+ * anywhere else on the page keep working.
+ *
+ * Events: 'toggleMode'
+ */
+export default class TouchControls extends EventEmitter {
+    constructor() {
+        super();
+
+        // Analog state, same shape as RCCar.getDriveInput()
+        this.state = {
+            throttle: 0,
+            brake: 0,
+            steer: 0,
+            handbrake: 0,
+            boost: 0
+        };
+
+        this.enabled = TouchControls.isTouchDevice();
+
+        if (this.enabled) {
+            this.createElements();
+            this.setupJoystick();
+            this.setupButtons();
+            console.log("Touch controls set up");
+        }
+    }
+
+    /**
+     * Whether the main pointer is a finger - touchscreen laptops with a mouse keep the keyboard layout
+     */
+    static isTouchDevice() {
+        return Boolean(window.matchMedia && window.matchMedia('(pointer: coarse)').matches);
+    }
+
+    createElements() {
+        this.element = document.createElement('div');
+        this.element.className = 'touch-controls';
+        this.element.innerHTML = `
+            <div class="touch-joystick">
+                <div class="touch-joystick-knob"></div>
+            </div>
+            <div class="touch-buttons">
+                <button class="touch-button touch-boost" type="button">BOOST</button>
+                <button class="touch-button touch-mode" type="button">AUTO</button>
+                <button class="touch-button touch-handbrake" type="button">DRIFT</button>
+                <button class="touch-button touch-brake" type="button">&#9660;</button>
+                <button class="touch-button touch-throttle" type="button">&#9650;</button>
+            </div>
+        `;
+        document.body.appendChild(this.element);
+
+        this.joystick = this.element.querySelector('.touch-joystick');
+        this.knob = this.element.querySelector('.touch-joystick-knob');
+        this.modeButton = this.element.querySelector('.touch-mode');
+    }
+
+    setupJoystick() {
+        let pointerId = null;
+
+        const move = (event) => {
+            const rect = this.joystick.getBoundingClientRect();
+            const radius = rect.width / 2;
+            const offset = Math.max(-radius, Math.min(radius, event.clientX - (rect.left + radius)));
+
+            this.knob.style.transform = `translateX(${offset}px)`;
+
+            // Dragging left steers left (positive)
+            this.state.steer = -offset / radius;
+        };
+
+        const release = (event) => {
+            if (event.pointerId !== pointerId) return;
+
+            pointerId = null;
+            this.state.steer = 0;
+            this.knob.style.transform = '';
+        };
+
+        this.joystick.addEventListener('pointerdown', (event) => {
+            pointerId = event.pointerId;
+            this.joystick.setPointerCapture(pointerId);
+            move(event);
+        });
+
+        this.joystick.addEventListener('pointermove', (event) => {
+            if (event.pointerId === pointerId) {
+                move(event);
+            }
+        });
+
+        this.joystick.addEventListener('pointerup', release);
+        this.joystick.addEventListener('pointercancel', release);
+    }
+
+    setupButtons() {
+        const holdButton = (selector, control) => {
+            const button = this.element.querySelector(selector);
+            const press = (event) => {
+                button.setPointerCapture(event.pointerId);
+                button.classList.add('pressed');
+                this.state[control] = 1;
+            };
+            const release = () => {
+                button.classList.remove('pressed');
+                this.state[control] = 0;
+            };
+
+            button.addEventListener('pointerdown', press);
+            button.addEventListener('pointerup', release);
+            button.addEventListener('pointercancel', release);
+        };
+
+        holdButton('.touch-throttle', 'throttle');
+        holdButton('.touch-brake', 'brake');
+        holdButton('.touch-handbrake', 'handbrake');
+        holdButton('.touch-boost', 'boost');
+
+        this.modeButton.addEventListener('pointerdown', () => {
+            this.trigger('toggleMode');
+        });
+    }
+
+    /**
+     * Show which mode a tap on the toggle button will leave
+     * @param {string} mode - 'auto' or 'manual'
+     */
+    setMode(mode) {
+        if (this.modeButton) {
+            this.modeButton.textContent = mode === 'auto' ? 'AUTO' : 'MANUAL';
+        }
+    }
+
+    /**
+     * Whether the player is touching any driving control
+     * @returns {boolean}
+     */
+    get active() {
+        return this.state.throttle > 0 ||
+            this.state.brake > 0 ||
+            this.state.handbrake > 0 ||
+            this.state.steer !== 0;
+    }
+
+    destroy() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}
@@ -0,0 +1,59 @@
+/**
+ * Range of a ring buffer written since the last upload, so only that part of
+ * the attributes goes to the GPU.
+ *
+ * The buffer is made of slots of a fixed number of vertices (1 for a particle,
+ * 4 for a quad) filled in order; once the writes wrap around the ring the
+ * whole buffer is uploaded.
+ */
+export default class DirtyRange {
+    /**
+     * @param {THREE.BufferAttribute[]} attributes - Attributes written slot by slot
+     * @param {number} slotCount - Size of the ring
+     * @param {number} verticesPerSlot - Vertices written per slot
+     */
+    constructor(attributes, slotCount, verticesPerSlot = 1) {
+        this.attributes = attributes;
+        this.slotCount = slotCount;
+        this.verticesPerSlot = verticesPerSlot;
+
+        this.start = null;      // First and last slot to upload, null when clean
+        this.end = null;
+    }
+
+    mark(slot) {
+        if (this.start === null) {
+            this.start = slot;
+            this.end = slot;
+        } else if (slot < this.end) {
+            // Wrapped around the ring
+            this.markAll();
+        } else {
+            this.end = slot;
+        }
+    }
+
+    markAll() {
+        this.start = 0;
+        this.end = this.slotCount - 1;
+    }
+
+    /**
+     * Flag the marked slots for upload on the next render
+     */
+    flush() {
+        if (this.start === null) return;
+
+        const vertexStart = this.start * this.verticesPerSlot;
+        const vertexCount = (this.end - this.start + 1) * this.verticesPerSlot;
+
+        this.attributes.forEach((attribute) => {
+            attribute.updateRange.offset = vertexStart * attribute.itemSize;
+            attribute.updateRange.count = vertexCount * attribute.itemSize;
+            attribute.needsUpdate = true;
+        });
+
+        this.start = null;
+        this.end = null;
+    }
+}
@@ -0,0 +1,157 @@
+import EventEmitter from './EventEmitter.js';
+
+// Button and axis indices of the browser's "standard" gamepad mapping
+const BUTTONS = {
+    a: 0,
+    b: 1,
+    x: 2,
+    y: 3,
+    leftTrigger: 6,
+    rightTrigger: 7,
+    start: 9
+};
+
+// Buttons that trigger an action once per press
+const BUTTON_ACTIONS = {
+    toggleMode: BUTTONS.a,
+    camera: BUTTONS.y,
+    pause: BUTTONS.start
+};
+const AXES = {
+    leftStickX: 0
+};
+
+/**
+ * Reads a controller through the browser Gamepad API.
+ * Triggers give analog throttle/brake, the left stick steers,
+ * B is the handbrake, X boosts, A toggles auto/manual, Y switches camera and Start pauses.
+ *
+ * Events: 'connected', 'disconnected' (with the gamepad id), 'toggleMode', 'camera', 'pause'
+ */
+export default class GamepadControls extends EventEmitter {
+    constructor() {
+        super();
+
+        this.deadzone = 0.15;
+        this.index = null;
+        this.previousButtons = [];
+
+        // Analog state, same shape as RCCar.getDriveInput()
+        this.state = {
+            throttle: 0,
+            brake: 0,
+            steer: 0,
+            handbrake: 0,
+            boost: 0
+        };
+
+        this.supported = typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function';
+
+        if (this.supported) {
+            this.onConnected = (event) => this.connect(event.gamepad);
+            this.onDisconnected = (event) => this.disconnect(event.gamepad);
+            window.addEventListener('gamepadconnected', this.onConnected);
+            window.addEventListener('gamepaddisconnected', this.onDisconnected);
+        }
+    }
+
+    connect(gamepad) {
+        if (this.index !== null) return;
+
+        this.index = gamepad.index;
+        this.previousButtons = gamepad.buttons.map(button => button.pressed);
+        console.log(`Gamepad connected: ${gamepad.id}`);
+        this.trigger('connected', [gamepad.id]);
+    }
+
+    disconnect(gamepad) {
+        if (gamepad.index !== this.index) return;
+
+        this.index = null;
+        this.resetState();
+        console.log(`Gamepad disconnected: ${gamepad.id}`);
+        this.trigger('disconnected', [gamepad.id]);
+    }
+
+    resetState() {
+        this.state.throttle = 0;
+        this.state.brake = 0;
+        this.state.steer = 0;
+        this.state.handbrake = 0;
+        this.state.boost = 0;
+    }
+
+    applyDeadzone(value) {
+        if (Math.abs(value) < this.deadzone) return 0;
+
+        // Rescale so the output still starts at 0 just outside the deadzone
+        return Math.sign(value) * (Math.abs(value) - this.deadzone) / (1 - this.deadzone);
+    }
+
+    /**
+     * Poll the controller - call once per frame
+     */
+    update() {
+        if (!this.supported) return;
+
+        const gamepads = navigator.getGamepads();
+
+        // Some browsers only report a controller once a button is pressed, without an event
+        if (this.index === null) {
+            const gamepad = Array.from(gamepads).find(pad => pad && pad.connected);
+            if (gamepad) {
+                this.connect(gamepad);
+            }
+            return;
+        }
+
+        const gamepad = gamepads[this.index];
+        if (!gamepad || !gamepad.connected) {
+            this.disconnect({ index: this.index, id: 'unknown' });
+            return;
+        }
+
+        const buttons = gamepad.buttons;
+        const value = (index) => buttons[index] ? buttons[index].value : 0;
+
+        this.state.throttle = value(BUTTONS.rightTrigger);
+        this.state.brake = value(BUTTONS.leftTrigger);
+        this.state.handbrake = value(BUTTONS.b);
+        this.state.boost = value(BUTTONS.x);
+
+        // Stick left is negative, steering left is positive
+        this.state.steer = -this.applyDeadzone(gamepad.axes[AXES.leftStickX] || 0);
+
+        // Button presses (not holds)
+        const pressed = buttons.map(button => button.pressed);
+        Object.keys(BUTTON_ACTIONS).forEach((action) => {
+            const index = BUTTON_ACTIONS[action];
+            if (pressed[index] && !this.previousButtons[index]) {
+                this.trigger(action);
+            }
+        });
+        this.previousButtons = pressed;
+    }
+
+    /**
+     * Whether the player is touching any driving control
+     * @returns {boolean}
+     */
+    get active() {
+        return this.state.throttle > 0.05 ||
+            this.state.brake > 0.05 ||
+            this.state.handbrake > 0.05 ||
+            this.state.steer !== 0;
+    }
+
+    get connected() {
+        return this.index !== null;
+    }
+
+    destroy() {
+        if (this.supported) {
+            window.removeEventListener('gamepadconnected', this.onConnected);
+            window.removeEventListener('gamepaddisconnected', this.onDisconnected);
+        }
+    }
+}
@@ -0,0 +1,364 @@
+import EventEmitter from './EventEmitter.js';
+import GamepadControls from './GamepadControls.js';
+import TouchControls from '../ui/TouchControls.js';
+
+// Keyboard bindings use KeyboardEvent.code so WASD stays in place on any layout
+const DEFAULT_BINDINGS = {
+    throttle: ['KeyW', 'ArrowUp'],
+    brake: ['KeyS', 'ArrowDown'],
+    steerLeft: ['KeyA', 'ArrowLeft'],
+    steerRight: ['KeyD', 'ArrowRight'],
+    handbrake: ['ShiftLeft', 'ShiftRight'],
+    boost: ['KeyE'],
+    toggleMode: ['Space'],
+    camera: ['KeyC'],
+    pause: ['KeyP', 'Escape'],
+    garage: ['KeyG'],
+    replay: ['KeyR'],
+    mute: ['KeyM'],
+    lights: ['KeyL'],
+    telemetry: ['KeyT']
+};
+
+// Keys of player 2 in split-screen mode - player 1 keeps every other key of the bindings
+const PLAYER_TWO_BINDINGS = {
+    throttle: ['ArrowUp'],
+    brake: ['ArrowDown'],
+    steerLeft: ['ArrowLeft'],
+    steerRight: ['ArrowRight'],
+    handbrake: ['ShiftRight'],
+    boost: ['ControlRight']
+};
+
+// Actions that fire once per press instead of being held
+const BUTTON_ACTIONS = ['toggleMode', 'camera', 'pause', 'garage', 'replay', 'mute', 'lights', 'telemetry'];
+
+const KEY_LABELS = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ShiftLeft: 'Shift',
+    ShiftRight: 'R-Shift',
+    ControlLeft: 'Ctrl',
+    ControlRight: 'R-Ctrl',
+    AltLeft: 'Alt',
+    AltRight: 'R-Alt',
+    Escape: 'Esc'
+};
+
+/**
+ * Maps the keyboard, a gamepad and the touch controls to named actions.
+ *
+ * Driving actions (throttle, brake, steer, handbrake, boost) are read every frame from
+ * `state`. Button actions are triggered as events: 'toggleMode', 'camera', 'pause', 'garage',
+ * 'replay', 'mute', 'lights', 'telemetry'.
+ *
+ * Only the keyboard can be rebound: rebind() sets a key directly, captureBinding() waits
+ * for the next key press (Esc cancels) and resetBindings() goes back to the defaults.
+ * Bindings are kept in localStorage under 'rcCarInputBindings'. The gamepad and touch
+ * layouts are fixed.
+ *
+ * In split-screen mode (`splitPlayers`) the arrow keys, right Shift and right Ctrl drive
+ * player 2, read with getState(1); gamepad and touch stay with player 1.
+ *
+ * Other events: 'bindingsChange', 'gamepadConnected', 'gamepadDisconnected'
+ */
+export default class InputManager extends EventEmitter {
+    constructor() {
+        super();
+
+        this.storageKey = 'rcCarInputBindings';
+        this.bindings = this.loadBindings();
+
+        // Physical keys currently held down
+        this.pressedKeys = new Set();
+
+        // Merged analog state of all devices, same shape as the vehicle input
+        this.state = {
+            throttle: 0,
+            brake: 0,
+            steer: 0,
+            handbrake: 0,
+            boost: 0
+        };
+        this.playerTwoState = {
+            throttle: 0,
+            brake: 0,
+            steer: 0,
+            handbrake: 0,
+            boost: 0
+        };
+        this.splitPlayers = false;
+
+        this.setupKeyboard();
+        this.setupGamepad();
+        this.setupTouch();
+    }
+
+    setupKeyboard() {
+        // Named handlers so destroy() can remove them
+        this.onKeyDown = (event) => this.handleKeyDown(event);
+        this.onKeyUp = (event) => this.handleKeyUp(event);
+        this.onBlur = () => this.pressedKeys.clear();
+
+        window.addEventListener('keydown', this.onKeyDown);
+        window.addEventListener('keyup', this.onKeyUp);
+        window.addEventListener('blur', this.onBlur);
+    }
+
+    setupGamepad() {
+        this.gamepad = new GamepadControls();
+
+        BUTTON_ACTIONS.forEach((action) => {
+            this.gamepad.on(action, () => this.trigger(action));
+        });
+
+        this.gamepad.on('connected', (id) => this.trigger('gamepadConnected', [id]));
+        this.gamepad.on('disconnected', (id) => this.trigger('gamepadDisconnected', [id]));
+    }
+
+    setupTouch() {
+        this.touch = new TouchControls();
+
+        this.touch.on('toggleMode', () => this.trigger('toggleMode'));
+    }
+
+    handleKeyDown(event) {
+        // Leave text fields alone
+        const target = event.target;
+        if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT')) {
+            return;
+        }
+
+        // The next key press goes to the action being rebound
+        if (this.capture) {
+            event.preventDefault();
+            const { action, resolve } = this.capture;
+            this.capture = null;
+
+            if (event.code === 'Escape') {
+                resolve(null);
+            } else {
+                this.rebind(action, event.code);
+                resolve(event.code);
+            }
+            return;
+        }
+
+        const action = this.getActionForKey(event.code) ||
+            (this.splitPlayers ? this.getActionForKey(event.code, PLAYER_TWO_BINDINGS) : null);
+        if (!action) return;
+
+        // Keep arrows and Space from scrolling the page
+        event.preventDefault();
+
+        if (BUTTON_ACTIONS.includes(action)) {
+            if (!event.repeat) {
+                this.trigger(action);
+            }
+        } else {
+            this.pressedKeys.add(event.code);
+        }
+    }
+
+    handleKeyUp(event) {
+        this.pressedKeys.delete(event.code);
+    }
+
+    getActionForKey(code, bindings = this.bindings) {
+        return Object.keys(bindings).find(action => bindings[action].includes(code)) || null;
+    }
+
+    /**
+     * Whether any key bound to the action is held down
+     * @param {string} action - Name of the action, e.g. 'throttle'
+     * @param {Object} bindings - Key codes per action
+     * @param {string[]} excluded - Key codes to ignore
+     * @returns {boolean}
+     */
+    isKeyActionDown(action, bindings = this.bindings, excluded = []) {
+        const codes = bindings[action] || [];
+        return codes.some(code => this.pressedKeys.has(code) && !excluded.includes(code));
+    }
+
+    /**
+     * Set a driving state from the keys held down
+     */
+    readKeys(state, bindings, excluded = []) {
+        const isDown = action => this.isKeyActionDown(action, bindings, excluded);
+
+        state.throttle = isDown('throttle') ? 1 : 0;
+        state.brake = isDown('brake') ? 1 : 0;
+        state.steer = (isDown('steerLeft') ? 1 : 0) - (isDown('steerRight') ? 1 : 0);
+        state.handbrake = isDown('handbrake') ? 1 : 0;
+        state.boost = isDown('boost') ? 1 : 0;
+    }
+
+    /**
+     * Poll the devices and merge them into `state` - call once per frame
+     */
+    update() {
+        this.gamepad.update();
+
+        // Player 2's keys are taken away from player 1 in split-screen mode
+        const state = this.state;
+        const playerTwoKeys = this.splitPlayers ? Object.values(PLAYER_TWO_BINDINGS).flat() : [];
+        this.readKeys(state, this.bindings, playerTwoKeys);
+
+        if (this.splitPlayers) {
+            this.readKeys(this.playerTwoState, PLAYER_TWO_BINDINGS);
+        }
+
+        // Devices can be used together - the stronger input wins
+        [this.gamepad, this.touch].forEach((device) => {
+            state.throttle = Math.max(state.throttle, device.state.throttle);
+            state.brake = Math.max(state.brake, device.state.brake);
+            state.handbrake = Math.max(state.handbrake, device.state.handbrake);
+            state.boost = Math.max(state.boost, device.state.boost);
+            if (Math.abs(device.state.steer) > Math.abs(state.steer)) {
+                state.steer = device.state.steer;
+            }
+        });
+    }
+
+    /**
+     * Driving state of a player
+     * @param {number} player - 0 for player 1, 1 for player 2 in split-screen mode
+     * @returns {{throttle: number, brake: number, steer: number, handbrake: number, boost: number}}
+     */
+    getState(player = 0) {
+        return player === 1 ? this.playerTwoState : this.state;
+    }
+
+    /**
+     * Whether a player is using any driving control
+     * @param {number} player - 0 for player 1 (any device), 1 for player 2
+     * @returns {boolean}
+     */
+    isActive(player = 0) {
+        const state = this.getState(player);
+        return state.throttle > 0.05 ||
+            state.brake > 0.05 ||
+            state.handbrake > 0.05 ||
+            state.steer !== 0;
+    }
+
+    /**
+     * Whether the player is using any driving control on any device
+     * @returns {boolean}
+     */
+    get active() {
+        return this.isActive(0);
+    }
+
+    /**
+     * Bind a single key to an action, taking it away from any other action
+     * @param {string} action - Name of the action, e.g. 'throttle'
+     * @param {string} code - KeyboardEvent.code of the new key
+     */
+    rebind(action, code) {
+        if (!this.bindings[action]) {
+            console.warn(`Unknown input action: ${action}`);
+            return;
+        }
+
+        Object.keys(this.bindings).forEach((other) => {
+            this.bindings[other] = this.bindings[other].filter(existing => existing !== code);
+        });
+        this.bindings[action] = [code];
+
+        this.pressedKeys.clear();
+        this.saveBindings();
+        this.trigger('bindingsChange');
+    }
+
+    /**
+     * Wait for the next key press and bind it to the action (Escape cancels)
+     * @param {string} action - Name of the action, e.g. 'throttle'
+     * @returns {Promise<string|null>} The new key code, or null if cancelled
+     */
+    captureBinding(action) {
+        if (this.capture) {
+            this.capture.resolve(null);
+        }
+
+        return new Promise((resolve) => {
+            this.capture = { action, resolve };
+        });
+    }
+
+    resetBindings() {
+        this.bindings = this.copyBindings(DEFAULT_BINDINGS);
+        this.pressedKeys.clear();
+        this.saveBindings();
+        this.trigger('bindingsChange');
+    }
+
+    /**
+     * Readable list of the keys bound to an action, e.g. "W / ↑"
+     * @param {string} action - Name of the action
+     * @returns {string}
+     */
+    getBindingLabel(action) {
+        const codes = this.bindings[action] || [];
+        if (codes.length === 0) return '-';
+
+        return codes.map((code) => {
+            if (KEY_LABELS[code]) return KEY_LABELS[code];
+            if (code.startsWith('Key')) return code.slice(3);
+            if (code.startsWith('Digit')) return code.slice(5);
+            return code;
+        }).join(' / ');
+    }
+
+    copyBindings(bindings) {
+        const copy = {};
+        Object.keys(bindings).forEach((action) => {
+            copy[action] = bindings[action].slice();
+        });
+        return copy;
+    }
+
+    loadBindings() {
+        const bindings = this.copyBindings(DEFAULT_BINDINGS);
+
+        try {
+            const saved = JSON.parse(window.localStorage.getItem(this.storageKey));
+            if (saved) {
+                // Only take known actions so an old save can't break the controls
+                Object.keys(bindings).forEach((action) => {
+                    if (Array.isArray(saved[action])) {
+                        bindings[action] = saved[action].filter(code => typeof code === 'string');
+                    }
+                });
+            }
+        } catch (error) {
+            console.warn("Could not load saved key bindings:", error);
+        }
+
+        return bindings;
+    }
+
+    saveBindings() {
+        try {
+            window.localStorage.setItem(this.storageKey, JSON.stringify(this.bindings));
+        } catch (error) {
+            console.warn("Could not save key bindings:", error);
+        }
+    }
+
+    destroy() {
+        window.removeEventListener('keydown', this.onKeyDown);
+        window.removeEventListener('keyup', this.onKeyUp);
+        window.removeEventListener('blur', this.onBlur);
+
+        this.gamepad.destroy();
+        this.touch.destroy();
+
+        BUTTON_ACTIONS.forEach(action => this.off(action));
+        this.off('bindingsChange');
+        this.off('gamepadConnected');
+        this.off('gamepadDisconnected');
+    }
+}
@@ -10,6 +10,7 @@ export default class Resources extends EventEmitter {
         this.toLoad = 0;
         this.loaded = 0;
         this.loaders = {};
+        this.sharedGltfs = {};      // Path -> promise of the gltf, see loadSharedGltf()
 
         this.setLoaders();
         this.startLoading();
@@ -36,7 +37,8 @@ export default class Resources extends EventEmitter {
         this.loaders = {
             gltfLoader: new GLTFLoader(),
             textureLoader: new THREE.TextureLoader(),
-            cubeTextureLoader: new THREE.CubeTextureLoader()
+            cubeTextureLoader: new THREE.CubeTextureLoader(),
+            audioLoader: new THREE.AudioLoader()
         };
     }
 
@@ -47,11 +49,6 @@ export default class Resources extends EventEmitter {
 
         // Resource sources
         const sources = [
-            {
-                name: 'rcCarModel',
-                type: 'gltfModel',
-                path: '/models/rc_f1.glb'
-            },
             {
                 name: 'billboardModel',
                 type: 'gltfModel',
@@ -88,6 +85,18 @@ export default class Resources extends EventEmitter {
                     '/textures/environmentMap/pz.jpg',
                     '/textures/environmentMap/nz.jpg'
                 ]
+            },
+            {
+                name: 'musicSound',
+                type: 'synthAudio'
+            },
+            {
+                name: 'ambienceSound',
+                type: 'synthAudio'
+            },
+            {
+                name: 'billboardHumSound',
+                type: 'synthAudio'
             }
         ];
 
@@ -98,43 +107,14 @@ export default class Resources extends EventEmitter {
         for (const source of sources) {
             switch (source.type) {
                 case 'gltfModel':
-                    console.log(`Attempting to load model from: ${source.path}`);
-                    this.loaders.gltfLoader.load(
+                    this.loadGltf(
                         source.path,
                         (file) => {
                             console.log(`Successfully loaded model: ${source.name}`, file);
                             this.sourceLoaded(source, file);
                         },
-                        (progress) => {
-                            // Log progress for larger files
-                            if (progress.loaded && progress.total) {
-                                const percent = Math.round((progress.loaded / progress.total) * 100);
-                                if (percent % 25 === 0) { // Log at 0%, 25%, 50%, 75%, 100%
-                                    console.log(`Loading ${source.name}: ${percent}% (${progress.loaded}/${progress.total})`);
-                                }
-                            }
-                        },
-                        (error) => {
-                            console.error(`Error loading GLTF model: ${source.path}`, error);
-                            console.log(`Attempting alternative path for ${source.name}`);
-                            
-                            // Try an alternative path as fallback (try without and with leading slash)
-                            const altPath = source.path.startsWith('/') 
-                                ? source.path.substring(1) 
-                                : '/' + source.path;
-                                
-                            this.loaders.gltfLoader.load(
-                                altPath,
-                                (file) => {
-                                    console.log(`Successfully loaded model from alternative path: ${altPath}`, file);
-                                    this.sourceLoaded(source, file);
-                                },
-                                undefined,
-                                (secondError) => {
-                                    console.error(`Also failed with alternative path: ${altPath}`, secondError);
-                                    this.handleFailedLoad(source);
-                                }
-                            );
+                        () => {
+                            this.handleFailedLoad(source);
                         }
                     );
                     break;
@@ -164,6 +144,28 @@ export default class Resources extends EventEmitter {
                         }
                     );
                     break;
+                case 'audio':
+                    this.loaders.audioLoader.load(
+                        source.path,
+                        (file) => {
+                            this.sourceLoaded(source, file);
+                        },
+                        undefined,
+                        (error) => {
+                            console.warn(`Error loading audio: ${source.path}`, error);
+                            this.handleFailedLoad(source);
+                        }
+                    );
+                    break;
+                case 'synthAudio':
+                    // Generated in the browser, no file to fetch
+                    try {
+                        this.sourceLoaded(source, this.createAudioBuffer(source.name));
+                    } catch (error) {
+                        console.warn(`Error synthesizing audio: ${source.name}`, error);
+                        this.handleFailedLoad(source);
+                    }
+                    break;
                 default:
                     console.warn(`Unknown source type: ${source.type}`);
                     this.handleFailedLoad(source);
@@ -181,6 +183,84 @@ export default class Resources extends EventEmitter {
         }
     }
 
+    /**
+     * Load a GLB/GLTF file, retrying once with the other form of the path
+     * (with or without the leading slash) for hosts that serve from a sub folder
+     * @param {string} path - File path
+     * @param {Function} onLoad - Called with the loaded gltf
+     * @param {Function} onError - Called if both attempts fail
+     */
+    loadGltf(path, onLoad, onError) {
+        console.log(`Attempting to load model from: ${path}`);
+        
+        this.loaders.gltfLoader.load(
+            path,
+            onLoad,
+            (progress) => {
+                // Log progress for larger files
+                if (progress.loaded && progress.total) {
+                    const percent = Math.round((progress.loaded / progress.total) * 100);
+                    if (percent % 25 === 0) { // Log at 0%, 25%, 50%, 75%, 100%
+                        console.log(`Loading ${path}: ${percent}% (${progress.loaded}/${progress.total})`);
+                    }
+                }
+            },
+            (error) => {
+                console.error(`Error loading GLTF model: ${path}`, error);
+                
+                // Try an alternative path as fallback (try without and with leading slash)
+                const altPath = path.startsWith('/') 
+                    ? path.substring(1) 
+                    : '/' + path;
+                console.log(`Attempting alternative path: ${altPath}`);
+                    
+                this.loaders.gltfLoader.load(
+                    altPath,
+                    (file) => {
+                        console.log(`Successfully loaded model from alternative path: ${altPath}`, file);
+                        onLoad(file);
+                    },
+                    undefined,
+                    (secondError) => {
+                        console.error(`Also failed with alternative path: ${altPath}`, secondError);
+                        if (onError) {
+                            onError(secondError);
+                        }
+                    }
+                );
+            }
+        );
+    }
+
+    /**
+     * Load a GLB/GLTF file once and give each caller its own copy of the scene,
+     * for models that several cars use at the same time. The copies share
+     * geometry, materials and textures with the cached file, so don't dispose
+     * them with Experience.disposeObject
+     * @param {string} path - File path
+     * @param {Function} onLoad - Called with { scene } holding a copy of the scene
+     * @param {Function} onError - Called if the file can't be loaded
+     */
+    loadSharedGltf(path, onLoad, onError) {
+        if (!this.sharedGltfs[path]) {
+            this.sharedGltfs[path] = new Promise((resolve, reject) => this.loadGltf(path, resolve, reject));
+
+            // Try the file again next time rather than remembering the failure
+            this.sharedGltfs[path].catch(() => {
+                delete this.sharedGltfs[path];
+            });
+        }
+
+        this.sharedGltfs[path].then(
+            gltf => onLoad({ scene: gltf.scene.clone() }),
+            (error) => {
+                if (onError) {
+                    onError(error);
+                }
+            }
+        );
+    }
+
     sourceLoaded(source, file) {
         this.items[source.name] = file;
         this.loaded++;
@@ -242,6 +322,17 @@ export default class Resources extends EventEmitter {
                 // Super simple fallback just in case
                 this.items[source.name] = null;
             }
+        } else if (source.type === 'audio') {
+            // Synthesize a stand-in so the sound still plays
+            try {
+                this.items[source.name] = this.createAudioBuffer(source.name);
+            } catch (error) {
+                console.error("Error creating audio fallback:", error);
+                this.items[source.name] = null;
+            }
+        } else if (source.type === 'synthAudio') {
+            // The sound just stays silent
+            this.items[source.name] = null;
         }
         
         // Update loading bar
@@ -308,6 +399,83 @@ export default class Resources extends EventEmitter {
         return texture;
     }
 
+    /**
+     * Loopable synthesized sound, the source of the 'synthAudio' items and the
+     * stand-in for an 'audio' file that fails to load
+     * @param {string} name - Source name
+     * @returns {AudioBuffer}
+     */
+    createAudioBuffer(name) {
+        const context = THREE.AudioContext.getContext();
+        const sampleRate = 22050;
+
+        if (name === 'billboardHumSound') {
+            // Electrical hum: 60 Hz and its harmonics, a whole number of cycles so it loops cleanly
+            const buffer = context.createBuffer(1, sampleRate, sampleRate);
+            const data = buffer.getChannelData(0);
+            for (let i = 0; i < data.length; i++) {
+                const t = i / sampleRate;
+                data[i] = 0.4 * Math.sin(2 * Math.PI * 60 * t) +
+                    0.25 * Math.sin(2 * Math.PI * 120 * t) +
+                    0.15 * Math.sin(2 * Math.PI * 180 * t);
+            }
+            return buffer;
+        }
+
+        if (name === 'ambienceSound') {
+            // Soft wind: brown noise swelling slowly, with the end faded into the start
+            const length = sampleRate * 8;
+            const fade = sampleRate;
+            const noise = new Float32Array(length + fade);
+            let value = 0;
+            for (let i = 0; i < noise.length; i++) {
+                value = (value + 0.02 * (Math.random() * 2 - 1)) * 0.998;
+                noise[i] = value * (0.6 + 0.4 * Math.sin(2 * Math.PI * i / length));
+            }
+
+            const buffer = context.createBuffer(1, length, sampleRate);
+            const data = buffer.getChannelData(0);
+            for (let i = 0; i < length; i++) {
+                data[i] = noise[i] * 1.5;
+            }
+            for (let i = 0; i < fade; i++) {
+                data[i] = (noise[length + i] * (1 - i / fade) + noise[i] * (i / fade)) * 1.5;
+            }
+            return buffer;
+        }
+
+        // Music: a gentle arpeggio over four chords
+        const chords = [
+            [220.0, 261.6, 329.6],  // Am
+            [174.6, 220.0, 261.6],  // F
+            [196.0, 246.9, 293.7],  // G
+            [164.8, 207.7, 246.9]   // E
+        ];
+        const noteLength = sampleRate / 4;
+        const notesPerChord = 8;
+        const chordLength = noteLength * notesPerChord;
+        const buffer = context.createBuffer(1, chordLength * chords.length, sampleRate);
+        const data = buffer.getChannelData(0);
+
+        chords.forEach((chord, chordIndex) => {
+            for (let note = 0; note < notesPerChord; note++) {
+                const frequency = chord[note % chord.length] * (note >= 6 ? 2 : 1);
+                const start = (chordIndex * notesPerChord + note) * noteLength;
+                for (let i = 0; i < noteLength; i++) {
+                    const t = i / sampleRate;
+                    const envelope = Math.min(i / 200, 1) * Math.exp(-t * 6);
+                    // Bass note held through the chord, faded at the ends to avoid clicks
+                    const chordSample = note * noteLength + i;
+                    const bassEnvelope = Math.min(1, chordSample / 400, (chordLength - chordSample) / 400);
+                    const bass = 0.15 * bassEnvelope * Math.sin(2 * Math.PI * chord[0] / 2 * chordSample / sampleRate);
+                    data[start + i] = 0.3 * envelope * Math.sin(2 * Math.PI * frequency * t) + bass;
+                }
+            }
+        });
+
+        return buffer;
+    }
+
     createTrackTexture() {
         const canvas = document.createElement('canvas');
         canvas.width = 1024;
@@ -0,0 +1,19 @@
+/**
+ * Save text as a file through the browser's download, named with a timestamp
+ * Example: downloadFile('a,b\n1,2', 'text/csv', 'rc-car-telemetry', 'csv')
+ * @param {string} content - File contents
+ * @param {string} type - MIME type
+ * @param {string} prefix - Start of the file name
+ * @param {string} extension - File extension, without the dot
+ */
+export default function downloadFile(content, type, prefix, extension) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${prefix}-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')}.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
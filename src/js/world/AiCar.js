@@ -0,0 +1,242 @@
+import * as THREE from 'three';
+import KinematicCar from './KinematicCar.js';
+
+/**
+ * Computer-driven opponent.
+ *
+ * Follows the shared racing line with its own Autopilot, tuned by the driver's
+ * skill, and moves sideways off the line to get past slower cars. Aggressive
+ * drivers pull out to overtake early and follow closely; careful ones sit
+ * behind until there is room. The car is kinematic (see KinematicCar), but the
+ * player's car collides with it through Collisions.
+ */
+export default class AiCar extends KinematicCar {
+    /**
+     * @param {Experience} experience
+     * @param {Object} options
+     * @param {Autopilot} options.autopilot - Player's autopilot, its racing line is shared
+     * @param {Object} options.entry - Car catalog entry for the model and top speed
+     * @param {string} options.name - Driver name shown in the standings
+     * @param {string} options.color - Body colour
+     * @param {string} options.number - Race number painted on the sides
+     * @param {number} options.skill - 0-1, how close to the grip limit the driver goes
+     * @param {number} options.aggression - 0-1, how eagerly the driver overtakes and how closely they follow
+     */
+    constructor(experience, options = {}) {
+        super(experience, Object.assign({
+            entry: null,
+            name: 'AI',
+            groupName: 'aiCar',
+            color: '#cc3333',
+            number: '1',
+            skill: 0.85,
+            aggression: 0.5,
+            carWidth: 1.7,          // Sideways distance between car centres that keeps them apart
+            carLength: 2.4,         // Gap below which cars are alongside each other
+            lookAhead: 12,          // Distance ahead checked for traffic
+            laneChangeSpeed: 1.6,   // Sideways speed when changing line (units/s)
+            edgeMargin: 0.7         // Distance kept from the track edges
+        }, options));
+
+        this.track = this.experience.rcCar.track;
+
+        const entry = this.settings.entry || {};
+        const handling = Object.assign({}, this.experience.rcCar.defaultHandling, entry.handling);
+        const skill = THREE.MathUtils.clamp(this.settings.skill, 0, 1);
+
+        // Better drivers reach a higher share of the car's top speed and corner harder
+        this.autopilot = options.autopilot.createVariant({
+            maxSpeed: handling.maxSpeed * (0.7 + 0.25 * skill),
+            maxLateralAcceleration: options.autopilot.settings.maxLateralAcceleration * (0.75 + 0.5 * skill),
+            acceleration: options.autopilot.settings.acceleration * (0.8 + 0.4 * skill),
+            slowNearBillboards: false
+        });
+
+        this.halfWidth = Math.max((this.autopilot.settings.trackWidth || 0) / 2 - this.settings.edgeMargin, 0);
+        this.lane = 0;        // Sideways offset from the racing line
+        this.targetLane = 0;
+        this.laneVelocity = 0;
+        this.started = false;
+
+        // Less skilled drivers wander around the line a little
+        this.wanderPhase = Math.random() * Math.PI * 2;
+        this.elapsed = 0;
+    }
+
+    /**
+     * Put the car on the track, standing still
+     * @param {number} progress - Track progress (0-1)
+     * @param {number} lateral - Sideways offset from the track curve (positive is left)
+     */
+    place(progress, lateral = 0) {
+        this.autopilot.reset(progress, 0);
+        this.lane = lateral - this.autopilot.offset;
+        this.targetLane = this.lane;
+        this.laneVelocity = 0;
+        this.started = false;
+        this.lastPosition = null;
+
+        this.updatePose();
+    }
+
+    /**
+     * Let the car go (after the countdown)
+     */
+    start() {
+        this.started = true;
+    }
+
+    /**
+     * @param {number} delta - Elapsed time in seconds
+     * @param {Array} traffic - {along, lateral, speed} of every racer, this car included
+     * @param {Object} self - This car's entry in the traffic list
+     */
+    update(delta, traffic, self) {
+        const dt = Math.min(delta, 0.05);
+        this.elapsed += dt;
+
+        if (this.started) {
+            const speedLimit = this.planAround(traffic, self);
+            this.autopilot.update(dt, speedLimit);
+            this.steerToLane(dt);
+        }
+
+        this.updatePose();
+        this.updateWheels();
+    }
+
+    /**
+     * Look at the cars ahead and pick a line and speed that get past them without contact
+     * @returns {number} Speed limit from the traffic
+     */
+    planAround(traffic, self) {
+        const { aggression, skill, carWidth, carLength, lookAhead } = this.settings;
+        const trackLength = this.track.getLength();
+        const lineOffset = this.autopilot.offset;
+        const lateral = lineOffset + this.lane;
+
+        let blocker = null;
+        const alongside = [];
+
+        traffic.forEach((other) => {
+            if (other === self) return;
+
+            // Gap along the track, wrapped so cars just over the line count as ahead
+            let gap = other.along - self.along;
+            gap -= Math.round(gap / trackLength) * trackLength;
+
+            if (Math.abs(gap) < carLength) {
+                alongside.push(other);
+            }
+
+            const inPath = Math.abs(other.lateral - lateral) < carWidth;
+            if (gap > 0 && gap < lookAhead && inPath && (!blocker || gap < blocker.gap)) {
+                blocker = { other, gap };
+            }
+        });
+
+        // Drift back towards the racing line, wandering a little if less skilled
+        let targetLateral = lineOffset + Math.sin(this.elapsed * 0.4 + this.wanderPhase) * (1 - skill) * 0.6;
+        let speedLimit = Infinity;
+
+        if (blocker) {
+            const other = blocker.other;
+            const followDistance = carLength + (1 - aggression) * 1.5;
+            const passDistance = followDistance + 2 + lookAhead * aggression * 0.5;
+            const faster = this.autopilot.getSpeedAt(this.autopilot.distance) > other.speed + 0.3;
+
+            // Pull out to the side with room, the one needing the smallest move first
+            const passLane = faster && blocker.gap < passDistance
+                ? [other.lateral + carWidth + 0.2, other.lateral - carWidth - 0.2]
+                    .filter(candidate => Math.abs(candidate) <= this.halfWidth)
+                    .sort((a, b) => Math.abs(a - lateral) - Math.abs(b - lateral))[0]
+                : undefined;
+
+            if (passLane !== undefined) {
+                targetLateral = passLane;
+            } else {
+                targetLateral = lateral;
+            }
+
+            // Close in no faster than the car can brake to its speed (v² = 2·a·d) before the follow distance
+            const room = Math.max(blocker.gap - followDistance, 0);
+            speedLimit = Math.max(other.speed, 0) + Math.sqrt(2 * this.autopilot.settings.braking * room);
+        }
+
+        // Don't move across into a car that is alongside on the side we're heading to
+        // (a car straight ahead or behind isn't in the way of moving sideways)
+        const side = Math.sign(targetLateral - lateral);
+        const blocked = side !== 0 && alongside.some(other =>
+            side * (other.lateral - lateral) > carWidth / 2 && side * (other.lateral - targetLateral) < carWidth
+        );
+        if (blocked) {
+            targetLateral = lateral;
+        }
+
+        this.targetLane = THREE.MathUtils.clamp(targetLateral, -this.halfWidth, this.halfWidth) - lineOffset;
+        return speedLimit;
+    }
+
+    steerToLane(dt) {
+        const previous = this.lane;
+        const step = this.settings.laneChangeSpeed * dt;
+        this.lane += THREE.MathUtils.clamp(this.targetLane - this.lane, -step, step);
+
+        // Stay on the track as the racing line moves between the edges
+        const lineOffset = this.autopilot.offset;
+        this.lane = THREE.MathUtils.clamp(this.lane, -this.halfWidth - lineOffset, this.halfWidth - lineOffset);
+
+        this.laneVelocity = dt > 0 ? (this.lane - previous) / dt : 0;
+    }
+
+    updatePose() {
+        const tangent = this.autopilot.tangent;
+        const left = new THREE.Vector3(tangent.z, 0, -tangent.x).normalize();
+
+        this.group.position.copy(this.autopilot.position).addScaledVector(left, this.lane);
+
+        const surfaceHeight = this.track.getSurfaceHeight ? this.track.getSurfaceHeight(this.group.position) : 0;
+        this.group.position.y = surfaceHeight + 0.01;
+
+        // Angle the car into its lane changes
+        const direction = tangent.clone().addScaledVector(left, this.laneVelocity / Math.max(this.autopilot.speed, 2));
+        this.group.lookAt(
+            this.group.position.x + direction.x,
+            this.group.position.y,
+            this.group.position.z + direction.z
+        );
+    }
+
+    /**
+     * Collision box of the car for Collisions, moving with the car
+     * @param {Collisions} collisions
+     * @param {number} index - Index of the car in the race
+     */
+    getCollisionBox(collisions, index) {
+        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(this.group.quaternion);
+        const heading = Math.atan2(forward.x, forward.z);
+        const box = this.collisionBox;
+
+        return collisions.createBox(
+            this.group.position.x + forward.z * box.offsetX + forward.x * box.offsetZ,
+            this.group.position.z - forward.x * box.offsetX + forward.z * box.offsetZ,
+            heading,
+            box.halfWidth,
+            box.halfLength,
+            {
+                type: 'car',
+                index,
+                object: this.group,
+                velocity: new THREE.Vector2(forward.x * this.speed, forward.z * this.speed)
+            }
+        );
+    }
+
+    get progress() {
+        return this.autopilot.progress;
+    }
+
+    get speed() {
+        return this.started ? this.autopilot.speed : 0;
+    }
+}
@@ -0,0 +1,408 @@
+import * as THREE from 'three';
+
+/**
+ * Drives the car around the track in auto mode.
+ *
+ * A racing line is fitted inside the track edges by minimising its curvature,
+ * then a speed profile is built from that curvature: every point gets the
+ * fastest speed the lateral grip allows, and forward/backward passes limit
+ * how quickly that speed can rise (acceleration) and fall (braking), so the
+ * car brakes before corners and accelerates out of them. Near billboards the
+ * profile can drop to a reading speed.
+ */
+export default class Autopilot {
+    /**
+     * @param {Object} track - Track with getPointAt(t), getTangentAt(t) and getLength()
+     * @param {Object} options - Overrides for the default settings
+     * @param {Autopilot} source - Autopilot whose racing line is reused instead of fitting a new one
+     */
+    constructor(track, options = {}, source = null) {
+        this.track = track;
+
+        this.settings = Object.assign({
+            sampleCount: 256,           // Points on the racing line
+            trackWidth: 0,              // Drivable width around the track curve (0 = follow the curve)
+            edgeMargin: 1,              // Distance kept from the track edges
+            lineControls: 16,           // Control points shaping the racing line
+            lineIterations: 120,        // Optimisation steps for the racing line
+            maxSpeed: 12,               // Top speed on straights (units/s)
+            maxLateralAcceleration: 4,  // Grip in corners (units/s²)
+            acceleration: 4,            // Speed gained per second on the way out of corners
+            braking: 6,                 // Speed lost per second on the way into corners
+            slowNearBillboards: true,   // Slow down so visitors can read the billboards
+            readingSpeed: 6,
+            readingDistance: 6          // Distance from a billboard where the car is at reading speed
+        }, options);
+
+        this.distance = 0; // Along the racing line
+        this.speed = 0;
+
+        this.position = new THREE.Vector3();
+        this.tangent = new THREE.Vector3(0, 0, 1);
+
+        this.billboardCount = 0;
+
+        if (source) {
+            this.copyRacingLine(source);
+        } else {
+            this.buildRacingLine();
+        }
+        this.buildSpeedProfile();
+    }
+
+    /**
+     * Another driver on the same racing line, with its own speed settings.
+     * Fitting the line is the slow part, so the line is shared rather than rebuilt.
+     * @param {Object} options - Settings that differ from this autopilot's
+     * @returns {Autopilot}
+     */
+    createVariant(options = {}) {
+        return new Autopilot(this.track, Object.assign({}, this.settings, options), this);
+    }
+
+    // The line arrays are never changed in place, so they can be shared
+    copyRacingLine(source) {
+        ['centers', 'normals', 'offsets', 'points', 'distances', 'length', 'curvatures'].forEach((key) => {
+            this[key] = source[key];
+        });
+    }
+
+    buildRacingLine() {
+        const count = this.settings.sampleCount;
+        const halfWidth = Math.max(this.settings.trackWidth / 2 - this.settings.edgeMargin, 0);
+
+        // Centre line and its left normal on the floor plane
+        this.centers = [];
+        this.normals = [];
+        for (let i = 0; i < count; i++) {
+            const point = this.track.getPointAt(i / count);
+            const tangent = this.track.getTangentAt(i / count);
+            this.centers.push(point);
+            this.normals.push(new THREE.Vector3(tangent.z, 0, -tangent.x).normalize());
+        }
+
+        // Sideways offset of the line from the centre at each sample
+        const offsets = new Float64Array(count);
+
+        if (halfWidth > 0) {
+            this.optimizeOffsets(offsets, halfWidth);
+        }
+
+        this.points = this.centers.map((center, i) => center.clone().addScaledVector(this.normals[i], offsets[i]));
+        this.offsets = offsets;
+
+        // Cumulative distance along the closed line
+        this.distances = new Float64Array(count + 1);
+        for (let i = 0; i < count; i++) {
+            const next = this.points[(i + 1) % count];
+            this.distances[i + 1] = this.distances[i] + this.points[i].distanceTo(next);
+        }
+        this.length = this.distances[count];
+
+        // Curvature from the turn at each point over the distance it is spread across
+        this.curvatures = new Float64Array(count);
+        for (let i = 0; i < count; i++) {
+            this.curvatures[i] = this.getTurn(i, offsets) / this.getSpacing(i, offsets);
+        }
+    }
+
+    /**
+     * Move the line sideways within the track to minimise the curvature energy
+     * (sum of turn² / spacing), which lets the car carry the most speed.
+     * The offsets are driven by a few smooth control points so the line can't zigzag.
+     */
+    optimizeOffsets(offsets, halfWidth) {
+        const controls = new Float64Array(this.settings.lineControls);
+        const iterations = this.settings.lineIterations;
+        const probe = 0.01;
+        const energy = () => {
+            this.interpolateOffsets(controls, offsets, halfWidth);
+
+            let total = 0;
+            for (let i = 0; i < offsets.length; i++) {
+                const turn = this.getTurn(i, offsets);
+                total += turn * turn / this.getSpacing(i, offsets);
+            }
+            return total;
+        };
+
+        // Adam optimiser - each control gets its own step size, which copes with the
+        // energy being far more sensitive to wiggles than to moving the whole line
+        const momentum = new Float64Array(controls.length);
+        const variance = new Float64Array(controls.length);
+        const beta1 = 0.9;
+        const beta2 = 0.999;
+
+        for (let iteration = 1; iteration <= iterations; iteration++) {
+            // Shrinking steps so the line settles
+            const step = halfWidth * 0.05 * (1 - iteration / (iterations + 1));
+
+            for (let k = 0; k < controls.length; k++) {
+                const control = controls[k];
+                controls[k] = control + probe;
+                const plus = energy();
+                controls[k] = control - probe;
+                const minus = energy();
+                controls[k] = control;
+
+                const gradient = (plus - minus) / (2 * probe);
+                momentum[k] = beta1 * momentum[k] + (1 - beta1) * gradient;
+                variance[k] = beta2 * variance[k] + (1 - beta2) * gradient * gradient;
+            }
+
+            for (let k = 0; k < controls.length; k++) {
+                const m = momentum[k] / (1 - Math.pow(beta1, iteration));
+                const v = variance[k] / (1 - Math.pow(beta2, iteration));
+                controls[k] = THREE.MathUtils.clamp(controls[k] - step * m / (Math.sqrt(v) + 1e-12), -halfWidth, halfWidth);
+            }
+        }
+
+        this.interpolateOffsets(controls, offsets, halfWidth);
+    }
+
+    /**
+     * Smooth closed Catmull-Rom interpolation of the control offsets onto every sample
+     */
+    interpolateOffsets(controls, offsets, halfWidth) {
+        const controlCount = controls.length;
+
+        for (let i = 0; i < offsets.length; i++) {
+            const u = i * controlCount / offsets.length;
+            const k = Math.floor(u);
+            const t = u - k;
+
+            const p0 = controls[(k - 1 + controlCount) % controlCount];
+            const p1 = controls[k % controlCount];
+            const p2 = controls[(k + 1) % controlCount];
+            const p3 = controls[(k + 2) % controlCount];
+
+            const value = 0.5 * (
+                2 * p1 +
+                (p2 - p0) * t +
+                (2 * p0 - 5 * p1 + 4 * p2 - p3) * t * t +
+                (3 * p1 - p0 - 3 * p2 + p3) * t * t * t
+            );
+
+            offsets[i] = THREE.MathUtils.clamp(value, -halfWidth, halfWidth);
+        }
+    }
+
+    getLinePoint(i, offsets) {
+        const count = offsets.length;
+        const index = (i + count) % count;
+        const center = this.centers[index];
+        const normal = this.normals[index];
+
+        return {
+            x: center.x + normal.x * offsets[index],
+            z: center.z + normal.z * offsets[index]
+        };
+    }
+
+    // Heading change at a point of the line, in radians
+    getTurn(i, offsets) {
+        const previous = this.getLinePoint(i - 1, offsets);
+        const current = this.getLinePoint(i, offsets);
+        const next = this.getLinePoint(i + 1, offsets);
+
+        const ax = current.x - previous.x;
+        const az = current.z - previous.z;
+        const bx = next.x - current.x;
+        const bz = next.z - current.z;
+
+        return Math.abs(Math.atan2(ax * bz - az * bx, ax * bx + az * bz));
+    }
+
+    // Average length of the two segments around a point
+    getSpacing(i, offsets) {
+        const previous = this.getLinePoint(i - 1, offsets);
+        const current = this.getLinePoint(i, offsets);
+        const next = this.getLinePoint(i + 1, offsets);
+
+        const a = Math.hypot(current.x - previous.x, current.z - previous.z);
+        const b = Math.hypot(next.x - current.x, next.z - current.z);
+
+        return Math.max((a + b) / 2, 0.0001);
+    }
+
+    /**
+     * Fastest speed at each point of the line, limited by grip, billboards,
+     * acceleration and braking
+     */
+    buildSpeedProfile() {
+        const settings = this.settings;
+        const count = this.points.length;
+        const speeds = new Float64Array(count);
+
+        for (let i = 0; i < count; i++) {
+            const curvature = this.curvatures[i];
+            speeds[i] = curvature > 0
+                ? Math.min(settings.maxSpeed, Math.sqrt(settings.maxLateralAcceleration / curvature))
+                : settings.maxSpeed;
+        }
+
+        // Billboards are created once their model has loaded, so they may not exist yet
+        const signs = this.track.signs || [];
+        this.billboardCount = signs.length;
+
+        if (settings.slowNearBillboards) {
+            signs.forEach((sign) => {
+                for (let i = 0; i < count; i++) {
+                    const dx = this.points[i].x - sign.position.x;
+                    const dz = this.points[i].z - sign.position.z;
+                    if (dx * dx + dz * dz < settings.readingDistance * settings.readingDistance) {
+                        speeds[i] = Math.min(speeds[i], settings.readingSpeed);
+                    }
+                }
+            });
+        }
+
+        // The line is closed, so go round twice for the limits to carry over the start
+        for (let lap = 0; lap < 2; lap++) {
+            // Accelerating: v² = v0² + 2·a·d
+            for (let i = 0; i < count; i++) {
+                const next = (i + 1) % count;
+                const segment = this.distances[i + 1] - this.distances[i];
+                speeds[next] = Math.min(speeds[next], Math.sqrt(speeds[i] * speeds[i] + 2 * settings.acceleration * segment));
+            }
+
+            // Braking, worked out backwards from each corner
+            for (let i = count - 1; i >= 0; i--) {
+                const next = (i + 1) % count;
+                const segment = this.distances[i + 1] - this.distances[i];
+                speeds[i] = Math.min(speeds[i], Math.sqrt(speeds[next] * speeds[next] + 2 * settings.braking * segment));
+            }
+        }
+
+        this.speeds = speeds;
+    }
+
+    /**
+     * Change settings at runtime and rebuild what depends on them
+     * Example: window.experience.rcCar.autopilot.setSettings({ slowNearBillboards: false })
+     * @param {Object} settings - Any of the autopilot settings
+     */
+    setSettings(settings) {
+        const progress = this.progress;
+        Object.assign(this.settings, settings);
+
+        this.buildRacingLine();
+        this.buildSpeedProfile();
+        this.distance = this.getDistanceAtProgress(progress);
+    }
+
+    /**
+     * Continue from a point of the track
+     * @param {number} progress - Track progress (0-1) to continue from
+     * @param {number} speed - Current speed of the car
+     */
+    reset(progress, speed = 0) {
+        this.distance = this.getDistanceAtProgress(progress);
+        this.speed = Math.max(speed, 0);
+        this.updatePose();
+    }
+
+    getDistanceAtProgress(progress) {
+        const count = this.points.length;
+        const exact = (((progress % 1) + 1) % 1) * count;
+        const index = Math.floor(exact);
+        const next = this.distances[index + 1];
+
+        return this.distances[index] + (next - this.distances[index]) * (exact - index);
+    }
+
+    /**
+     * Target speed at a distance along the line
+     * @param {number} distance - Distance along the racing line
+     * @returns {number}
+     */
+    getSpeedAt(distance) {
+        const { index, fraction } = this.locate(distance);
+        const next = (index + 1) % this.points.length;
+
+        return this.speeds[index] + (this.speeds[next] - this.speeds[index]) * fraction;
+    }
+
+    locate(distance) {
+        const wrapped = ((distance % this.length) + this.length) % this.length;
+
+        // Binary search for the segment containing the distance
+        let low = 0;
+        let high = this.points.length - 1;
+        while (low < high) {
+            const middle = (low + high + 1) >> 1;
+            if (this.distances[middle] <= wrapped) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        const segment = this.distances[low + 1] - this.distances[low];
+        return {
+            index: low,
+            fraction: segment > 0 ? (wrapped - this.distances[low]) / segment : 0
+        };
+    }
+
+    /**
+     * @param {number} delta - Elapsed time in seconds
+     * @param {number} speedLimit - Extra cap on the target speed, e.g. to stay behind another car
+     */
+    update(delta, speedLimit = Infinity) {
+        const dt = Math.min(delta, 0.05);
+
+        // Pick up billboards created after the profile was built
+        const signs = this.track.signs || [];
+        if (signs.length !== this.billboardCount) {
+            this.buildSpeedProfile();
+        }
+
+        // Follow the profile within the car's acceleration and braking limits
+        const target = Math.max(Math.min(this.getSpeedAt(this.distance), speedLimit), 0);
+        if (this.speed < target) {
+            this.speed = Math.min(this.speed + this.settings.acceleration * dt, target);
+        } else {
+            this.speed = Math.max(this.speed - this.settings.braking * dt, target);
+        }
+
+        this.distance = (this.distance + this.speed * dt) % this.length;
+        this.updatePose();
+    }
+
+    updatePose() {
+        const { index, fraction } = this.locate(this.distance);
+        const count = this.points.length;
+        const current = this.points[index];
+        const next = this.points[(index + 1) % count];
+
+        this.position.copy(current).lerp(next, fraction);
+
+        // Blend the directions of the neighbouring segments so the heading turns smoothly
+        const after = this.points[(index + 2) % count];
+        const before = this.points[(index - 1 + count) % count];
+        const incoming = next.clone().sub(before).normalize();
+        const outgoing = after.clone().sub(current).normalize();
+        this.tangent.copy(incoming).lerp(outgoing, fraction).normalize();
+    }
+
+    /**
+     * Sideways offset of the racing line from the track curve at the car (positive is left)
+     * @returns {number}
+     */
+    get offset() {
+        const { index, fraction } = this.locate(this.distance);
+        const next = (index + 1) % this.points.length;
+
+        return this.offsets[index] + (this.offsets[next] - this.offsets[index]) * fraction;
+    }
+
+    /**
+     * Track progress (0-1) of the car, measured on the track curve
+     * @returns {number}
+     */
+    get progress() {
+        const { index, fraction } = this.locate(this.distance);
+        return ((index + fraction) / this.points.length) % 1;
+    }
+}
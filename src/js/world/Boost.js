@@ -0,0 +1,76 @@
+/**
+ * Boost tank of a car: burning it gives a temporary kick in top speed and
+ * acceleration (see VehiclePhysics.boost), and it fills back up slowly on its
+ * own or all at once from a pickup.
+ *
+ * Once started, a boost keeps going while the button is held until the tank
+ * is empty; a new one needs a little in the tank so tapping an empty tank
+ * doesn't stutter.
+ */
+export default class Boost {
+    /**
+     * @param {Function} emit - Called as emit(eventName, payload) for 'boostStart', 'boostEnd' and 'boostRefill'
+     * @param {Object} options - Overrides for the default rates
+     */
+    constructor(emit, options = {}) {
+        this.emit = emit;
+        this.settings = Object.assign({
+            drainRate: 0.35,     // Tank burnt per second of boost (about 3 seconds from full)
+            rechargeRate: 0.06,  // Tank refilled per second when not boosting
+            rechargeDelay: 1.5,  // Seconds after a boost before recharging starts
+            minStart: 0.15       // Tank needed to start a boost
+        }, options);
+
+        this.amount = 1;         // 0 (empty) to 1 (full)
+        this.active = false;
+        this.idleTime = 0;
+    }
+
+    /**
+     * @param {number} delta - Elapsed time in seconds
+     * @param {boolean} wanted - Whether the player is asking for boost
+     * @returns {number} Boost to apply to the vehicle model, 0 or 1
+     */
+    update(delta, wanted) {
+        const settings = this.settings;
+
+        if (wanted && (this.active || this.amount >= settings.minStart)) {
+            this.amount = Math.max(this.amount - settings.drainRate * delta, 0);
+            this.idleTime = 0;
+            this.setActive(this.amount > 0);
+        } else {
+            this.setActive(false);
+            this.idleTime += delta;
+
+            if (this.idleTime > settings.rechargeDelay) {
+                this.amount = Math.min(this.amount + settings.rechargeRate * delta, 1);
+            }
+        }
+
+        return this.active ? 1 : 0;
+    }
+
+    setActive(active) {
+        if (active === this.active) return;
+
+        this.active = active;
+        this.emit(active ? 'boostStart' : 'boostEnd', { amount: this.amount });
+    }
+
+    /**
+     * Top up the tank, e.g. from a pickup
+     * @param {number} amount - Share of the tank to add (0-1)
+     */
+    refill(amount = 1) {
+        this.amount = Math.min(this.amount + amount, 1);
+        this.emit('boostRefill', { amount: this.amount });
+    }
+
+    /**
+     * Stop boosting without touching the tank, e.g. when the car is put on a race grid
+     */
+    cancel() {
+        this.setActive(false);
+        this.idleTime = 0;
+    }
+}
@@ -0,0 +1,148 @@
+import * as THREE from 'three';
+import EventEmitter from '../utils/EventEmitter.js';
+
+/**
+ * Glowing boost pickups spread around the track.
+ *
+ * Driving through one tops up the car's boost tank and hides it for a while
+ * before it grows back. Both player cars can collect them in split-screen mode.
+ *
+ * Events: 'collect' (with the car and the pickup)
+ */
+export default class BoostPickups extends EventEmitter {
+    /**
+     * @param {Experience} experience
+     * @param {Object} options - Overrides for the default settings
+     */
+    constructor(experience, options = {}) {
+        super();
+
+        this.experience = experience;
+        this.scene = this.experience.scene;
+        this.track = this.experience.track;
+
+        this.settings = Object.assign({
+            count: 4,
+            sideOffset: 1.2,    // Distance from the track curve, alternating sides
+            height: 0.8,        // Hover height above the surface
+            radius: 1.5,        // Pickup distance from the car's centre
+            refill: 0.5,        // Share of the tank given
+            respawnTime: 8      // Seconds until a collected pickup is back
+        }, options);
+
+        this.elapsed = 0;
+        this.pickups = [];
+
+        this.group = new THREE.Group();
+        this.group.name = 'boostPickups';
+        this.scene.add(this.group);
+
+        this.geometry = new THREE.OctahedronGeometry(0.35);
+        this.material = new THREE.MeshStandardMaterial({
+            color: '#1a6f99',
+            emissive: '#50c8ff',
+            emissiveIntensity: 1.5,
+            roughness: 0.3
+        });
+
+        if (this.track && this.track.trackCurve) {
+            this.createPickups();
+        }
+    }
+
+    createPickups() {
+        const settings = this.settings;
+
+        for (let i = 0; i < settings.count; i++) {
+            // Spread evenly, clear of the start line
+            const progress = (i + 0.3) / settings.count;
+            const tangent = this.track.getTangentAt(progress);
+            const side = i % 2 === 0 ? 1 : -1;
+            const position = this.track.getPointAt(progress)
+                .addScaledVector(new THREE.Vector3(tangent.z, 0, -tangent.x).normalize(), side * settings.sideOffset);
+
+            const mesh = new THREE.Mesh(this.geometry, this.material);
+            mesh.position.copy(position);
+            this.group.add(mesh);
+
+            this.pickups.push({
+                mesh,
+                position,
+                phase: i * 1.7,     // Bob out of step with each other
+                respawnAt: 0        // Elapsed time when it is back, 0 while available
+            });
+        }
+    }
+
+    /**
+     * Cars that can collect pickups: the player's and player 2's in split-screen mode
+     * @returns {RCCar[]}
+     */
+    getCars() {
+        const splitScreen = this.experience.splitScreen;
+        return [this.experience.rcCar, splitScreen && splitScreen.car]
+            .filter(car => car && car.carGroup && car.boost);
+    }
+
+    update() {
+        const delta = Math.min(this.experience.time.delta / 1000, 0.1);
+        this.elapsed += delta;
+
+        const cars = this.getCars();
+        const radiusSq = this.settings.radius * this.settings.radius;
+
+        this.pickups.forEach((pickup) => {
+            const mesh = pickup.mesh;
+
+            if (pickup.respawnAt > 0) {
+                if (this.elapsed < pickup.respawnAt) return;
+
+                pickup.respawnAt = 0;
+                mesh.visible = true;
+                mesh.scale.setScalar(0.01);
+            }
+
+            // Grow back in after a respawn, then spin and bob
+            mesh.scale.setScalar(Math.min(mesh.scale.x + delta * 2, 1));
+            mesh.rotation.y += delta * 2;
+            const surfaceHeight = this.track.getSurfaceHeight ? this.track.getSurfaceHeight(pickup.position) : 0;
+            mesh.position.y = surfaceHeight + this.settings.height + Math.sin(this.elapsed * 3 + pickup.phase) * 0.15;
+
+            const car = cars.find((candidate) => {
+                const position = candidate.carGroup.position;
+                const dx = position.x - pickup.position.x;
+                const dz = position.z - pickup.position.z;
+                return dx * dx + dz * dz < radiusSq;
+            });
+            if (car) {
+                this.collect(pickup, car);
+            }
+        });
+    }
+
+    collect(pickup, car) {
+        pickup.respawnAt = this.elapsed + this.settings.respawnTime;
+        pickup.mesh.visible = false;
+
+        car.boost.refill(this.settings.refill);
+
+        if (this.experience.particles) {
+            this.experience.particles.emit('confetti', {
+                position: pickup.mesh.position,
+                velocity: new THREE.Vector3(0, 2, 0),
+                color: ['#50c8ff', '#ffffff'],
+                spread: 2,
+                life: 0.8,
+                count: 30
+            });
+        }
+
+        this.trigger('collect', [{ car, pickup }]);
+    }
+
+    destroy() {
+        this.scene.remove(this.group);
+        this.geometry.dispose();
+        this.material.dispose();
+    }
+}
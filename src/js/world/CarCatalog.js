@@ -0,0 +1,123 @@
+/**
+ * Cars available in the garage.
+ *
+ * Each entry describes how to load and set up one car:
+ * - path: GLB file in /public (null builds the blocky placeholder car)
+ * - scale / rotation: transform that makes the model face +Z at the right size
+ * - wheelPatterns: { frontPattern, rearPattern } regexes for WheelRig, null for the defaults
+ * - handling: overrides for the VehiclePhysics settings
+ * - suspension: overrides for the Suspension settings
+ * - livery: default paint job (see Livery), before the visitor's own changes
+ */
+const CARS = [
+    {
+        id: 'f1',
+        name: 'RC F1',
+        description: 'Low, stiff and fast. Loves smooth corners.',
+        path: '/models/rc_f1.glb',
+        scale: 0.25,
+        rotation: [0, Math.PI, 0],
+        wheelPatterns: null,
+        handling: {},
+        suspension: {},
+        livery: {}
+    },
+    {
+        id: 'buggy',
+        name: 'Dune Buggy',
+        description: 'Soft springs and loose rear end. Easy to drift.',
+        path: '/models/rc_buggy.glb',
+        scale: 0.25,
+        rotation: [0, Math.PI, 0],
+        wheelPatterns: {
+            frontPattern: /front/i,
+            rearPattern: /rear|back/i
+        },
+        handling: {
+            maxSpeed: 12,
+            accelerationCurve: [[0, 14], [0.5, 10], [0.8, 6], [1, 3]],
+            rearGrip: 10,
+            handbrakeGripFactor: 0.35,
+            maxSteerAngle: 0.65
+        },
+        suspension: {
+            stiffness: 70,
+            damping: 7,
+            maxPitch: 0.12,
+            maxRoll: 0.15,
+            maxHeave: 0.2
+        },
+        livery: {
+            finish: 'matte',
+            decal: 'number',
+            number: '23'
+        }
+    },
+    {
+        id: 'truck',
+        name: 'Monster Truck',
+        description: 'Heavy and slow to turn, but hard to unsettle.',
+        path: '/models/rc_truck.glb',
+        scale: 0.25,
+        rotation: [0, Math.PI, 0],
+        wheelPatterns: null,
+        handling: {
+            maxSpeed: 10,
+            accelerationCurve: [[0, 9], [0.5, 7], [0.8, 4.5], [1, 2]],
+            maxSteerAngle: 0.5,
+            yawInertia: 1.6,
+            frontGrip: 14,
+            rearGrip: 15
+        },
+        suspension: {
+            stiffness: 50,
+            damping: 6,
+            rollPerAcceleration: 0.012,
+            maxRoll: 0.18,
+            maxHeave: 0.25
+        },
+        livery: {
+            decal: 'stripes'
+        }
+    },
+    {
+        id: 'prototype',
+        name: 'Prototype',
+        description: 'The blocky test car. Always available.',
+        path: null,
+        scale: 1,
+        rotation: [0, 0, 0],
+        wheelPatterns: null,
+        handling: {},
+        suspension: {},
+        livery: {
+            finish: 'matte'
+        }
+    }
+];
+
+export default class CarCatalog {
+    /**
+     * @param {Array} cars - Catalog entries, defaults to the built-in cars
+     */
+    constructor(cars = CARS) {
+        this.cars = cars;
+        this.defaultId = this.cars[0].id;
+    }
+
+    /**
+     * @param {string} id - Car id
+     * @returns {Object|null} The catalog entry
+     */
+    get(id) {
+        return this.cars.find(car => car.id === id) || null;
+    }
+
+    getDefault() {
+        return this.get(this.defaultId);
+    }
+
+    list() {
+        return this.cars.slice();
+    }
+}
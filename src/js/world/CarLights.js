@@ -0,0 +1,229 @@
+import * as THREE from 'three';
+
+const LAMP_COLORS = {
+    head: '#fff3d6',
+    tail: '#ff1a1a',
+    indicator: '#ffa31a'
+};
+
+/**
+ * Lights of a car: headlights, taillights that brighten when braking or
+ * reversing, and indicators that blink while steering.
+ *
+ * The rig hangs off the car group and is rebuilt around each new model from
+ * its measured size. Every lamp is an emissive lens; on 'high' quality the
+ * headlights also cast real spot lights. The spot lights stay in the scene and
+ * are dimmed to 0 when off, so toggling them doesn't recompile the materials.
+ * 'low' quality keeps only the lenses, which cost next to nothing.
+ */
+export default class CarLights {
+    /**
+     * @param {Experience} experience
+     * @param {Object} options
+     * @param {RCCar} options.car - Car to light (the player's car by default)
+     * @param {string} options.quality - 'high' or 'low' (low by default on touch devices)
+     */
+    constructor(experience, options = {}) {
+        this.experience = experience;
+        this.car = options.car || this.experience.rcCar;
+
+        const coarsePointer = window.matchMedia && window.matchMedia('(pointer: coarse)').matches;
+
+        this.settings = {
+            quality: options.quality || (coarsePointer ? 'low' : 'high'),
+            headlightIntensity: 3,
+            headlightDistance: 18,
+            headlightAngle: 0.45,
+            tailIntensity: 0.6,         // Emissive intensity of the taillights while driving
+            brakeIntensity: 3,          // ...when braking or reversing
+            indicatorIntensity: 2.5,
+            blinkInterval: 0.35,        // Seconds on, then off
+            indicatorSteer: 0.3,        // Steering input (or 0.15 rad of wheel angle) that starts the blinking
+            brakeDeceleration: 3        // Deceleration (units/s²) that counts as braking under autopilot
+        };
+
+        this.headlightsOn = false;
+        this.braking = false;
+        this.indicator = 0;     // 1 left, -1 right, 0 off
+        this.blinkTime = 0;
+        this.lastSpeed = 0;
+
+        this.car.on('carChange', () => this.build());
+        if (this.car.model) {
+            this.build();
+        }
+    }
+
+    /**
+     * (Re)build the lamps around the current model
+     */
+    build() {
+        const car = this.car;
+        if (!car.carGroup || !car.model) return;
+
+        this.disposeRig();
+
+        // Size of the model in car space
+        let bounds;
+        car.withCarParked(() => {
+            bounds = new THREE.Box3().setFromObject(car.model);
+        });
+        if (bounds.isEmpty()) return;
+
+        const width = bounds.max.x - bounds.min.x;
+        const height = bounds.max.y - bounds.min.y;
+        const lampY = bounds.min.y + height * 0.4;
+        const lampX = width * 0.32;
+        const lampSize = new THREE.Vector3(width * 0.16, Math.max(height * 0.1, 0.03), 0.02);
+
+        this.rig = new THREE.Group();
+        this.rig.name = 'carLights';
+        car.carGroup.add(this.rig);
+
+        this.materials = {};
+        Object.keys(LAMP_COLORS).forEach((name) => {
+            this.materials[name] = new THREE.MeshStandardMaterial({
+                color: '#111111',
+                emissive: LAMP_COLORS[name],
+                emissiveIntensity: 0
+            });
+        });
+
+        const lampGeometry = new THREE.BoxGeometry(lampSize.x, lampSize.y, lampSize.z);
+        const indicatorGeometry = new THREE.BoxGeometry(lampSize.x * 0.4, lampSize.y, lampSize.z);
+
+        const addLamp = (geometry, material, x, z) => {
+            const lamp = new THREE.Mesh(geometry, material);
+            lamp.position.set(x, lampY, z);
+            this.rig.add(lamp);
+            return lamp;
+        };
+
+        // +X is the car's left
+        [1, -1].forEach((side) => {
+            addLamp(lampGeometry, this.materials.head, side * lampX, bounds.max.z);
+            addLamp(lampGeometry, this.materials.tail, side * lampX, bounds.min.z);
+        });
+
+        // Indicators on the outer corners, one material per side
+        this.indicatorMaterials = {
+            1: this.materials.indicator,
+            '-1': this.materials.indicator.clone()
+        };
+        [1, -1].forEach((side) => {
+            const x = side * (lampX + lampSize.x * 0.75);
+            addLamp(indicatorGeometry, this.indicatorMaterials[side], x, bounds.max.z);
+            addLamp(indicatorGeometry, this.indicatorMaterials[side], x, bounds.min.z);
+        });
+
+        this.spotLights = [];
+        if (this.settings.quality === 'high') {
+            [1, -1].forEach((side) => {
+                const spotLight = new THREE.SpotLight(
+                    LAMP_COLORS.head,
+                    0,
+                    this.settings.headlightDistance,
+                    this.settings.headlightAngle,
+                    0.6,
+                    1.2
+                );
+                spotLight.position.set(side * lampX, lampY, bounds.max.z);
+                spotLight.target.position.set(side * lampX * 2, 0, bounds.max.z + 8);
+                this.rig.add(spotLight, spotLight.target);
+                this.spotLights.push(spotLight);
+            });
+        }
+
+        this.applyHeadlights();
+    }
+
+    /**
+     * Example: window.experience.carLights.setHeadlights(true)
+     * @param {boolean} on
+     */
+    setHeadlights(on) {
+        this.headlightsOn = on;
+        this.applyHeadlights();
+    }
+
+    toggleHeadlights() {
+        this.setHeadlights(!this.headlightsOn);
+    }
+
+    applyHeadlights() {
+        if (!this.rig) return;
+
+        this.materials.head.emissiveIntensity = this.headlightsOn ? 2.5 : 0.15;
+        this.spotLights.forEach((spotLight) => {
+            spotLight.intensity = this.headlightsOn ? this.settings.headlightIntensity : 0;
+        });
+    }
+
+    /**
+     * Example: window.experience.carLights.setQuality('low')
+     * @param {string} quality - 'high' (real headlight beams) or 'low' (glowing lenses only)
+     */
+    setQuality(quality) {
+        this.settings.quality = quality;
+        this.build();
+    }
+
+    update() {
+        if (!this.rig) return;
+
+        const car = this.car;
+        const settings = this.settings;
+        const dt = Math.min(this.experience.time.delta / 1000, 0.1);
+
+        const speed = car.currentSpeed;
+        const deceleration = dt > 0 ? (Math.abs(this.lastSpeed) - Math.abs(speed)) / dt : 0;
+        this.lastSpeed = speed;
+
+        let steer;
+        if (car.controlMode === 'manual') {
+            const input = car.getDriveInput();
+
+            // Braking forwards, or reversing
+            this.braking = (input.brake > 0.1 && speed > 0.1) || speed < -0.1;
+            steer = Math.abs(input.steer) > settings.indicatorSteer ? Math.sign(input.steer) : 0;
+        } else {
+            this.braking = deceleration > settings.brakeDeceleration;
+            steer = Math.abs(car.wheelSteerAngle || 0) > 0.15 ? Math.sign(car.wheelSteerAngle) : 0;
+        }
+
+        this.materials.tail.emissiveIntensity = this.braking ? settings.brakeIntensity : settings.tailIntensity;
+
+        // Blink the side being steered to, starting with the lamp on
+        if (steer !== this.indicator) {
+            this.indicator = steer;
+            this.blinkTime = 0;
+        } else {
+            this.blinkTime += dt;
+        }
+        const blinkOn = this.indicator !== 0 && Math.floor(this.blinkTime / settings.blinkInterval) % 2 === 0;
+
+        [1, -1].forEach((side) => {
+            this.indicatorMaterials[side].emissiveIntensity = blinkOn && this.indicator === side ? settings.indicatorIntensity : 0;
+        });
+    }
+
+    disposeRig() {
+        if (!this.rig) return;
+
+        this.rig.parent.remove(this.rig);
+        this.rig.traverse((child) => {
+            if (child.geometry) {
+                child.geometry.dispose();
+            }
+        });
+        Object.values(this.materials).forEach(material => material.dispose());
+        this.indicatorMaterials[-1].dispose();
+        this.spotLights.forEach(spotLight => spotLight.dispose());
+
+        this.rig = null;
+    }
+
+    destroy() {
+        this.disposeRig();
+    }
+}
@@ -0,0 +1,115 @@
+import * as THREE from 'three';
+
+/**
+ * Dust kicked up by a car's rear wheels and puffs from its exhaust, emitted
+ * into the shared Particles pool.
+ *
+ * Dust grows with the speed and much more with sliding (slip angle or
+ * handbrake). The exhaust puffs while the car accelerates, harder with more
+ * throttle.
+ */
+export default class CarParticles {
+    /**
+     * @param {Experience} experience
+     * @param {Object} options
+     * @param {RCCar} options.car - Car to follow (the player's car by default)
+     */
+    constructor(experience, options = {}) {
+        this.experience = experience;
+        this.particles = this.experience.particles;
+        this.car = options.car || this.experience.rcCar;
+
+        this.settings = {
+            dustRate: 12,           // Dust per second per wheel at top speed
+            slipDustRate: 60,       // Extra dust per second per wheel when sliding hard
+            minDustSpeed: 1.5,      // No dust below this speed
+            exhaustRate: 14,        // Puffs per second at full throttle
+            minAcceleration: 0.5    // Acceleration (units/s²) that counts as accelerating
+        };
+
+        // Fractions of a particle carried over to the next frame
+        this.dustCarry = 0;
+        this.exhaustCarry = 0;
+        this.lastSpeed = 0;
+
+        this.wheelOffsets = [new THREE.Vector3(), new THREE.Vector3()];
+        this.exhaustOffset = new THREE.Vector3();
+        this.position = new THREE.Vector3();
+        this.velocity = new THREE.Vector3();
+        this.forward = new THREE.Vector3();
+    }
+
+    update() {
+        const car = this.car;
+        if (!car.carGroup || !car.physics) return;
+
+        const dt = Math.min(this.experience.time.delta / 1000, 0.05);
+        if (dt <= 0) return;
+
+        const speed = Math.abs(car.currentSpeed);
+        const speedRatio = Math.min(speed / car.physics.settings.maxSpeed, 1);
+        const acceleration = (speed - this.lastSpeed) / dt;
+        this.lastSpeed = speed;
+
+        const manual = car.controlMode === 'manual';
+        const input = manual ? car.getDriveInput() : null;
+
+        this.forward.set(0, 0, 1).applyQuaternion(car.carGroup.quaternion);
+        this.updateOffsets();
+
+        // Dust from both rear wheels
+        if (speed > this.settings.minDustSpeed) {
+            const slip = manual ? Math.abs(car.physics.slipAngle) : 0;
+            const sliding = Math.min(slip * 3 + (input ? input.handbrake : 0), 1);
+            this.dustCarry += (this.settings.dustRate * speedRatio + this.settings.slipDustRate * sliding) * dt;
+
+            // Dust is thrown back and up, trailing behind the car
+            this.velocity.copy(this.forward).multiplyScalar(car.currentSpeed * 0.15);
+            this.velocity.y = 0.4 + sliding * 0.6;
+
+            while (this.dustCarry >= 1) {
+                this.dustCarry -= 1;
+                this.wheelOffsets.forEach((offset) => {
+                    this.particles.emit('dust', {
+                        position: car.carGroup.localToWorld(this.position.copy(offset)),
+                        velocity: this.velocity,
+                        opacity: 0.2 + 0.2 * sliding
+                    });
+                });
+            }
+        } else {
+            this.dustCarry = 0;
+        }
+
+        // Exhaust while accelerating
+        const throttle = input ? input.throttle : THREE.MathUtils.clamp(acceleration / 4, 0, 1);
+        if (throttle > 0.1 && acceleration > this.settings.minAcceleration) {
+            this.exhaustCarry += this.settings.exhaustRate * throttle * dt;
+
+            this.velocity.copy(this.forward).multiplyScalar(-0.8);
+            this.velocity.y = 0.2;
+
+            while (this.exhaustCarry >= 1) {
+                this.exhaustCarry -= 1;
+                this.particles.emit('exhaust', {
+                    position: car.carGroup.localToWorld(this.position.copy(this.exhaustOffset)),
+                    velocity: this.velocity
+                });
+            }
+        } else {
+            this.exhaustCarry = 0;
+        }
+    }
+
+    /**
+     * Rear wheel contact points and exhaust in car space, from the car's measured footprint
+     */
+    updateOffsets() {
+        const box = this.car.collisionBox;
+        const rear = box.offsetZ - box.halfLength * 0.8;
+
+        this.wheelOffsets[0].set(box.offsetX + box.halfWidth * 0.8, 0.05, rear);
+        this.wheelOffsets[1].set(box.offsetX - box.halfWidth * 0.8, 0.05, rear);
+        this.exhaustOffset.set(box.offsetX + box.halfWidth * 0.3, box.halfWidth * 0.4, box.offsetZ - box.halfLength);
+    }
+}
@@ -0,0 +1,197 @@
+import * as THREE from 'three';
+
+/**
+ * 2D collision volumes on the floor plane (XZ).
+ *
+ * Billboards become oriented boxes measured from their GLB bounding boxes, the
+ * floor edge becomes a square boundary, and cars are tested as oriented boxes
+ * against both using the separating axis test.
+ */
+export default class Collisions {
+    constructor(experience) {
+        this.experience = experience;
+
+        this.settings = {
+            restitution: 0.3,   // Bounciness of the impact (0 = no bounce)
+            friction: 0.2,      // Share of the sliding speed lost along the surface
+            boundsMargin: 5     // Keep the car this far from the edge of the floor
+        };
+
+        this.obstacles = [];
+        this.obstaclesBuilt = false;
+
+        // Moving obstacles such as AI cars, replaced every frame by their owner
+        this.dynamicObstacles = [];
+    }
+
+    /**
+     * Build boxes around the billboard groups created by Track.createSigns()
+     */
+    buildObstacles() {
+        const track = this.experience.track;
+        if (!track || !track.signs || track.signs.length === 0) return;
+
+        this.obstacles = track.signs.map((billboardGroup, index) => {
+            // Measure the billboard unrotated so the box fits it tightly
+            const rotation = billboardGroup.rotation.y;
+            billboardGroup.rotation.y = 0;
+            billboardGroup.updateMatrixWorld(true);
+            const box = new THREE.Box3().setFromObject(billboardGroup);
+            billboardGroup.rotation.y = rotation;
+            billboardGroup.updateMatrixWorld(true);
+
+            const center = box.getCenter(new THREE.Vector3());
+            const size = box.getSize(new THREE.Vector3());
+
+            // Offset of the box centre from the group origin, rotated with the group
+            const offset = new THREE.Vector3(center.x - billboardGroup.position.x, 0, center.z - billboardGroup.position.z)
+                .applyAxisAngle(new THREE.Vector3(0, 1, 0), rotation);
+
+            return this.createBox(
+                billboardGroup.position.x + offset.x,
+                billboardGroup.position.z + offset.z,
+                rotation,
+                size.x / 2,
+                size.z / 2,
+                { type: 'billboard', index, object: billboardGroup }
+            );
+        });
+
+        this.obstaclesBuilt = true;
+        console.log(`Built ${this.obstacles.length} billboard collision volumes`);
+    }
+
+    /**
+     * @param {number} x - Centre x
+     * @param {number} z - Centre z
+     * @param {number} rotation - Rotation around Y in radians
+     * @param {number} halfWidth - Half size along the local X axis
+     * @param {number} halfLength - Half size along the local Z axis
+     * @param {Object} data - Extra information returned with contacts (a THREE.Vector2 velocity for moving boxes)
+     */
+    createBox(x, z, rotation, halfWidth, halfLength, data = {}) {
+        return Object.assign({
+            center: new THREE.Vector2(x, z),
+            // Local X and Z axes of the box on the floor plane
+            axisX: new THREE.Vector2(Math.cos(rotation), -Math.sin(rotation)),
+            axisZ: new THREE.Vector2(Math.sin(rotation), Math.cos(rotation)),
+            halfWidth,
+            halfLength
+        }, data);
+    }
+
+    /**
+     * Separating axis test between two boxes
+     * @returns {{normal: THREE.Vector2, depth: number}|null} Normal pushing a out of b
+     */
+    intersectBoxes(a, b) {
+        const axes = [a.axisX, a.axisZ, b.axisX, b.axisZ];
+        const difference = b.center.clone().sub(a.center);
+        let best = null;
+
+        for (const axis of axes) {
+            const radiusA = a.halfWidth * Math.abs(a.axisX.dot(axis)) + a.halfLength * Math.abs(a.axisZ.dot(axis));
+            const radiusB = b.halfWidth * Math.abs(b.axisX.dot(axis)) + b.halfLength * Math.abs(b.axisZ.dot(axis));
+            const distance = difference.dot(axis);
+            const depth = radiusA + radiusB - Math.abs(distance);
+
+            if (depth <= 0) return null;
+
+            if (!best || depth < best.depth) {
+                best = {
+                    normal: axis.clone().multiplyScalar(distance > 0 ? -1 : 1),
+                    depth
+                };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Push a car out of obstacles and the floor edge, and bounce its velocity
+     * @param {VehiclePhysics} physics - The car's vehicle model (position and velocity are changed)
+     * @param {{offsetX: number, offsetZ: number, halfWidth: number, halfLength: number}} carBox - Car footprint in car space
+     * @param {Array} extraObstacles - Boxes only this car collides with, e.g. the other player's car
+     * @returns {Array} Contacts with type, point, normal, impactSpeed and the obstacle data
+     */
+    resolveCar(physics, carBox, extraObstacles = []) {
+        if (!this.obstaclesBuilt) {
+            this.buildObstacles();
+        }
+
+        const contacts = [];
+        const box = this.createBox(
+            physics.position.x + physics.left.x * carBox.offsetX + physics.forward.x * carBox.offsetZ,
+            physics.position.z + physics.left.z * carBox.offsetX + physics.forward.z * carBox.offsetZ,
+            physics.heading,
+            carBox.halfWidth,
+            carBox.halfLength
+        );
+
+        this.obstacles.concat(this.dynamicObstacles, extraObstacles).forEach((obstacle) => {
+            const hit = this.intersectBoxes(box, obstacle);
+            if (hit) {
+                contacts.push(this.respond(physics, box, hit.normal, hit.depth, obstacle));
+            }
+        });
+
+        // Floor edge - the trackPlane is a square around the origin
+        const plane = this.experience.track && this.experience.track.trackPlane;
+        if (plane && plane.geometry.parameters) {
+            const limit = plane.geometry.parameters.width / 2 - this.settings.boundsMargin;
+            const reach = Math.max(carBox.halfWidth, carBox.halfLength);
+
+            [['x', new THREE.Vector2(1, 0)], ['y', new THREE.Vector2(0, 1)]].forEach(([component, axis]) => {
+                const overshoot = Math.abs(box.center[component]) + reach - limit;
+                if (overshoot > 0) {
+                    const normal = axis.clone().multiplyScalar(-Math.sign(box.center[component]));
+                    contacts.push(this.respond(physics, box, normal, overshoot, { type: 'bounds' }));
+                }
+            });
+        }
+
+        return contacts;
+    }
+
+    respond(physics, box, normal, depth, obstacle) {
+        // Move out of the obstacle
+        physics.position.x += normal.x * depth;
+        physics.position.z += normal.y * depth;
+
+        // Bounce off and slide along the surface, relative to the obstacle if it moves
+        const obstacleVelocity = obstacle.velocity || new THREE.Vector2();
+        const velocity = new THREE.Vector2(physics.velocity.x, physics.velocity.z).sub(obstacleVelocity);
+        const normalSpeed = velocity.dot(normal);
+        let impactSpeed = 0;
+
+        if (normalSpeed < 0) {
+            impactSpeed = -normalSpeed;
+            const tangent = velocity.clone().sub(normal.clone().multiplyScalar(normalSpeed));
+            tangent.multiplyScalar(1 - this.settings.friction);
+            velocity.copy(tangent).add(normal.clone().multiplyScalar(impactSpeed * this.settings.restitution));
+            velocity.add(obstacleVelocity);
+
+            physics.velocity.x = velocity.x;
+            physics.velocity.z = velocity.y;
+
+            // Hard hits unsettle the car
+            physics.yawRate *= 0.5;
+        }
+
+        // Approximate contact point on the car's side facing the obstacle
+        const point = new THREE.Vector3(
+            box.center.x - normal.x * box.halfWidth,
+            0,
+            box.center.y - normal.y * box.halfWidth
+        );
+
+        return {
+            type: obstacle.type,
+            obstacle,
+            point,
+            normal: new THREE.Vector3(normal.x, 0, normal.y),
+            impactSpeed
+        };
+    }
+}
@@ -0,0 +1,92 @@
+/**
+ * Turns the vehicle model's slip angle into drift scores and combos.
+ * Drifts that start shortly after the previous one ended are chained into a combo,
+ * and the combo total is banked once the chain runs out.
+ */
+export default class DriftTracker {
+    /**
+     * @param {Function} emit - Called as emit(eventName, payload) for every drift event
+     * @param {Object} options - Overrides for the default thresholds
+     */
+    constructor(emit, options = {}) {
+        this.emit = emit;
+        this.settings = Object.assign({
+            minSlipAngle: 0.2,   // Radians of body slip before a slide counts as a drift
+            minSpeed: 4,         // Units per second
+            endDelay: 0.4,       // Seconds below the threshold before a drift ends
+            comboWindow: 2,      // Seconds allowed between drifts to keep the combo alive
+            maxCombo: 8,
+            pointsPerUnit: 10    // Points per radian of slip per unit travelled
+        }, options);
+
+        this.reset();
+    }
+
+    reset() {
+        this.isDrifting = false;
+        this.score = 0;          // Score of the current drift
+        this.comboScore = 0;     // Sum of the drifts in the current combo
+        this.combo = 0;          // Number of chained drifts
+        this.belowTime = 0;
+        this.comboTimer = 0;
+    }
+
+    /**
+     * @param {number} delta - Elapsed time in seconds
+     * @param {VehiclePhysics} physics - Vehicle model to read the slip from
+     */
+    update(delta, physics) {
+        const settings = this.settings;
+        const speed = physics.speed;
+        const angle = Math.abs(physics.slipAngle);
+        const sliding = angle > settings.minSlipAngle && speed > settings.minSpeed;
+
+        if (sliding) {
+            this.belowTime = 0;
+
+            if (!this.isDrifting) {
+                this.isDrifting = true;
+                this.score = 0;
+                this.combo = Math.min(this.combo + 1, settings.maxCombo);
+                this.emit('driftStart', { combo: this.combo });
+            }
+
+            this.score += angle * speed * delta * settings.pointsPerUnit;
+            this.emit('drift', {
+                angle: physics.slipAngle,
+                score: Math.round(this.score),
+                comboScore: Math.round(this.comboScore + this.score),
+                combo: this.combo
+            });
+        } else if (this.isDrifting) {
+            this.belowTime += delta;
+
+            if (this.belowTime >= settings.endDelay) {
+                this.isDrifting = false;
+                this.comboScore += this.score;
+                this.comboTimer = settings.comboWindow;
+                this.emit('driftEnd', { score: Math.round(this.score), combo: this.combo });
+            }
+        } else if (this.combo > 0) {
+            this.comboTimer -= delta;
+
+            if (this.comboTimer <= 0) {
+                this.emit('driftComboEnd', {
+                    total: Math.round(this.comboScore * this.combo),
+                    combo: this.combo
+                });
+                this.reset();
+            }
+        }
+    }
+
+    /**
+     * Drop the running drift and combo without banking it (e.g. after a crash)
+     */
+    cancel() {
+        if (this.isDrifting || this.combo > 0) {
+            this.emit('driftCancel', { combo: this.combo });
+        }
+        this.reset();
+    }
+}
@@ -0,0 +1,176 @@
+/**
+ * Synthesized engine and tyre sounds of a car (WebAudio, no samples).
+ *
+ * The engine is two detuned sawtooth oscillators and a sub octave through a
+ * low-pass filter. Pitch follows the speed (with simple gear changes) and the
+ * filter opens and the volume rises with the throttle, so accelerating sounds
+ * harder than coasting. The engine fades out when the car stops.
+ * Tyre squeal is filtered noise that fades in with the body slip angle and with
+ * hard steering at speed.
+ *
+ * Plays on the AudioManager's sfx bus, which also takes care of starting the
+ * audio on the first user gesture as browsers require.
+ */
+export default class EngineSound {
+    /**
+     * @param {Experience} experience
+     * @param {Object} options
+     * @param {RCCar} options.car - Car to listen to (the player's car by default)
+     * @param {number} options.volume - 0-1
+     */
+    constructor(experience, options = {}) {
+        this.experience = experience;
+        this.car = options.car || this.experience.rcCar;
+
+        this.settings = {
+            volume: options.volume !== undefined ? options.volume : 0.5,
+            idleFrequency: 38,      // Hz of the engine at a standstill
+            maxFrequency: 150,      // Hz at the top of a gear
+            gears: 4,               // Gear changes drop the pitch back down
+            stopSpeed: 0.3,         // Below this speed the engine idles
+            squealSlip: 0.15,       // Slip angle (radians) where the tyres start to squeal
+            squealSteer: 0.12,      // Steering angle × speed ratio where hard steering squeals
+            smoothing: 0.08         // Time constant of the gain and pitch changes (seconds)
+        };
+
+        this.audio = this.experience.audio;
+        this.context = this.audio.context;
+        this.lastSpeed = 0;
+        this.load = 0; // Smoothed engine load (0-1)
+
+        this.createGraph();
+    }
+
+    createGraph() {
+        const context = this.context;
+
+        this.master = context.createGain();
+        this.master.gain.value = this.settings.volume;
+        this.master.connect(this.audio.getBus('sfx'));
+
+        // Engine: two slightly detuned saws for the buzz and a sub octave for the body
+        this.engineGain = context.createGain();
+        this.engineGain.gain.value = 0;
+        this.engineFilter = context.createBiquadFilter();
+        this.engineFilter.type = 'lowpass';
+        this.engineFilter.Q.value = 4;
+        this.engineFilter.connect(this.engineGain);
+        this.engineGain.connect(this.master);
+
+        this.oscillators = [
+            { type: 'sawtooth', ratio: 1, detune: -7, gain: 0.35 },
+            { type: 'sawtooth', ratio: 1, detune: 7, gain: 0.35 },
+            { type: 'square', ratio: 0.5, detune: 0, gain: 0.25 }
+        ].map((voice) => {
+            const oscillator = context.createOscillator();
+            oscillator.type = voice.type;
+            oscillator.frequency.value = this.settings.idleFrequency * voice.ratio;
+            oscillator.detune.value = voice.detune;
+
+            const gain = context.createGain();
+            gain.gain.value = voice.gain;
+            oscillator.connect(gain);
+            gain.connect(this.engineFilter);
+            oscillator.start();
+
+            return { oscillator, ratio: voice.ratio };
+        });
+
+        // Tyre squeal: looped white noise through a narrow band-pass
+        const length = context.sampleRate * 2;
+        const buffer = context.createBuffer(1, length, context.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+
+        this.noise = context.createBufferSource();
+        this.noise.buffer = buffer;
+        this.noise.loop = true;
+
+        this.squealFilter = context.createBiquadFilter();
+        this.squealFilter.type = 'bandpass';
+        this.squealFilter.frequency.value = 1400;
+        this.squealFilter.Q.value = 12;
+
+        this.squealGain = context.createGain();
+        this.squealGain.gain.value = 0;
+
+        this.noise.connect(this.squealFilter);
+        this.squealFilter.connect(this.squealGain);
+        this.squealGain.connect(this.master);
+        this.noise.start();
+    }
+
+    /**
+     * @param {number} volume - 0-1
+     */
+    setVolume(volume) {
+        this.settings.volume = Math.min(Math.max(volume, 0), 1);
+
+        this.master.gain.setTargetAtTime(this.settings.volume, this.context.currentTime, 0.05);
+    }
+
+    update() {
+        if (this.context.state !== 'running') return;
+
+        const car = this.car;
+        const settings = this.settings;
+        const now = this.context.currentTime;
+        const dt = Math.min(this.experience.time.delta / 1000, 0.1);
+
+        // Silent while the world or the replay is paused
+        const replay = this.experience.replay;
+        const frozen = this.experience.paused || (replay && replay.active && !replay.playing);
+
+        const speed = Math.abs(car.currentSpeed);
+        const maxSpeed = car.physics.settings.maxSpeed;
+        const speedRatio = Math.min(speed / maxSpeed, 1);
+
+        // Load: throttle input when driving, otherwise how hard the car is accelerating
+        const acceleration = dt > 0 ? (speed - this.lastSpeed) / dt : 0;
+        this.lastSpeed = speed;
+
+        let throttle = Math.min(Math.max(acceleration / 4, 0), 1);
+        if (car.controlMode === 'manual') {
+            throttle = Math.max(throttle, car.getDriveInput().throttle);
+        }
+        this.load += (throttle - this.load) * Math.min(dt * 8, 1);
+
+        // Pitch climbs through each gear and drops at the change
+        const gearPosition = speedRatio * settings.gears;
+        const gear = Math.min(Math.floor(gearPosition), settings.gears - 1);
+        const inGear = gearPosition - gear;
+        const rpm = speed < settings.stopSpeed ? 0 : 0.25 + 0.75 * inGear * (0.7 + 0.3 * gear / settings.gears);
+        const frequency = settings.idleFrequency + (settings.maxFrequency - settings.idleFrequency) * rpm;
+
+        this.oscillators.forEach(({ oscillator, ratio }) => {
+            oscillator.frequency.setTargetAtTime(frequency * ratio, now, settings.smoothing);
+        });
+        this.engineFilter.frequency.setTargetAtTime(300 + 1500 * this.load + 1200 * rpm, now, settings.smoothing);
+
+        // Fade out when stopped, louder under load
+        const moving = Math.min(speed / 1.5, 1);
+        const engineLevel = frozen ? 0 : Math.max(moving, this.load * 0.5) * (0.45 + 0.55 * this.load);
+        this.engineGain.gain.setTargetAtTime(engineLevel, now, settings.smoothing);
+
+        // Squeal when the tyres slide or the wheels are turned hard at speed
+        const slip = car.controlMode === 'manual' ? Math.abs(car.physics.slipAngle) : 0;
+        const steer = Math.abs(car.wheelSteerAngle || 0) * speedRatio;
+        const slide = Math.max(
+            (slip - settings.squealSlip) / settings.squealSlip,
+            (steer - settings.squealSteer) / settings.squealSteer
+        );
+        const squealLevel = frozen || speed < 2 ? 0 : Math.min(Math.max(slide, 0), 1) * 0.35;
+
+        this.squealGain.gain.setTargetAtTime(squealLevel, now, settings.smoothing);
+        this.squealFilter.frequency.setTargetAtTime(1200 + 500 * speedRatio + 150 * Math.sin(now * 25), now, 0.02);
+    }
+
+    destroy() {
+        // The context is shared, so only this car's nodes go
+        this.oscillators.forEach(({ oscillator }) => oscillator.stop());
+        this.noise.stop();
+        this.master.disconnect();
+    }
+}
@@ -0,0 +1,265 @@
+import * as THREE from 'three';
+
+/**
+ * Race against your best lap.
+ *
+ * While a lap is timed, the car's transform (carGroup position and quaternion)
+ * is recorded at fixed intervals. When the lap is a new best, the recording is
+ * saved to localStorage (one per car) and played back on the following laps by
+ * a translucent copy of the car, driven by the lap timer's clock so both cars
+ * start from the line together.
+ */
+export default class GhostCar {
+    /**
+     * @param {Experience} experience
+     * @param {Object} options
+     * @param {RCCar} options.car - Car to record
+     * @param {LapTimer} options.lapTimer - Lap timer of that car
+     */
+    constructor(experience, options = {}) {
+        this.experience = experience;
+        this.scene = this.experience.scene;
+
+        this.settings = Object.assign({
+            car: this.experience.rcCar,
+            lapTimer: this.experience.lapTimer,
+            interval: 0.05,         // Seconds between recorded samples
+            opacity: 0.35,
+            storageKey: 'rcCarGhosts'
+        }, options);
+
+        this.car = this.settings.car;
+        this.lapTimer = this.settings.lapTimer;
+
+        this.enabled = true;
+        this.recording = null;      // Samples of the lap in progress
+        this.ghosts = this.loadGhosts();
+
+        this.ghostQuaternion = new THREE.Quaternion();
+
+        this.lapTimer.on('lapStarted', () => {
+            this.recording = [];
+        });
+
+        this.lapTimer.on('lapCompleted', (lap) => {
+            if (this.recording && lap.isBest) {
+                // Close the loop with the pose at the line
+                this.record();
+                this.saveGhost(lap);
+            }
+            this.recording = null;
+        });
+
+        this.lapTimer.on('lapCancelled', () => {
+            this.recording = null;
+        });
+
+        // The ghost looks like the car being driven
+        this.car.on('carChange', () => this.createModel());
+        this.car.on('liveryChange', () => this.createModel());
+    }
+
+    /**
+     * Show or hide the ghost (recording carries on)
+     * Example: window.experience.ghost.setEnabled(false)
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+
+        if (this.model && !enabled) {
+            this.model.visible = false;
+        }
+
+        return this; // For chaining
+    }
+
+    /**
+     * Build the translucent copy of the current car
+     */
+    createModel() {
+        this.disposeModel();
+
+        const carGroup = this.car.carGroup;
+        if (!carGroup) return;
+
+        // Geometry is shared with the car, materials get translucent copies
+        this.model = carGroup.clone(true);
+        this.model.name = 'ghostCar';
+        this.model.visible = false;
+
+        const lights = [];
+        this.model.traverse((child) => {
+            if (child.isLight) {
+                lights.push(child);
+            } else if (child instanceof THREE.Mesh) {
+                child.castShadow = false;
+                child.receiveShadow = false;
+                child.material = Array.isArray(child.material)
+                    ? child.material.map(material => this.createGhostMaterial(material))
+                    : this.createGhostMaterial(child.material);
+            }
+        });
+        lights.forEach(light => light.parent.remove(light));
+
+        // Level the sprung body - the clone copies its pitch and roll of the moment
+        const body = this.model.getObjectByName('suspensionBody');
+        if (body) {
+            body.position.set(0, 0, 0);
+            body.rotation.set(0, 0, 0);
+        }
+
+        this.scene.add(this.model);
+    }
+
+    createGhostMaterial(material) {
+        const ghostMaterial = material.clone();
+        ghostMaterial.transparent = true;
+        ghostMaterial.opacity = material.opacity * this.settings.opacity;
+        ghostMaterial.depthWrite = false;
+        return ghostMaterial;
+    }
+
+    disposeModel() {
+        if (!this.model) return;
+
+        // Only the materials are the ghost's own
+        this.model.traverse((child) => {
+            if (child instanceof THREE.Mesh) {
+                const materials = Array.isArray(child.material) ? child.material : [child.material];
+                materials.forEach(material => material.dispose());
+            }
+        });
+
+        this.scene.remove(this.model);
+        this.model = null;
+    }
+
+    update() {
+        if (this.recording) {
+            // Catch up with the lap clock, one sample per interval
+            const lapTime = this.lapTimer.currentTime;
+            while (lapTime !== null && this.recording.length / 7 * this.settings.interval <= lapTime) {
+                this.record();
+            }
+        }
+
+        this.updateGhost();
+    }
+
+    record() {
+        const carGroup = this.car.carGroup;
+        const round = value => Math.round(value * 1000) / 1000;
+
+        this.recording.push(
+            round(carGroup.position.x), round(carGroup.position.y), round(carGroup.position.z),
+            round(carGroup.quaternion.x), round(carGroup.quaternion.y), round(carGroup.quaternion.z), round(carGroup.quaternion.w)
+        );
+    }
+
+    /**
+     * Move the ghost to where the best lap was at the current lap time
+     */
+    updateGhost() {
+        if (!this.model && this.car.carGroup && this.car.model) {
+            this.createModel();
+        }
+        if (!this.model) return;
+
+        const ghost = this.ghosts[this.lapTimer.getCarId()];
+        const lapTime = this.lapTimer.currentTime;
+        const samples = ghost ? ghost.samples : null;
+        const sampleCount = samples ? samples.length / 7 : 0;
+        const exact = lapTime !== null && ghost ? lapTime / ghost.interval : -1;
+
+        // Only while on a timed lap and before the ghost has finished it
+        this.model.visible = this.enabled && exact >= 0 && exact <= sampleCount - 1;
+        if (!this.model.visible) return;
+
+        const index = Math.min(Math.floor(exact), sampleCount - 2);
+        const fraction = exact - index;
+        const a = index * 7;
+        const b = a + 7;
+
+        this.model.position.set(
+            samples[a] + (samples[b] - samples[a]) * fraction,
+            samples[a + 1] + (samples[b + 1] - samples[a + 1]) * fraction,
+            samples[a + 2] + (samples[b + 2] - samples[a + 2]) * fraction
+        );
+
+        this.model.quaternion.set(samples[a + 3], samples[a + 4], samples[a + 5], samples[a + 6]);
+        this.ghostQuaternion.set(samples[b + 3], samples[b + 4], samples[b + 5], samples[b + 6]);
+        this.model.quaternion.slerp(this.ghostQuaternion, fraction).normalize();
+    }
+
+    saveGhost(lap) {
+        if (this.recording.length < 14) return;
+
+        this.ghosts[lap.carId] = {
+            time: lap.time,
+            interval: this.settings.interval,
+            samples: this.recording
+        };
+        this.saveGhosts();
+    }
+
+    /**
+     * Forget the ghost of the current car
+     */
+    clear() {
+        delete this.ghosts[this.lapTimer.getCarId()];
+        this.saveGhosts();
+    }
+
+    saveGhosts() {
+        try {
+            window.localStorage.setItem(this.settings.storageKey, JSON.stringify(this.ghosts));
+        } catch (error) {
+            console.warn("Could not save ghost laps:", error);
+        }
+    }
+
+    loadGhosts() {
+        let saved;
+        try {
+            saved = JSON.parse(window.localStorage.getItem(this.settings.storageKey)) || {};
+        } catch (error) {
+            console.warn("Could not load ghost laps:", error);
+            return {};
+        }
+
+        // Drop stale or hand-edited entries rather than driving the ghost with them
+        const ghosts = {};
+        if (saved && typeof saved === 'object') {
+            Object.keys(saved).forEach((carId) => {
+                if (this.isValidGhost(saved[carId])) {
+                    ghosts[carId] = saved[carId];
+                } else {
+                    console.warn(`Ignoring a malformed ghost lap for ${carId}`);
+                }
+            });
+        }
+        return ghosts;
+    }
+
+    /**
+     * Check a saved ghost before trusting it: positive lap time and sample
+     * interval, and whole samples (position + quaternion) of finite numbers
+     * @param {Object} ghost
+     * @returns {boolean}
+     */
+    isValidGhost(ghost) {
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+        return Boolean(ghost) &&
+            isNumber(ghost.time) && ghost.time > 0 &&
+            isNumber(ghost.interval) && ghost.interval > 0 &&
+            Array.isArray(ghost.samples) &&
+            ghost.samples.length >= 14 && ghost.samples.length % 7 === 0 &&
+            ghost.samples.every(isNumber);
+    }
+
+    destroy() {
+        this.disposeModel();
+    }
+}
@@ -0,0 +1,191 @@
+import * as THREE from 'three';
+import WheelRig from './WheelRig.js';
+import Livery from './Livery.js';
+import PlaceholderCar from './PlaceholderCar.js';
+
+/**
+ * Car body moved by code rather than by VehiclePhysics, e.g. AI opponents and
+ * other players' cars.
+ *
+ * Loads a copy of the catalog model (or the placeholder) into its own group,
+ * sits it on the ground, measures its collision box, paints it in the driver's
+ * colour and number, and turns the wheels to match however the group is moved.
+ */
+export default class KinematicCar {
+    /**
+     * @param {Experience} experience
+     * @param {Object} settings
+     * @param {Object} settings.entry - Car catalog entry for the model
+     * @param {string} settings.name - Driver name
+     * @param {string} settings.color - Body colour
+     * @param {string} settings.number - Race number painted on the sides
+     */
+    constructor(experience, settings) {
+        this.experience = experience;
+        this.scene = this.experience.scene;
+        this.resources = this.experience.resources;
+        this.settings = settings;
+
+        this.collisionBox = { offsetX: 0, offsetZ: 0, halfWidth: 0.5, halfLength: 1 };
+        this.sharedModel = false;       // Copy of a cached model rather than its own placeholder
+
+        this.group = new THREE.Group();
+        this.group.name = `${settings.groupName || 'car'} ${settings.name}`;
+        this.scene.add(this.group);
+
+        this.loadModel(settings.entry || {});
+    }
+
+    loadModel(entry) {
+        if (!entry.path) {
+            this.mountModel(null);
+            return;
+        }
+
+        // Every opponent can drive the same car: parse each model once and copy it
+        this.resources.loadSharedGltf(
+            entry.path,
+            (gltf) => {
+                if (this.disposed) return;
+                this.mountModel(gltf);
+            },
+            () => {
+                if (this.disposed) return;
+                console.warn(`Could not load ${entry.name} for ${this.settings.name}, using the placeholder model`);
+                this.mountModel(null);
+            }
+        );
+    }
+
+    mountModel(gltf) {
+        const entry = this.settings.entry || {};
+        let wheels = [];
+
+        if (gltf && gltf.scene && gltf.scene.children.length > 0) {
+            this.model = gltf.scene;
+            this.sharedModel = true;
+            this.model.scale.setScalar(entry.scale || 1);
+            this.model.rotation.set(...(entry.rotation || [0, 0, 0]));
+
+            this.model.traverse((child) => {
+                if (child instanceof THREE.Mesh) {
+                    child.castShadow = true;
+                    child.receiveShadow = true;
+                }
+                if (child.name && /wheel|tire|tyre|rim/i.test(child.name)) {
+                    wheels.push(child);
+                }
+            });
+        } else {
+            const placeholder = new PlaceholderCar();
+            this.model = placeholder.model;
+            wheels = placeholder.wheels;
+        }
+
+        // Measure and paint in car space
+        const position = this.group.position.clone();
+        const quaternion = this.group.quaternion.clone();
+        this.group.position.set(0, 0, 0);
+        this.group.quaternion.identity();
+        this.group.add(this.model);
+        this.group.updateMatrixWorld(true);
+
+        // Sit the model's lowest point on the ground
+        const bounds = new THREE.Box3().setFromObject(this.model);
+        if (!bounds.isEmpty()) {
+            this.model.position.y -= bounds.min.y;
+            this.group.updateMatrixWorld(true);
+
+            const center = bounds.getCenter(new THREE.Vector3());
+            this.collisionBox = {
+                offsetX: center.x,
+                offsetZ: center.z,
+                halfWidth: (bounds.max.x - bounds.min.x) / 2,
+                halfLength: (bounds.max.z - bounds.min.z) / 2
+            };
+        }
+
+        this.wheelRig = new WheelRig(this.model, wheels, Object.assign({
+            carGroup: this.group,
+            parent: this.group
+        }, entry.wheelPatterns));
+
+        this.livery = new Livery({ sharedMaterials: this.sharedModel });
+        this.livery.attach(this.model, wheels);
+        this.paint = {
+            bodyColor: this.settings.color,
+            finish: (entry.livery && entry.livery.finish) || 'metallic',
+            rimColor: null,
+            decal: 'number',
+            number: this.settings.number
+        };
+        this.livery.apply(this.paint);
+
+        this.group.position.copy(position);
+        this.group.quaternion.copy(quaternion);
+        this.group.updateMatrixWorld(true);
+    }
+
+    /**
+     * Repaint the body without reloading the model
+     * @param {string} color - Body colour
+     */
+    setColor(color) {
+        this.settings.color = color;
+
+        // Still loading: mountModel() paints it with the new colour
+        if (!this.livery) return;
+
+        this.paint.bodyColor = color;
+        this.livery.apply(this.paint);
+    }
+
+    /**
+     * Spin the wheels by the distance travelled and steer them by how much the car turned
+     */
+    updateWheels() {
+        if (!this.wheelRig) return;
+
+        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(this.group.quaternion);
+        const heading = Math.atan2(forward.x, forward.z);
+
+        if (!this.lastPosition) {
+            this.lastPosition = this.group.position.clone();
+            this.lastHeading = heading;
+            this.steerAngle = 0;
+        }
+
+        const movement = this.group.position.clone().sub(this.lastPosition);
+        movement.y = 0;
+        const distance = movement.length() < 5 ? movement.dot(forward) : 0;
+
+        if (Math.abs(distance) > 0.0001) {
+            let headingChange = heading - this.lastHeading;
+            headingChange = Math.atan2(Math.sin(headingChange), Math.cos(headingChange));
+            const targetSteer = Math.atan(this.experience.rcCar.physics.settings.wheelBase * headingChange / distance);
+            this.steerAngle += (targetSteer - this.steerAngle) * 0.2;
+        }
+
+        this.wheelRig.update(distance, this.steerAngle);
+
+        this.lastPosition.copy(this.group.position);
+        this.lastHeading = heading;
+    }
+
+    dispose() {
+        this.disposed = true;
+
+        // The wheel pivots hang off the group, so they go with it
+        if (this.sharedModel) {
+            // Geometry and textures belong to the cached model - only free the paint
+            this.livery.dispose();
+            this.scene.remove(this.group);
+        } else {
+            if (this.livery) {
+                this.livery.detach();
+            }
+            this.experience.disposeObject(this.group);
+        }
+        this.wheelRig = null;
+    }
+}
@@ -0,0 +1,246 @@
+import EventEmitter from '../utils/EventEmitter.js';
+
+/**
+ * Lap and sector timing for one car.
+ *
+ * The car's track progress (0-1, wrapping at the start/finish line) is unwrapped
+ * into a running position, so crossing the line forwards or backwards can be told
+ * apart. A lap only counts when the car crosses the line forwards after having
+ * started the lap by crossing it forwards too - reversing over the line, or
+ * jumping along the track (e.g. being put back on the grid), cancels the lap.
+ *
+ * Sector splits are taken at configurable fractions of the lap. Laps driven
+ * partly by the autopilot are kept in the history but can't be a best lap.
+ *
+ * Events: 'lapStarted' [lap], 'sectorCompleted' [sector], 'lapCompleted' [lap],
+ * 'lapCancelled' [reason]
+ */
+export default class LapTimer extends EventEmitter {
+    /**
+     * @param {Experience} experience
+     * @param {Object} options
+     * @param {RCCar} options.car - Car to time (reads progress, controlMode and carEntry)
+     * @param {number[]} options.sectors - Track fractions where sectors end, the last sector ends at the line
+     */
+    constructor(experience, options = {}) {
+        super();
+
+        this.experience = experience;
+        this.time = this.experience.time;
+
+        this.settings = Object.assign({
+            car: this.experience.rcCar,
+            sectors: [1 / 3, 2 / 3],
+            maxJump: 0.1,           // Largest progress change per frame that still counts as driving
+            historyLength: 20,
+            storageKey: 'rcCarBestLaps'
+        }, options);
+
+        this.car = this.settings.car;
+
+        this.clock = 0;             // Seconds of (unpaused) driving
+        this.position = null;       // Unwrapped progress: laps crossed + progress
+        this.lapNumber = 0;
+        this.current = null;        // Lap in progress, null until the car crosses the line
+        this.history = [];
+        this.bestLaps = this.loadBestLaps();
+
+        // A different car starts a new set of laps
+        if (this.car && typeof this.car.on === 'function') {
+            this.car.on('carChange', () => this.reset());
+        }
+    }
+
+    /**
+     * @param {number} seconds
+     * @param {number} decimals - Digits after the seconds
+     * @returns {string} Time as m:ss.sss
+     */
+    static formatTime(seconds, decimals = 3) {
+        const minutes = Math.floor(seconds / 60);
+        const rest = (seconds - minutes * 60).toFixed(decimals).padStart(decimals + 3, '0');
+        return `${minutes}:${rest}`;
+    }
+
+    /**
+     * Best lap of the current car, kept between visits
+     * @returns {{time: number, sectors: number[]}|null}
+     */
+    get bestLap() {
+        return this.bestLaps[this.getCarId()] || null;
+    }
+
+    get lastLap() {
+        return this.history[this.history.length - 1] || null;
+    }
+
+    /**
+     * Time of the lap in progress
+     * @returns {number|null} Seconds, null while not on a timed lap
+     */
+    get currentTime() {
+        return this.current ? this.clock - this.current.startTime : null;
+    }
+
+    getCarId() {
+        return this.car && this.car.carEntry ? this.car.carEntry.id : 'default';
+    }
+
+    /**
+     * Forget the lap in progress, e.g. after the car was moved or swapped
+     */
+    reset() {
+        this.position = null;
+        this.cancelLap('reset');
+    }
+
+    update() {
+        if (!this.car || typeof this.car.progress !== 'number') return;
+
+        this.clock += Math.min(this.time.delta / 1000, 0.05);
+
+        const progress = this.car.progress;
+
+        if (this.position === null) {
+            this.position = progress;
+            return;
+        }
+
+        // Take the short way round the loop
+        let change = progress - (this.position - Math.floor(this.position));
+        change -= Math.round(change);
+
+        if (Math.abs(change) > this.settings.maxJump) {
+            // Teleported rather than driven - start again from here
+            this.position = progress;
+            this.cancelLap('jump');
+            return;
+        }
+
+        const previousLap = Math.floor(this.position);
+        this.position += change;
+        const lap = Math.floor(this.position);
+
+        if (lap < previousLap) {
+            this.cancelLap('reverse');
+        } else if (lap > previousLap) {
+            this.crossLine();
+        }
+
+        if (this.current) {
+            if (this.car.controlMode === 'auto') {
+                this.current.assisted = true;
+            }
+            this.checkSectors();
+        }
+    }
+
+    crossLine() {
+        if (this.current) {
+            // The last sector ends at the line
+            this.completeSector();
+            this.completeLap();
+        }
+
+        this.lapNumber++;
+        this.current = {
+            number: this.lapNumber,
+            startTime: this.clock,
+            startPosition: Math.floor(this.position),
+            sectorStart: this.clock,
+            sectors: [],
+            assisted: this.car.controlMode === 'auto'
+        };
+
+        this.trigger('lapStarted', [this.current]);
+    }
+
+    checkSectors() {
+        const fractions = this.settings.sectors;
+        const lapFraction = this.position - this.current.startPosition;
+
+        while (this.current.sectors.length < fractions.length && lapFraction >= fractions[this.current.sectors.length]) {
+            this.completeSector();
+        }
+    }
+
+    completeSector() {
+        const index = this.current.sectors.length;
+        const time = this.clock - this.current.sectorStart;
+        const best = this.bestLap && this.bestLap.sectors ? this.bestLap.sectors[index] : undefined;
+
+        this.current.sectors.push(time);
+        this.current.sectorStart = this.clock;
+
+        this.trigger('sectorCompleted', [{
+            index,
+            time,
+            lapTime: this.clock - this.current.startTime,
+            delta: best !== undefined ? time - best : null
+        }]);
+    }
+
+    completeLap() {
+        const lap = {
+            number: this.current.number,
+            time: this.clock - this.current.startTime,
+            sectors: this.current.sectors,
+            assisted: this.current.assisted,
+            carId: this.getCarId(),
+            isBest: false
+        };
+
+        const best = this.bestLap;
+        if (!lap.assisted && (!best || lap.time < best.time)) {
+            lap.isBest = true;
+            this.bestLaps[lap.carId] = { time: lap.time, sectors: lap.sectors.slice() };
+            this.saveBestLaps();
+        }
+        lap.delta = best ? lap.time - best.time : null;
+
+        this.history.push(lap);
+        if (this.history.length > this.settings.historyLength) {
+            this.history.shift();
+        }
+
+        this.current = null;
+
+        console.log(`Lap ${lap.number}: ${lap.time.toFixed(3)}s${lap.isBest ? ' (best)' : ''}`);
+        this.trigger('lapCompleted', [lap]);
+    }
+
+    /**
+     * @param {string} reason - 'reverse', 'jump' or 'reset'
+     */
+    cancelLap(reason) {
+        if (!this.current) return;
+
+        this.current = null;
+        this.trigger('lapCancelled', [reason]);
+    }
+
+    /**
+     * Forget the best lap of the current car
+     */
+    clearBestLap() {
+        delete this.bestLaps[this.getCarId()];
+        this.saveBestLaps();
+    }
+
+    loadBestLaps() {
+        try {
+            return JSON.parse(window.localStorage.getItem(this.settings.storageKey)) || {};
+        } catch (error) {
+            console.warn("Could not load best laps:", error);
+            return {};
+        }
+    }
+
+    saveBestLaps() {
+        try {
+            window.localStorage.setItem(this.settings.storageKey, JSON.stringify(this.bestLaps));
+        } catch (error) {
+            console.warn("Could not save best laps:", error);
+        }
+    }
+}
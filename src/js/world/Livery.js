@@ -0,0 +1,343 @@
+import * as THREE from 'three';
+import { DecalGeometry } from 'three/examples/jsm/geometries/DecalGeometry.js';
+
+// Material settings of the paint finishes
+const FINISHES = {
+    matte: {
+        metalness: 0,
+        roughness: 0.85,
+        clearcoat: 0,
+        clearcoatRoughness: 0,
+        iridescence: 0
+    },
+    metallic: {
+        metalness: 0.7,
+        roughness: 0.3,
+        clearcoat: 0.3,
+        clearcoatRoughness: 0.2,
+        iridescence: 0
+    },
+    pearlescent: {
+        metalness: 0.2,
+        roughness: 0.25,
+        clearcoat: 1,
+        clearcoatRoughness: 0.05,
+        iridescence: 1,
+        iridescenceIOR: 1.6
+    }
+};
+
+/**
+ * Paint job of a car model: body colour and finish, rim colour and decals.
+ *
+ * Meshes are sorted into material slots by name: the body (paint), the rims and
+ * everything else, which keeps the materials it came with. Body materials are
+ * swapped for MeshPhysicalMaterial copies so finishes can use clear coat and
+ * iridescence.
+ */
+export default class Livery {
+    /**
+     * @param {Object} options - Name patterns for the material slots
+     */
+    constructor(options = {}) {
+        this.settings = Object.assign({
+            bodyPattern: /body|paint|chassis|shell|livery/i,
+            rimPattern: /rim|hub/i,
+            // Never painted, even if they are the biggest part of the model
+            excludePattern: /glass|window|windshield|light|lamp|tyre|tire|rubber|interior|driver|helmet/i,
+            // The model's materials are shared with other copies of it: don't dispose them
+            sharedMaterials: false
+        }, options);
+
+        this.bodyMeshes = [];
+        this.bodyMaterials = [];
+        this.rimMaterials = [];
+        this.decals = [];
+        this.decalKey = null;
+    }
+
+    static get finishes() {
+        return Object.keys(FINISHES);
+    }
+
+    /**
+     * Find the paintable material slots of a car model
+     * @param {THREE.Object3D} model - The car model
+     * @param {Array} wheelParts - Wheel objects (they may have been moved onto wheel pivots)
+     */
+    attach(model, wheelParts = []) {
+        this.detach();
+        this.model = model;
+
+        const wheelMeshes = new Set();
+        wheelParts.forEach((part) => {
+            part.traverse((child) => {
+                if (child instanceof THREE.Mesh) {
+                    wheelMeshes.add(child);
+                }
+            });
+        });
+
+        const isMatch = (mesh, pattern) => pattern.test(mesh.name) ||
+            (mesh.material && !Array.isArray(mesh.material) && pattern.test(mesh.material.name));
+
+        // Rims are wheel meshes matching the rim pattern
+        const rimMeshes = Array.from(wheelMeshes).filter(mesh => isMatch(mesh, this.settings.rimPattern));
+
+        // Body meshes: named like paint, or else the most detailed material of the model
+        const candidates = [];
+        model.traverse((child) => {
+            if (child instanceof THREE.Mesh && !wheelMeshes.has(child) && !Array.isArray(child.material) &&
+                !isMatch(child, this.settings.excludePattern)) {
+                candidates.push(child);
+            }
+        });
+
+        this.bodyMeshes = candidates.filter(mesh => isMatch(mesh, this.settings.bodyPattern));
+
+        if (this.bodyMeshes.length === 0 && candidates.length > 0) {
+            const vertexCounts = new Map();
+            candidates.forEach((mesh) => {
+                const count = mesh.geometry.attributes.position ? mesh.geometry.attributes.position.count : 0;
+                vertexCounts.set(mesh.material, (vertexCounts.get(mesh.material) || 0) + count);
+            });
+
+            const bodyMaterial = Array.from(vertexCounts.keys())
+                .sort((a, b) => vertexCounts.get(b) - vertexCounts.get(a))[0];
+            this.bodyMeshes = candidates.filter(mesh => mesh.material === bodyMaterial);
+        }
+
+        this.bodyMaterials = this.replaceMaterials(this.bodyMeshes, material => this.createPaintMaterial(material));
+        this.rimMaterials = this.replaceMaterials(rimMeshes, material => material.clone());
+
+        // Remember the model's own colours for "factory" paint
+        this.bodyMaterials.forEach((material) => {
+            material.userData.factoryColor = material.color.clone();
+        });
+        this.rimMaterials.forEach((material) => {
+            material.userData.factoryColor = material.color ? material.color.clone() : null;
+        });
+
+        console.log(`Livery found ${this.bodyMeshes.length} body meshes and ${rimMeshes.length} rim meshes`);
+    }
+
+    /**
+     * Give each mesh its own copy of its material (meshes sharing a material share the copy)
+     * @returns {Array} The new materials
+     */
+    replaceMaterials(meshes, createMaterial) {
+        const copies = new Map();
+
+        meshes.forEach((mesh) => {
+            const original = mesh.material;
+            if (!copies.has(original)) {
+                copies.set(original, createMaterial(original));
+            }
+            mesh.material = copies.get(original);
+        });
+
+        // The originals are no longer used - their textures live on in the copies
+        if (!this.settings.sharedMaterials) {
+            copies.forEach((copy, original) => original.dispose());
+        }
+
+        return Array.from(copies.values());
+    }
+
+    createPaintMaterial(original) {
+        if (original.isMeshPhysicalMaterial) {
+            return original.clone();
+        }
+
+        const material = new THREE.MeshPhysicalMaterial();
+
+        if (original.isMeshStandardMaterial) {
+            // Copy the standard properties only - the physical ones keep their defaults
+            THREE.MeshStandardMaterial.prototype.copy.call(material, original);
+            material.defines = { STANDARD: '', PHYSICAL: '' };
+        } else {
+            material.name = original.name;
+            if (original.color) material.color.copy(original.color);
+            if (original.map) material.map = original.map;
+        }
+
+        return material;
+    }
+
+    /**
+     * Paint the car. The model must be at the car-space origin (unrotated) so decals
+     * are projected in car space.
+     * @param {{bodyColor: string|null, finish: string, rimColor: string|null, decal: string, number: string}} livery
+     */
+    apply(livery) {
+        if (!this.model) return;
+
+        const finish = FINISHES[livery.finish] || FINISHES.metallic;
+
+        this.bodyMaterials.forEach((material) => {
+            material.color.copy(livery.bodyColor ? new THREE.Color(livery.bodyColor) : material.userData.factoryColor);
+            Object.assign(material, finish);
+        });
+
+        this.rimMaterials.forEach((material) => {
+            if (!material.color) return;
+            material.color.copy(livery.rimColor ? new THREE.Color(livery.rimColor) : material.userData.factoryColor);
+        });
+
+        // Decals only need projecting again when they change, not while a colour is being picked
+        const decalKey = `${livery.decal}:${livery.number}`;
+        if (decalKey !== this.decalKey) {
+            this.decalKey = decalKey;
+            this.createDecals(livery);
+        }
+    }
+
+    createDecals(livery) {
+        this.removeDecals();
+
+        if (!livery.decal || livery.decal === 'none' || this.bodyMeshes.length === 0) return;
+
+        this.model.updateMatrixWorld(true);
+
+        // Size of the painted body in car space
+        const bounds = new THREE.Box3();
+        this.bodyMeshes.forEach(mesh => bounds.expandByObject(mesh));
+        const center = bounds.getCenter(new THREE.Vector3());
+        const size = bounds.getSize(new THREE.Vector3());
+
+        const projectors = [];
+
+        if (livery.decal === 'number') {
+            // A roundel on each side of the car, facing outwards (+X is the car's left)
+            const decalSize = Math.min(size.y * 0.9, size.z * 0.35);
+            const texture = this.createNumberTexture(livery.number);
+
+            [1, -1].forEach((side) => {
+                projectors.push({
+                    position: new THREE.Vector3(center.x + side * size.x / 4, center.y, center.z),
+                    orientation: new THREE.Euler(0, side * Math.PI / 2, 0),
+                    size: new THREE.Vector3(decalSize, decalSize, size.x / 2 + 0.01),
+                    texture
+                });
+            });
+        } else if (livery.decal === 'stripes') {
+            // Twin racing stripes along the top, nose to tail
+            projectors.push({
+                position: new THREE.Vector3(center.x, center.y + size.y / 4, center.z),
+                orientation: new THREE.Euler(-Math.PI / 2, 0, 0),
+                size: new THREE.Vector3(size.x * 0.4, size.z, size.y / 2 + 0.01),
+                texture: this.createStripesTexture()
+            });
+        }
+
+        projectors.forEach((projector) => {
+            const material = new THREE.MeshStandardMaterial({
+                map: projector.texture,
+                transparent: true,
+                depthWrite: false,
+                polygonOffset: true,
+                polygonOffsetFactor: -4,
+                roughness: 0.4
+            });
+
+            this.bodyMeshes.forEach((mesh) => {
+                const geometry = new DecalGeometry(mesh, projector.position, projector.orientation, projector.size);
+
+                if (geometry.attributes.position.count === 0) {
+                    geometry.dispose();
+                    return;
+                }
+
+                // Decal vertices are in world space (= car space here); attach() keeps that
+                // placement while moving the decal under the model so it is disposed with it
+                const decal = new THREE.Mesh(geometry, material);
+                decal.name = 'liveryDecal';
+                decal.updateMatrixWorld(true);
+                this.model.attach(decal);
+                this.decals.push(decal);
+            });
+        });
+    }
+
+    createNumberTexture(number) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 256;
+        canvas.height = 256;
+        const context = canvas.getContext('2d');
+
+        // White roundel with a black border
+        context.fillStyle = '#ffffff';
+        context.beginPath();
+        context.arc(128, 128, 118, 0, Math.PI * 2);
+        context.fill();
+        context.lineWidth = 12;
+        context.strokeStyle = '#000000';
+        context.stroke();
+
+        context.fillStyle = '#000000';
+        context.font = 'bold 140px Arial';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(String(number || '1').slice(0, 2), 128, 136);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        return texture;
+    }
+
+    createStripesTexture() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 64;
+        canvas.height = 64;
+        const context = canvas.getContext('2d');
+
+        context.fillStyle = '#ffffff';
+        context.fillRect(6, 0, 20, 64);
+        context.fillRect(38, 0, 20, 64);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        return texture;
+    }
+
+    removeDecals() {
+        const materials = new Set();
+
+        this.decals.forEach((decal) => {
+            decal.geometry.dispose();
+            materials.add(decal.material);
+            if (decal.parent) {
+                decal.parent.remove(decal);
+            }
+        });
+
+        materials.forEach((material) => {
+            if (material.map) material.map.dispose();
+            material.dispose();
+        });
+
+        this.decals = [];
+    }
+
+    /**
+     * Dispose the paint materials and decals made for the current model and forget
+     * it, for a model whose geometry and textures are shared and stay alive
+     */
+    dispose() {
+        this.removeDecals();
+        this.bodyMaterials.concat(this.rimMaterials).forEach(material => material.dispose());
+        this.detach();
+    }
+
+    /**
+     * Forget the current model (its materials are disposed with the model)
+     */
+    detach() {
+        this.model = null;
+        this.bodyMeshes = [];
+        this.bodyMaterials = [];
+        this.rimMaterials = [];
+        this.decals = [];
+        this.decalKey = null;
+    }
+}
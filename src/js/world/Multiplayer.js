@@ -0,0 +1,364 @@
+import RemoteCar from './RemoteCar.js';
+import EventEmitter from '../utils/EventEmitter.js';
+
+/**
+ * Online driving with other visitors through the relay server (server/relay.js).
+ *
+ * The local car's pose is sent a few times per second and the other players of
+ * the room are shown as RemoteCars. To make up for lag every state is stamped
+ * with the server clock (estimated from ping/pong round trips) and remote cars
+ * are drawn a fixed delay in the past, so they can be interpolated between
+ * real states instead of jumping from packet to packet.
+ *
+ * Events: 'stateChange' [state], 'playerJoin' [player], 'playerLeave' [player],
+ * 'pingChange' [ms], 'error' [message]
+ */
+export default class Multiplayer extends EventEmitter {
+    constructor(experience) {
+        super();
+
+        this.experience = experience;
+        this.time = this.experience.time;
+
+        const host = window.location.hostname || 'localhost';
+        // Browsers block plain ws:// from a page served over https
+        this.secure = window.location.protocol === 'https:';
+
+        this.settings = Object.assign({
+            url: `${this.secure ? 'wss' : 'ws'}://${host}:8080`,
+            room: 'default',
+            name: '',
+            sendRate: 15,               // States sent per second
+            interpolationDelay: 100,    // ms remote cars are shown in the past
+            maxExtrapolation: 250,      // ms remote cars keep going when states stop coming
+            pingInterval: 2000,         // ms between clock sync pings
+            pingSamples: 8,             // Round trips kept for the clock offset
+            profileDelay: 300           // ms to wait for car and colour changes to settle before sending them
+        }, this.loadSettings());
+
+        this.state = 'disconnected'; // 'disconnected', 'connecting' or 'connected'
+        this.socket = null;
+        this.id = null;
+        this.players = new Map(); // Player id -> { id, name, car, color, remoteCar }
+
+        this.clockOffset = 0;   // Server clock minus performance.now()
+        this.ping = null;       // Round trip in ms
+        this.pingSamples = [];
+        this.sendTimer = 0;
+
+        // Let the others see car and colour changes
+        const rcCar = this.experience.rcCar;
+        rcCar.on('carChange', () => this.queueProfile());
+        rcCar.on('liveryChange', () => this.queueProfile());
+    }
+
+    get connected() {
+        return this.state === 'connected';
+    }
+
+    loadSettings() {
+        try {
+            const saved = JSON.parse(window.localStorage.getItem('rcCarMultiplayer'));
+            return saved && typeof saved === 'object' ? saved : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveSettings() {
+        const { url, room, name } = this.settings;
+        try {
+            window.localStorage.setItem('rcCarMultiplayer', JSON.stringify({ url, room, name }));
+        } catch (error) {
+            console.warn("Could not save the multiplayer settings:", error);
+        }
+    }
+
+    /**
+     * Join a room on the relay server
+     * Example: window.experience.multiplayer.connect({ room: 'friday', name: 'Sam' })
+     * @param {Object} options - url, room and/or name
+     */
+    connect(options = {}) {
+        this.disconnect();
+        Object.assign(this.settings, options);
+        if (this.secure) {
+            this.settings.url = this.settings.url.replace(/^ws:\/\//i, 'wss://');
+        }
+        this.saveSettings();
+
+        let socket;
+        try {
+            socket = new WebSocket(this.settings.url);
+        } catch (error) {
+            this.fail(`Invalid server address: ${this.settings.url}`);
+            return;
+        }
+
+        this.socket = socket;
+        this.setState('connecting');
+
+        socket.addEventListener('open', () => {
+            const profile = this.getProfile();
+            this.send({
+                type: 'join',
+                room: this.settings.room,
+                name: this.settings.name,
+                car: profile.car,
+                color: profile.color
+            });
+            this.sendPing();
+        });
+
+        socket.addEventListener('message', (event) => this.onMessage(event.data));
+
+        socket.addEventListener('close', () => {
+            // An older socket closing late doesn't concern the current one
+            if (this.socket !== socket) return;
+
+            const wasConnected = this.connected;
+            this.cleanUp();
+            if (!wasConnected) {
+                this.fail(`Could not reach ${this.settings.url}`);
+            }
+        });
+    }
+
+    /**
+     * Leave the room and remove the other players' cars
+     */
+    disconnect() {
+        if (!this.socket) return;
+
+        const socket = this.socket;
+        this.cleanUp();
+        socket.close();
+    }
+
+    cleanUp() {
+        clearInterval(this.pingInterval);
+        clearTimeout(this.profileTimeout);
+        this.socket = null;
+        this.id = null;
+        this.ping = null;
+        this.pingSamples = [];
+
+        this.players.forEach((player) => this.removePlayer(player.id));
+        this.setState('disconnected');
+    }
+
+    setState(state) {
+        if (state === this.state) return;
+
+        this.state = state;
+        this.trigger('stateChange', [state]);
+    }
+
+    fail(message) {
+        console.warn(`Multiplayer: ${message}`);
+        this.trigger('error', [message]);
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    onMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            return;
+        }
+
+        switch (message.type) {
+            case 'welcome':
+                this.id = message.id;
+                this.settings.room = message.room;
+                this.setState('connected');
+                message.players.forEach((player) => this.addPlayer(player));
+                this.pingInterval = setInterval(() => this.sendPing(), this.settings.pingInterval);
+                console.log(`Joined room "${message.room}" with ${message.players.length} other player(s)`);
+                break;
+
+            case 'join':
+                this.addPlayer(message.player);
+                break;
+
+            case 'leave':
+                this.removePlayer(message.id);
+                break;
+
+            case 'state': {
+                const player = this.players.get(message.id);
+                if (player) {
+                    player.remoteCar.addSnapshot(message);
+                }
+                break;
+            }
+
+            case 'profile': {
+                const player = this.players.get(message.id);
+                if (!player) break;
+
+                if (message.car !== player.car) {
+                    // A different model needs a new car; its states carry on from the old one
+                    const snapshots = player.remoteCar.snapshots;
+                    player.car = message.car;
+                    player.color = message.color;
+                    player.remoteCar.dispose();
+                    player.remoteCar = this.createRemoteCar(player);
+                    player.remoteCar.snapshots = snapshots;
+                } else if (message.color !== player.color) {
+                    player.color = message.color;
+                    player.remoteCar.setColor(message.color);
+                }
+                break;
+            }
+
+            case 'pong':
+                this.syncClock(message.clientTime, message.serverTime);
+                break;
+
+            case 'error':
+                // e.g. the room is full
+                this.disconnect();
+                this.fail(message.message);
+                break;
+        }
+    }
+
+    addPlayer(info) {
+        if (this.players.has(info.id)) return;
+
+        const player = Object.assign({}, info);
+        player.remoteCar = this.createRemoteCar(player);
+        this.players.set(player.id, player);
+
+        this.trigger('playerJoin', [player]);
+    }
+
+    removePlayer(id) {
+        const player = this.players.get(id);
+        if (!player) return;
+
+        player.remoteCar.dispose();
+        this.players.delete(id);
+
+        this.trigger('playerLeave', [player]);
+    }
+
+    createRemoteCar(player) {
+        const catalog = this.experience.rcCar.catalog;
+
+        return new RemoteCar(this.experience, {
+            id: player.id,
+            name: player.name,
+            entry: catalog.get(player.car) || catalog.getDefault(),
+            color: player.color,
+            number: player.id,
+            maxExtrapolation: this.settings.maxExtrapolation
+        });
+    }
+
+    /**
+     * Car and colour the others should see
+     * @returns {{car: string|null, color: string}}
+     */
+    getProfile() {
+        const rcCar = this.experience.rcCar;
+
+        return {
+            car: rcCar.carEntry ? rcCar.carEntry.id : null,
+            color: rcCar.getLivery().bodyColor || '#cc3333'
+        };
+    }
+
+    /**
+     * Send the profile once changes stop coming, e.g. while a colour is being picked
+     */
+    queueProfile() {
+        if (!this.connected) return;
+
+        clearTimeout(this.profileTimeout);
+        this.profileTimeout = setTimeout(() => this.sendProfile(), this.settings.profileDelay);
+    }
+
+    sendProfile() {
+        if (!this.connected) return;
+
+        this.send(Object.assign({ type: 'profile' }, this.getProfile()));
+    }
+
+    sendPing() {
+        this.send({ type: 'ping', clientTime: performance.now() });
+    }
+
+    /**
+     * Estimate the server clock from a round trip, assuming the reply took half of it.
+     * The fastest recent round trip gives the most reliable estimate.
+     * @param {number} clientTime - performance.now() when the ping was sent
+     * @param {number} serverTime - Server clock when it answered
+     */
+    syncClock(clientTime, serverTime) {
+        const now = performance.now();
+        const roundTrip = now - clientTime;
+        if (!Number.isFinite(roundTrip) || roundTrip < 0) return;
+
+        this.pingSamples.push({ roundTrip, offset: serverTime + roundTrip / 2 - now });
+        if (this.pingSamples.length > this.settings.pingSamples) {
+            this.pingSamples.shift();
+        }
+
+        const best = this.pingSamples.reduce((a, b) => (b.roundTrip < a.roundTrip ? b : a));
+        this.clockOffset = best.offset;
+        this.ping = Math.round(roundTrip);
+
+        this.trigger('pingChange', [this.ping]);
+    }
+
+    /**
+     * @returns {number} Estimated server clock in ms
+     */
+    serverNow() {
+        return performance.now() + this.clockOffset;
+    }
+
+    update() {
+        if (!this.connected) return;
+
+        // A replay poses the car from the recording - the others keep the last live state
+        const replay = this.experience.replay;
+        const live = !(replay && replay.active);
+
+        this.sendTimer += this.time.delta;
+        if (live && this.sendTimer >= 1000 / this.settings.sendRate) {
+            this.sendTimer %= 1000 / this.settings.sendRate;
+            this.sendState();
+        }
+
+        const renderTime = this.serverNow() - this.settings.interpolationDelay;
+        this.players.forEach((player) => player.remoteCar.update(renderTime));
+    }
+
+    sendState() {
+        const rcCar = this.experience.rcCar;
+        if (!rcCar.carGroup) return;
+
+        const round = value => Math.round(value * 1000) / 1000;
+
+        this.send({
+            type: 'state',
+            t: Math.round(this.serverNow()),
+            p: rcCar.carGroup.position.toArray().map(round),
+            q: rcCar.carGroup.quaternion.toArray().map(round),
+            s: round(rcCar.currentSpeed)
+        });
+    }
+
+    destroy() {
+        this.disconnect();
+    }
+}
@@ -0,0 +1,253 @@
+import * as THREE from 'three';
+import DirtyRange from '../utils/DirtyRange.js';
+
+// Ready-made looks for emit(), any setting can be overridden per call
+const PRESETS = {
+    dust: {
+        life: 1.2,
+        size: [0.25, 1.1],
+        color: '#b8a07a',
+        opacity: 0.35,
+        spread: 0.5,
+        drag: 2,
+        gravity: -0.3,
+        shape: 'soft'
+    },
+    exhaust: {
+        life: 0.9,
+        size: [0.12, 0.6],
+        color: '#8a8a8a',
+        opacity: 0.45,
+        spread: 0.25,
+        drag: 1.5,
+        gravity: 0.4,       // Warm smoke drifts up
+        shape: 'soft'
+    },
+    confetti: {
+        life: 2.8,
+        size: [0.18, 0.18],
+        color: ['#ff4d4d', '#ffcc00', '#33cc66', '#3399ff', '#cc66ff', '#ffffff'],
+        opacity: 1,
+        spread: 3,
+        drag: 0.8,
+        gravity: -5,
+        shape: 'square'
+    }
+};
+
+const vertexShader = `
+    uniform float uTime;
+    uniform float uScale;
+
+    attribute vec3 aVelocity;
+    attribute vec2 aTime;       // Birth time, life
+    attribute vec2 aSize;       // Start size, end size
+    attribute vec4 aColor;      // Colour, opacity
+    attribute vec3 aPhysics;    // Drag, gravity, shape
+
+    varying vec4 vColor;
+    varying float vProgress;
+    varying float vShape;
+
+    void main() {
+        float age = uTime - aTime.x;
+        vProgress = age / aTime.y;
+
+        // Dead and unborn particles collapse to nothing
+        if (vProgress < 0.0 || vProgress > 1.0) {
+            gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+            gl_PointSize = 0.0;
+            return;
+        }
+
+        // Velocity slowed down by drag, plus gravity
+        float drag = aPhysics.x;
+        float travel = drag > 0.0 ? (1.0 - exp(-drag * age)) / drag : age;
+        vec3 displaced = position + aVelocity * travel;
+        displaced.y += 0.5 * aPhysics.y * age * age;
+
+        vec4 mvPosition = modelViewMatrix * vec4(displaced, 1.0);
+        gl_Position = projectionMatrix * mvPosition;
+        gl_PointSize = mix(aSize.x, aSize.y, vProgress) * uScale * projectionMatrix[1][1] / -mvPosition.z;
+
+        vColor = aColor;
+        vShape = aPhysics.z;
+    }
+`;
+
+const fragmentShader = `
+    varying vec4 vColor;
+    varying float vProgress;
+    varying float vShape;
+
+    void main() {
+        float alpha;
+
+        if (vShape > 0.5) {
+            // Confetti: flat squares that flicker as they tumble
+            alpha = 0.6 + 0.4 * abs(sin(vProgress * 40.0 + vColor.r * 10.0));
+        } else {
+            // Smoke and dust: soft round puffs
+            float distanceToCenter = length(gl_PointCoord - 0.5);
+            alpha = smoothstep(0.5, 0.1, distanceToCenter);
+        }
+
+        // Fade in quickly, fade out over the life
+        alpha *= vColor.a * smoothstep(0.0, 0.08, vProgress) * (1.0 - vProgress);
+        if (alpha < 0.01) discard;
+
+        gl_FragColor = vec4(vColor.rgb, alpha);
+        #include <colorspace_fragment>
+    }
+`;
+
+/**
+ * Pooled particles drawn as a single THREE.Points, simulated on the GPU.
+ *
+ * Emitting writes a particle's birth time, start position, velocity and looks
+ * into the next slots of a ring buffer; the vertex shader works out where it
+ * is from its age, so nothing is touched again until the slot is reused.
+ * When the pool is full the oldest particles make room.
+ *
+ * Example: window.experience.particles.emit('confetti', { position: new THREE.Vector3(0, 2, 0), count: 100 })
+ */
+export default class Particles {
+    /**
+     * @param {Experience} experience
+     * @param {Object} options
+     * @param {number} options.count - Size of the pool
+     */
+    constructor(experience, options = {}) {
+        this.experience = experience;
+        this.scene = this.experience.scene;
+        this.sizes = this.experience.sizes;
+
+        this.count = options.count || 4000;
+        this.cursor = 0;        // Next slot to fill
+        this.elapsed = 0;       // Clock of the particles, frozen while paused
+
+        this.velocity = new THREE.Vector3();
+        this.color = new THREE.Color();
+
+        this.createPoints();
+    }
+
+    createPoints() {
+        const count = this.count;
+        this.geometry = new THREE.BufferGeometry();
+
+        this.attributes = {
+            position: new THREE.BufferAttribute(new Float32Array(count * 3), 3),
+            aVelocity: new THREE.BufferAttribute(new Float32Array(count * 3), 3),
+            aTime: new THREE.BufferAttribute(new Float32Array(count * 2), 2),
+            aSize: new THREE.BufferAttribute(new Float32Array(count * 2), 2),
+            aColor: new THREE.BufferAttribute(new Float32Array(count * 4), 4),
+            aPhysics: new THREE.BufferAttribute(new Float32Array(count * 3), 3)
+        };
+
+        Object.keys(this.attributes).forEach((name) => {
+            this.attributes[name].setUsage(THREE.DynamicDrawUsage);
+            this.geometry.setAttribute(name, this.attributes[name]);
+        });
+        this.dirtyRange = new DirtyRange(Object.values(this.attributes), count);
+
+        // Slots stay dead until something is emitted into them
+        for (let i = 0; i < count; i++) {
+            this.attributes.aTime.setXY(i, -1000, 1);
+        }
+
+        this.material = new THREE.ShaderMaterial({
+            vertexShader,
+            fragmentShader,
+            uniforms: {
+                uTime: { value: 0 },
+                uScale: { value: this.getScale() }
+            },
+            transparent: true,
+            depthWrite: false
+        });
+
+        this.points = new THREE.Points(this.geometry, this.material);
+        this.points.name = 'particles';
+        // Particles fly anywhere, and a bounding sphere would need updating all the time
+        this.points.frustumCulled = false;
+        this.points.renderOrder = 2;
+        this.scene.add(this.points);
+    }
+
+    getScale() {
+        return this.sizes.height * this.sizes.pixelRatio * 0.5;
+    }
+
+    /**
+     * Release a batch of particles
+     * @param {string|Object} preset - Name of a preset ('dust', 'exhaust', 'confetti') or settings
+     * @param {Object} options - Overrides:
+     *   position {Vector3}, velocity {Vector3} (shared start velocity), spread (random extra speed),
+     *   count, life (seconds), size ([start, end] in world units), color (CSS colour or a list to pick from),
+     *   opacity, drag, gravity (vertical acceleration), shape ('soft' or 'square')
+     */
+    emit(preset, options = {}) {
+        if (typeof preset === 'string' && !PRESETS[preset]) {
+            console.warn(`Unknown particle preset: ${preset}`);
+            return;
+        }
+
+        const settings = Object.assign(
+            { position: new THREE.Vector3(), velocity: null, count: 1 },
+            typeof preset === 'string' ? PRESETS[preset] : preset,
+            options
+        );
+        if (!Array.isArray(settings.size) || !(settings.life > 0) || !settings.color) {
+            console.warn("Particles need a size, life and color to be emitted", settings);
+            return;
+        }
+
+        const colors = Array.isArray(settings.color) ? settings.color : [settings.color];
+        const attributes = this.attributes;
+
+        for (let n = 0; n < settings.count; n++) {
+            const i = this.cursor;
+            this.cursor = (this.cursor + 1) % this.count;
+            this.dirtyRange.mark(i);
+
+            attributes.position.setXYZ(i, settings.position.x, settings.position.y, settings.position.z);
+
+            // Random direction within a sphere, scaled by the spread
+            this.velocity.set(Math.random() * 2 - 1, Math.random() * 2 - 1, Math.random() * 2 - 1);
+            if (this.velocity.lengthSq() > 1) {
+                this.velocity.normalize();
+            }
+            this.velocity.multiplyScalar(settings.spread || 0);
+            if (settings.velocity) {
+                this.velocity.add(settings.velocity);
+            }
+            attributes.aVelocity.setXYZ(i, this.velocity.x, this.velocity.y, this.velocity.z);
+
+            // A little variety in life so batches don't vanish at once
+            const life = settings.life * (0.8 + Math.random() * 0.4);
+            attributes.aTime.setXY(i, this.elapsed, life);
+            attributes.aSize.setXY(i, settings.size[0], settings.size[1]);
+
+            this.color.set(colors[Math.floor(Math.random() * colors.length)]);
+            attributes.aColor.setXYZW(i, this.color.r, this.color.g, this.color.b, settings.opacity);
+            attributes.aPhysics.setXYZ(i, settings.drag || 0, settings.gravity || 0, settings.shape === 'square' ? 1 : 0);
+        }
+    }
+
+    resize() {
+        this.material.uniforms.uScale.value = this.getScale();
+    }
+
+    update() {
+        this.elapsed += Math.min(this.experience.time.delta / 1000, 0.1);
+        this.material.uniforms.uTime.value = this.elapsed;
+        this.dirtyRange.flush();
+    }
+
+    destroy() {
+        this.scene.remove(this.points);
+        this.geometry.dispose();
+        this.material.dispose();
+    }
+}
@@ -0,0 +1,84 @@
+import * as THREE from 'three';
+
+/**
+ * Blocky stand-in car built from a box and four cylinders. Used when a car model
+ * fails to load, as the catalog's prototype car and for AI opponents without a model.
+ *
+ * The model faces +Z with its origin on the ground, and names its meshes like a
+ * GLB car would ('body', 'wheel_fl'...) so WheelRig and Livery can find the parts.
+ */
+export default class PlaceholderCar {
+    /**
+     * @param {Object} options
+     * @param {number|string} options.bodyColor - Colour of the body
+     */
+    constructor(options = {}) {
+        this.settings = Object.assign({
+            bodyColor: 0x3344aa
+        }, options);
+
+        this.model = new THREE.Group();
+        this.wheels = [];
+
+        this.build();
+    }
+
+    build() {
+        // Lift the model so the bottom of the wheels touches the ground
+        this.model.position.y = 0.55;
+
+        // Car body - use a blue color for visibility
+        const bodyGeometry = new THREE.BoxGeometry(1, 0.5, 2);
+        const bodyMaterial = new THREE.MeshStandardMaterial({
+            color: this.settings.bodyColor,
+            metalness: 0.3,
+            roughness: 0.4
+        });
+        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+        body.name = 'body';
+        body.castShadow = true;
+        body.receiveShadow = true;
+        this.model.add(body);
+
+        // Wheels
+        const wheelGeometry = new THREE.CylinderGeometry(0.3, 0.3, 0.2, 16);
+        const wheelMaterial = new THREE.MeshStandardMaterial({
+            color: 0x222222,
+            metalness: 0.3,
+            roughness: 0.8
+        });
+
+        // Create and position wheels
+        const wheelPositions = [
+            { name: 'wheel_fl', x: 0.6, y: -0.25, z: 0.7 },
+            { name: 'wheel_fr', x: -0.6, y: -0.25, z: 0.7 },
+            { name: 'wheel_rl', x: 0.6, y: -0.25, z: -0.7 },
+            { name: 'wheel_rr', x: -0.6, y: -0.25, z: -0.7 }
+        ];
+
+        // Hub caps the livery can paint
+        const rimGeometry = new THREE.CylinderGeometry(0.18, 0.18, 0.22, 16);
+        const rimMaterial = new THREE.MeshStandardMaterial({
+            name: 'rim',
+            color: 0xcccccc,
+            metalness: 0.8,
+            roughness: 0.3
+        });
+
+        wheelPositions.forEach(pos => {
+            const wheel = new THREE.Mesh(wheelGeometry, wheelMaterial);
+            wheel.name = pos.name;
+            wheel.position.set(pos.x, pos.y, pos.z);
+            wheel.rotation.z = Math.PI / 2; // Rotate to correct orientation
+            wheel.castShadow = true;
+            wheel.receiveShadow = true;
+
+            const rim = new THREE.Mesh(rimGeometry, rimMaterial);
+            rim.name = 'rim';
+            wheel.add(rim);
+
+            this.model.add(wheel);
+            this.wheels.push(wheel);
+        });
+    }
+}
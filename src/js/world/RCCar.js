@@ -1,165 +1,187 @@
 import * as THREE from 'three';
 import { gsap } from 'gsap';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import VehiclePhysics from './VehiclePhysics.js';
+import DriftTracker from './DriftTracker.js';
+import Boost from './Boost.js';
+import WheelRig from './WheelRig.js';
+import Suspension from './Suspension.js';
+import CarCatalog from './CarCatalog.js';
+import Livery from './Livery.js';
+import Autopilot from './Autopilot.js';
+import PlaceholderCar from './PlaceholderCar.js';
+import EventEmitter from '../utils/EventEmitter.js';
 
-export default class RCCar {
-    constructor(experience) {
+export default class RCCar extends EventEmitter {
+    /**
+     * @param {Experience} experience
+     * @param {Object} options - Only needed for extra cars, e.g. player 2 in split-screen mode
+     */
+    constructor(experience, options = {}) {
+        super();
+        
         this.experience = experience;
+        this.settings = Object.assign({
+            player: 0,                          // Whose driving input moves the car (see InputManager.getState)
+            name: 'rcCar',
+            carStorageKey: 'rcCarSelectedCar',
+            liveryStorageKey: 'rcCarLiveries',
+            livery: null,                       // Paint job between the catalog's and the saved one
+            waitForResources: true              // A car added after loading can set up straight away
+        }, options);
         this.scene = this.experience.scene;
         this.resources = this.experience.resources;
         this.time = this.experience.time;
         this.track = null; // Will be set when the track is ready
         
         this.progress = 0;
-        this.speed = 0.00005;      // Reduced from 0.0004 (4x slower)
-        this.manualSpeed = 0.00005; // Reduced from 0.001 (5x slower)
         
-        // Control state
-        this.controlMode = 'auto'; // 'auto' or 'manual'
-        this.keys = {
-            forward: false,
-            backward: false,
-            left: false,
-            right: false
-        };
+        // Speeds are in world units per second so they don't depend on the track length.
+        // The autopilot's speeds are set in Autopilot (created once the track is ready).
+        this.autopilot = null;
+        this.currentSpeed = 0;     // Signed forward speed this frame (negative in reverse)
+        this.metersPerUnit = 1;    // Scale used to report the speed in km/h
+        
+        // Free-roam vehicle model used in manual mode
+        this.physics = new VehiclePhysics();
+        this.defaultHandling = Object.assign({}, this.physics.settings);
+        
+        // Cars that can be picked in the garage
+        this.catalog = new CarCatalog();
+        this.carEntry = null;
+        this.carLoadId = 0;
+        this.carStorageKey = this.settings.carStorageKey;
+        
+        // Paint jobs per car id, kept between visits
+        this.livery = new Livery();
+        this.liveryStorageKey = this.settings.liveryStorageKey;
+        this.liveries = this.loadLiveries();
+        
+        // Collision footprint of the car in car space, measured in setModel()
+        this.collisionBox = { offsetX: 0, offsetZ: 0, halfWidth: 0.5, halfLength: 1 };
+        this.lastCollisionTimes = {};
+        this.rivals = [];          // Other player cars to bump into
         
-        // Setup keyboard controls
-        this.setupKeyboardControls();
+        // Per-car spring/damper tuning, see Suspension for the available settings
+        this.suspensionSettings = {};
+        
+        // Drift scoring - events are re-emitted from the car so the UI can listen to rcCar
+        this.driftTracker = new DriftTracker((name, data) => this.trigger(name, [data]));
+        
+        // Boost tank, burnt with the boost action and refilled over time or by pickups
+        this.boost = new Boost((name, data) => this.trigger(name, [data]));
+        
+        // Control state - driving input comes from the shared InputManager
+        this.controlMode = 'auto'; // 'auto' or 'manual'
+        this.controlsLocked = false; // Held on the spot, e.g. during a race countdown
+        this.modeLocked = false;     // No switching to the autopilot, e.g. during a race
+        this.input = this.experience.input;
+        this.player = this.settings.player;
+        
+        // The mode toggle belongs to player 1
+        if (this.input && this.player === 0) {
+            this.input.on('toggleMode', () => this.toggleControlMode());
+        }
         
         // Wait for resources
-        this.resources.on('ready', () => {
-            console.log("Resources ready in RCCar");
-            this.rcCarModel = this.resources.items.rcCarModel;
-            
-            // If the model didn't load through resources, try direct loading
-            if (!this.rcCarModel || !this.rcCarModel.scene || this.rcCarModel.scene.children.length === 0) {
-                console.log("Model not loaded through resources, trying direct loading");
-                this.loadModelDirectly();
-            } else {
-                this.setModel();
-            }
-            
-            // Only start moving when track is available
-            if (this.experience.track && this.experience.track.trackCurve) {
-                this.track = this.experience.track;
-                this.startMoving();
-            } else {
-                console.warn("Track not ready yet, waiting...");
-                // Try again in a second - track might not be ready
-                setTimeout(() => {
-                    if (this.experience.track && this.experience.track.trackCurve) {
-                        this.track = this.experience.track;
-                        this.startMoving();
-                    } else {
-                        console.error("Track still not available, creating fallback track");
-                        this.createFallbackTrack();
-                        this.track = this.fallbackTrack;
-                        this.startMoving();
-                    }
-                }, 1000);
-            }
-        });
+        if (this.settings.waitForResources) {
+            this.resources.on('ready', () => {
+                console.log("Resources ready in RCCar");
+                this.setup();
+            });
+        } else {
+            this.setup();
+        }
     }
     
-    setupKeyboardControls() {
-        try {
-            // Add event listeners for keyboard controls
-            window.addEventListener('keydown', (event) => this.handleKeyDown(event));
-            window.addEventListener('keyup', (event) => this.handleKeyUp(event));
-            
-            // Create instructions element
-            this.createControlsInfo();
-            
-            console.log("Keyboard controls set up");
-        } catch (error) {
-            console.error("Error setting up keyboard controls:", error);
-        }
-    }
-    
-    createControlsInfo() {
-        // Create a controls info div
-        const controlsInfo = document.createElement('div');
-        controlsInfo.className = 'controls-info';
-        controlsInfo.innerHTML = `
-            <h3>Controls</h3>
-            <div>Arrow Keys: Control Car</div>
-            <div>Space: Toggle Auto/Manual</div>
-            <div class="mode">Mode: Automatic</div>
-        `;
-        
-        // Style the controls info
-        controlsInfo.style.position = 'absolute';
-        controlsInfo.style.bottom = '20px';
-        controlsInfo.style.left = '20px';
-        controlsInfo.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
-        controlsInfo.style.color = 'white';
-        controlsInfo.style.padding = '10px';
-        controlsInfo.style.borderRadius = '5px';
-        controlsInfo.style.fontFamily = 'Arial, sans-serif';
-        controlsInfo.style.zIndex = '1000';
-        
-        // Add the controls info to the body
-        document.body.appendChild(controlsInfo);
-        
-        // Save reference to mode display
-        this.modeDisplay = controlsInfo.querySelector('.mode');
-    }
-    
-    handleKeyDown(event) {
-        // Check which key was pressed
-        switch(event.key) {
-            case 'ArrowUp':
-                this.keys.forward = true;
-                this.setControlMode('manual');
-                break;
-            case 'ArrowDown':
-                this.keys.backward = true;
-                this.setControlMode('manual');
-                break;
-            case 'ArrowLeft':
-                this.keys.left = true;
-                this.setControlMode('manual');
-                break;
-            case 'ArrowRight':
-                this.keys.right = true;
-                this.setControlMode('manual');
-                break;
-            case ' ': // Spacebar
-                // Toggle between auto and manual modes
-                this.setControlMode(this.controlMode === 'auto' ? 'manual' : 'auto');
-                break;
+    setup() {
+        // The car group stays in place while car models are swapped in the garage
+        this.carGroup = new THREE.Group();
+        this.carGroup.name = this.settings.name;
+        this.scene.add(this.carGroup);
+        
+        this.setCar(this.loadSelectedCarId());
+        
+        // Only start moving when track is available
+        if (this.experience.track && this.experience.track.trackCurve) {
+            this.track = this.experience.track;
+            this.startMoving();
+        } else {
+            console.warn("Track not ready yet, waiting...");
+            // Try again in a second - track might not be ready
+            setTimeout(() => {
+                if (this.experience.track && this.experience.track.trackCurve) {
+                    this.track = this.experience.track;
+                    this.startMoving();
+                } else {
+                    console.error("Track still not available, creating fallback track");
+                    this.createFallbackTrack();
+                    this.track = this.fallbackTrack;
+                    this.startMoving();
+                }
+            }, 1000);
         }
     }
     
-    handleKeyUp(event) {
-        // Check which key was released
-        switch(event.key) {
-            case 'ArrowUp':
-                this.keys.forward = false;
-                break;
-            case 'ArrowDown':
-                this.keys.backward = false;
-                break;
-            case 'ArrowLeft':
-                this.keys.left = false;
-                break;
-            case 'ArrowRight':
-                this.keys.right = false;
-                break;
-        }
+    toggleControlMode() {
+        if (this.controlsLocked || this.modeLocked) return;
+        
+        this.setControlMode(this.controlMode === 'auto' ? 'manual' : 'auto');
     }
     
     setControlMode(mode) {
+        if (mode === this.controlMode) return;
+        
         this.controlMode = mode;
         
-        // Update mode display if it exists
-        if (this.modeDisplay) {
-            this.modeDisplay.textContent = `Mode: ${this.controlMode === 'auto' ? 'Automatic' : 'Manual'}`;
+        if (this.track && this.carGroup) {
+            if (mode === 'manual') {
+                // Hand the current pose and speed over to the vehicle model
+                const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(this.carGroup.quaternion);
+                const heading = Math.atan2(forward.x, forward.z);
+                this.physics.reset(this.carGroup.position, heading, this.currentSpeed);
+            } else {
+                // Autopilot doesn't drift or boost - drop any running combo
+                this.driftTracker.cancel();
+                this.boost.cancel();
+                
+                // Snap back onto the racing line at the closest point, keeping the speed
+                this.progress = this.track.getClosestProgress(this.carGroup.position);
+                if (this.autopilot) {
+                    this.autopilot.reset(this.progress, this.currentSpeed);
+                }
+            }
         }
         
+        this.trigger('modeChange', [this.controlMode]);
+        
         console.log(`Control mode set to: ${this.controlMode}`);
     }
     
+    /**
+     * Put the car on the track standing still, in manual mode (e.g. on a race grid)
+     * @param {number} progress - Track progress (0-1)
+     * @param {number} offset - Sideways offset from the track curve (positive is the car's left)
+     */
+    placeOnTrack(progress, offset = 0) {
+        if (!this.track || !this.carGroup) return;
+        
+        const tangent = this.track.getTangentAt(progress);
+        const position = this.track.getPointAt(progress)
+            .addScaledVector(new THREE.Vector3(tangent.z, 0, -tangent.x).normalize(), offset);
+        const heading = Math.atan2(tangent.x, tangent.z);
+        
+        this.setControlMode('manual');
+        this.driftTracker.cancel();
+        this.boost.cancel();
+        this.physics.reset(position, heading, 0);
+        
+        this.progress = progress;
+        this.currentSpeed = 0;
+        this.carGroup.position.set(position.x, this.getRideHeight(), position.z);
+        this.carGroup.rotation.set(0, heading, 0);
+        this.lastWheelPosition = null;
+    }
+    
     createFallbackTrack() {
         console.log("Creating fallback track");
         // Create a simple circular path as fallback
@@ -185,41 +207,107 @@ export default class RCCar {
         this.fallbackTrack.trackCurve = curve;
         this.fallbackTrack.getPointAt = (t) => curve.getPointAt(t);
         this.fallbackTrack.getTangentAt = (t) => curve.getTangentAt(t);
+        this.fallbackTrack.getLength = () => curve.getLength();
+        this.fallbackTrack.getClosestProgress = (position) => {
+            // The fallback track is a circle around the origin starting on +X
+            const angle = Math.atan2(position.z, position.x);
+            return ((angle / (Math.PI * 2)) % 1 + 1) % 1;
+        };
+    }
+    
+    /**
+     * Swap to another car from the catalog - the old model is disposed once the new one has loaded
+     * Example: window.experience.rcCar.setCar('buggy')
+     * @param {string} id - Catalog id of the car
+     */
+    setCar(id) {
+        const entry = this.catalog.get(id) || this.catalog.getDefault();
+        
+        // Only the most recent selection gets applied
+        const loadId = ++this.carLoadId;
+        this.trigger('carLoading', [entry]);
+        
+        if (!entry.path) {
+            this.applyCar(entry, null);
+            return;
+        }
+        
+        this.resources.loadGltf(
+            entry.path,
+            (gltf) => {
+                if (loadId !== this.carLoadId) {
+                    this.experience.disposeObject(gltf.scene);
+                    return;
+                }
+                this.applyCar(entry, gltf);
+            },
+            () => {
+                if (loadId !== this.carLoadId) return;
+                
+                console.warn(`Could not load ${entry.name}, using the placeholder model`);
+                this.applyCar(entry, null);
+            }
+        );
+    }
+    
+    applyCar(entry, gltf) {
+        this.disposeModel();
+        
+        this.carEntry = entry;
+        this.rcCarModel = gltf;
+        this.wheelPatterns = entry.wheelPatterns;
+        this.suspensionSettings = Object.assign({}, entry.suspension);
+        
+        // Start from the default handling so settings of the previous car don't carry over
+        this.physics.settings = Object.assign({}, this.defaultHandling, entry.handling);
+        
+        this.setModel();
+        this.saveSelectedCarId(entry.id);
+        
+        console.log(`Car set to: ${entry.name}`);
+        this.trigger('carChange', [entry]);
+    }
+    
+    loadSelectedCarId() {
+        try {
+            return window.localStorage.getItem(this.carStorageKey) || this.catalog.defaultId;
+        } catch (error) {
+            return this.catalog.defaultId;
+        }
+    }
+    
+    saveSelectedCarId(id) {
+        try {
+            window.localStorage.setItem(this.carStorageKey, id);
+        } catch (error) {
+            console.warn("Could not save the selected car:", error);
+        }
     }
     
     setModel() {
         try {
             // Check if we have a valid model, otherwise create a simple box placeholder
             if (this.rcCarModel && this.rcCarModel.scene && this.rcCarModel.scene.children.length > 0) {
-                console.log("Using F1 car GLB model");
+                console.log(`Using ${this.carEntry.name} GLB model`);
                 this.debugModelStructure(); // Add debug output
                 
                 this.model = this.rcCarModel.scene;
                 
-                // Check if model is valid
-                if (!this.model) {
-                    console.error("Model scene is invalid, using fallback");
-                    this.createFallbackModel();
-                    return;
-                }
-                
-                console.log("F1 model loaded successfully, configuring...");
+                console.log("Car model loaded successfully, configuring...");
                 
-                // Appropriate scale for F1 car model - may need adjustment based on actual model size
-                this.model.scale.set(0.25, 0.25, 0.25);
+                // Scale and rotation from the catalog so the car faces forward at the right size
+                this.model.scale.setScalar(this.carEntry.scale);
                 
                 // Centered on origin - will be positioned by carGroup
                 this.model.position.set(0, 0, 0);
-                
-                // Rotate the model to face forward direction
-                this.model.rotation.set(0, Math.PI, 0);
+                this.model.rotation.set(...this.carEntry.rotation);
                 
                 // Create a bounding box to measure the model height for proper alignment
                 const boundingBox = new THREE.Box3().setFromObject(this.model);
                 const modelHeight = boundingBox.max.y - boundingBox.min.y;
                 const groundOffset = boundingBox.min.y;
                 
-                console.log("F1 car model dimensions:", {
+                console.log("Car model dimensions:", {
                     width: boundingBox.max.x - boundingBox.min.x,
                     height: modelHeight,
                     depth: boundingBox.max.z - boundingBox.min.z,
@@ -238,11 +326,9 @@ export default class RCCar {
                         child.castShadow = true;
                         child.receiveShadow = true;
                         
-                        // Improve material quality
+                        // The paint finish is set per material slot by the livery
                         if (child.material) {
                             console.log(`Material found on ${child.name}:`, child.material.type);
-                            child.material.metalness = 0.7; // Higher metalness for car body
-                            child.material.roughness = 0.3; // Lower roughness for shinier look
                             
                             // Ensure correct texture encoding if textures are present
                             if (child.material.map) {
@@ -261,7 +347,7 @@ export default class RCCar {
                 // Try to find the wheels for animation
                 this.wheels = [];
                 this.model.traverse((child) => {
-                    // Look for wheels by name patterns common in F1 car models
+                    // Look for wheels by name patterns common in car models
                     if (child.name && (
                         child.name.toLowerCase().includes('wheel') || 
                         child.name.toLowerCase().includes('tire') ||
@@ -279,25 +365,208 @@ export default class RCCar {
                     this.findWheelsByGeometry();
                 }
                 
-                console.log(`Found ${this.wheels.length} wheels in the F1 car model`);
+                console.log(`Found ${this.wheels.length} wheels in the car model`);
             } else {
-                console.warn("Invalid or missing F1 car model, using fallback");
+                console.warn("Invalid or missing car model, using fallback");
                 this.createFallbackModel();
             }
-            
-            // Add the model to the scene
-            this.scene.add(this.model);
-            
-            // Create a group to handle car rotation
-            this.carGroup = new THREE.Group();
-            this.scene.add(this.carGroup);
-            this.carGroup.add(this.model);
-            
-            console.log(`Car model set up with ${this.wheels.length} wheels`);
         } catch (error) {
             console.error("Error setting up model:", error);
+            this.experience.disposeObject(this.model);
             this.createFallbackModel();
         }
+        
+        this.mountModel();
+    }
+    
+    /**
+     * Put the model on the suspension inside the car group and set up wheels and collisions
+     */
+    mountModel() {
+        // The model sits on the sprung body of the suspension
+        this.suspension = new Suspension(this.suspensionSettings);
+        this.carGroup.add(this.suspension.body);
+        this.suspension.body.add(this.model);
+        
+        // Measure in car space
+        this.withCarParked(() => this.measureModel());
+        
+        this.carGroup.position.y = this.getRideHeight();
+        
+        console.log(`Car model set up with ${this.wheels.length} wheels`);
+    }
+    
+    measureModel() {
+        // Measure the car's footprint for collisions
+        const footprint = new THREE.Box3().setFromObject(this.model);
+        if (!footprint.isEmpty()) {
+            const footprintCenter = footprint.getCenter(new THREE.Vector3());
+            this.collisionBox = {
+                offsetX: footprintCenter.x,
+                offsetZ: footprintCenter.z,
+                halfWidth: (footprint.max.x - footprint.min.x) / 2,
+                halfLength: (footprint.max.z - footprint.min.z) / 2
+            };
+        }
+        
+        // Put the wheels on pivots so they can spin and steer. The pivots hang
+        // off the car group so the body can pitch and roll above them.
+        this.wheelRig = new WheelRig(this.model, this.wheels, Object.assign({
+            carGroup: this.carGroup,
+            parent: this.carGroup
+        }, this.wheelPatterns));
+        
+        // Paint it - decals are projected in car space too
+        this.livery.attach(this.model, this.wheels);
+        this.livery.apply(this.getLivery());
+    }
+    
+    /**
+     * Run a callback with the car group and its sprung body moved to the origin and
+     * unrotated, so world space equals car space while measuring or projecting
+     * @param {Function} callback
+     */
+    withCarParked(callback) {
+        const position = this.carGroup.position.clone();
+        const quaternion = this.carGroup.quaternion.clone();
+        const bodyPosition = this.suspension.body.position.clone();
+        const bodyRotation = this.suspension.body.rotation.clone();
+        
+        this.carGroup.position.set(0, 0, 0);
+        this.carGroup.quaternion.identity();
+        this.suspension.body.position.set(0, 0, 0);
+        this.suspension.body.rotation.set(0, 0, 0);
+        this.carGroup.updateMatrixWorld(true);
+        
+        try {
+            callback();
+        } finally {
+            this.carGroup.position.copy(position);
+            this.carGroup.quaternion.copy(quaternion);
+            this.suspension.body.position.copy(bodyPosition);
+            this.suspension.body.rotation.copy(bodyRotation);
+            this.carGroup.updateMatrixWorld(true);
+        }
+    }
+    
+    /**
+     * Paint job of the current car: catalog defaults with the visitor's changes on top
+     * @returns {{bodyColor: string|null, finish: string, rimColor: string|null, decal: string, number: string}}
+     */
+    getLivery() {
+        const id = this.carEntry ? this.carEntry.id : null;
+        
+        return Object.assign({
+            bodyColor: null, // null keeps the model's own colour
+            finish: 'metallic',
+            rimColor: null,
+            decal: 'none',   // 'none', 'number' or 'stripes'
+            number: '7'
+        }, this.carEntry && this.carEntry.livery, this.settings.livery, this.liveries[id]);
+    }
+    
+    /**
+     * Repaint the current car and remember it for the next visit
+     * Example: window.experience.rcCar.setLivery({ bodyColor: '#ff6600', finish: 'pearlescent' })
+     * @param {Object} changes - Any of the livery settings
+     */
+    setLivery(changes) {
+        if (!this.carEntry) return this;
+        
+        const id = this.carEntry.id;
+        this.liveries[id] = Object.assign({}, this.liveries[id], changes);
+        this.saveLiveries();
+        
+        const livery = this.getLivery();
+        if (this.model && this.suspension) {
+            this.withCarParked(() => this.livery.apply(livery));
+        }
+        
+        this.trigger('liveryChange', [livery]);
+        return this; // For chaining
+    }
+    
+    /**
+     * Repaint the current car without remembering it, e.g. while a colour picker
+     * is being dragged - setLivery() keeps the final choice
+     * @param {Object} changes - Any of the livery settings
+     */
+    previewLivery(changes) {
+        if (!this.carEntry || !this.model || !this.suspension) return this;
+        
+        const livery = Object.assign(this.getLivery(), changes);
+        this.withCarParked(() => this.livery.apply(livery));
+        return this; // For chaining
+    }
+    
+    /**
+     * Go back to the catalog paint job of the current car
+     */
+    resetLivery() {
+        if (!this.carEntry) return this;
+        
+        delete this.liveries[this.carEntry.id];
+        return this.setLivery({});
+    }
+    
+    loadLiveries() {
+        try {
+            return JSON.parse(window.localStorage.getItem(this.liveryStorageKey)) || {};
+        } catch (error) {
+            console.warn("Could not load saved liveries:", error);
+            return {};
+        }
+    }
+    
+    saveLiveries() {
+        try {
+            window.localStorage.setItem(this.liveryStorageKey, JSON.stringify(this.liveries));
+        } catch (error) {
+            console.warn("Could not save liveries:", error);
+        }
+    }
+    
+    /**
+     * Remove the current car model, its wheel pivots and suspension and free their GPU memory
+     */
+    disposeModel() {
+        if (!this.model) return;
+        
+        // The wheel meshes live on the rig's pivots, not under the model any more
+        this.livery.detach();
+        
+        if (this.wheelRig) {
+            this.wheelRig.wheels.forEach(wheel => this.experience.disposeObject(wheel.steerPivot));
+            this.wheelRig.dispose();
+            this.wheelRig = null;
+        }
+        
+        this.experience.disposeObject(this.model);
+        
+        if (this.suspension) {
+            this.carGroup.remove(this.suspension.body);
+            this.suspension = null;
+        }
+        
+        this.model = null;
+        this.wheels = [];
+        this.rcCarModel = null;
+        this.modelGroundOffset = undefined;
+        this.lastWheelPosition = null;
+    }
+    
+    /**
+     * Remove the car from the scene for good, e.g. player 2's car when split-screen ends
+     */
+    dispose() {
+        // Ignore a model still loading
+        this.carLoadId++;
+        this.disposeModel();
+        
+        if (this.carGroup) {
+            this.experience.disposeObject(this.carGroup);
+            this.carGroup = null;
+        }
     }
     
     findWheelsByGeometry() {
@@ -337,12 +606,18 @@ export default class RCCar {
             // Begin animation on the path when track is ready
             if (this.track && this.track.trackCurve) {
                 console.log("Starting car movement on track");
-                // Get initial position on the track
-                const initialPosition = this.track.getPointAt(0);
+                
+                // Work out the racing line and speed profile of this track
+                this.autopilot = new Autopilot(this.track, {
+                    trackWidth: this.track.getTrackWidth ? this.track.getTrackWidth() : 0
+                });
+                this.autopilot.reset(0);
+                
+                // Get initial position and direction on the racing line
+                const initialPosition = this.autopilot.position;
                 this.carGroup.position.copy(initialPosition);
                 
-                // Get initial direction
-                const initialTangent = this.track.getTangentAt(0);
+                const initialTangent = this.autopilot.tangent;
                 this.carGroup.lookAt(
                     initialPosition.x + initialTangent.x,
                     initialPosition.y + initialTangent.y,
@@ -357,146 +632,237 @@ export default class RCCar {
     }
     
     updateAutoMovement() {
-        // Increment progress
-        this.progress += this.speed * this.time.delta;
-        
-        // Ensure progress wraps around between 0 and 1
-        if (this.progress > 1) {
-            this.progress -= 1;
-        } else if (this.progress < 0) {
-            this.progress += 1;
+        // Follow the racing line, braking into corners and accelerating out of them
+        this.autopilot.update(this.time.delta / 1000);
+        this.progress = this.autopilot.progress;
+        this.currentSpeed = this.autopilot.speed;
+        
+        const position = this.autopilot.position;
+        this.carGroup.position.copy(position);
+        
+        // Position the car correctly on the track surface
+        this.carGroup.position.y = this.getRideHeight();
+        
+        // Make the car look in the direction of motion
+        const tangent = this.autopilot.tangent;
+        const target = new THREE.Vector3(
+            position.x + tangent.x,
+            this.carGroup.position.y,
+            position.z + tangent.z
+        );
+        this.carGroup.lookAt(target);
+    }
+    
+    /**
+     * Analog driving input for the vehicle model
+     * @returns {{throttle: number, brake: number, steer: number, handbrake: number, boost: number}}
+     */
+    getDriveInput() {
+        if (this.controlsLocked) {
+            return { throttle: 0, brake: 0, steer: 0, handbrake: 0, boost: 0 };
         }
         
-        // Get position on track
-        const position = this.track.getPointAt(this.progress);
-        if (position) {
-            this.carGroup.position.copy(position);
-            
-            // Position the car correctly on the track surface
-            // Include any height adjustment set via adjustCarHeight method
-            const heightAdjustment = this.heightAdjustment || 0;
-            
-            // If we have detected the model's ground offset, use that for precise positioning
-            if (this.modelGroundOffset !== undefined) {
-                // Adjust height to make the model sit exactly on the surface
-                // Using a smaller buffer to position the car closer to the ground
-                const groundBuffer = 0.01; // Reduced from 0.05 to get car closer to ground
-                this.carGroup.position.y = Math.abs(this.modelGroundOffset) * 0.5 + groundBuffer + heightAdjustment;
-            } else {
-                // Fallback to default positioning if no offset was measured
-                this.carGroup.position.y = 0.01 + heightAdjustment; // Reduced from 0.05
-            }
-            
-            // Get the tangent at the current position (direction of movement)
-            const tangent = this.track.getTangentAt(this.progress);
-            
-            // Make the car look in the direction of motion
-            if (tangent) {
-                const target = new THREE.Vector3(
-                    position.x + tangent.x,
-                    position.y + tangent.y,
-                    position.z + tangent.z
-                );
-                this.carGroup.lookAt(target);
-            }
-        }
+        return this.input ? this.input.getState(this.player) : { throttle: 0, brake: 0, steer: 0, handbrake: 0, boost: 0 };
     }
     
     updateManualMovement() {
-        let progressChange = 0;
-        
-        // Calculate progress change based on input
-        if (this.keys.forward) {
-            progressChange += this.manualSpeed * this.time.delta;
-        }
-        if (this.keys.backward) {
-            progressChange -= this.manualSpeed * this.time.delta;
+        const input = this.getDriveInput();
+        
+        // Boost only burns while driving forward
+        const delta = Math.min(this.time.delta / 1000, 0.05);
+        this.physics.boost = this.boost.update(delta, input.boost > 0.5 && this.physics.forwardSpeed > -0.1);
+        
+        // Drive freely on the floor plane using the vehicle model
+        this.physics.update(this.time.delta / 1000, input);
+        this.currentSpeed = this.physics.forwardSpeed;
+        
+        // Keep the car out of the billboards and on the floor
+        if (this.experience.collisions) {
+            const collisions = this.experience.collisions;
+            const rivals = this.rivals
+                .filter(car => car.carGroup)
+                .map((car, index) => car.getCollisionBox(collisions, index));
+            this.handleCollisions(collisions.resolveCar(this.physics, this.collisionBox, rivals));
         }
         
-        // Update progress
-        this.progress += progressChange;
+        this.driftTracker.update(Math.min(this.time.delta / 1000, 0.05), this.physics);
+        
+        this.carGroup.position.x = this.physics.position.x;
+        this.carGroup.position.z = this.physics.position.z;
+        this.carGroup.rotation.set(0, this.physics.heading, 0);
         
-        // Ensure progress wraps around between 0 and 1
-        if (this.progress > 1) {
-            this.progress -= 1;
-        } else if (this.progress < 0) {
-            this.progress += 1;
+        // Position the car correctly on the floor
+        this.carGroup.position.y = this.getRideHeight();
+        
+        // Keep track of where the car is along the track, e.g. for race positions
+        if (this.track.getClosestProgress) {
+            this.progress = this.track.getClosestProgress(this.carGroup.position);
         }
+    }
+    
+    /**
+     * Footprint of the car for other cars to collide with
+     * @param {Collisions} collisions
+     * @param {number} index - Index of the car among the rivals, for the collision cooldown
+     * @returns {Object} Collision box of type 'car'
+     */
+    getCollisionBox(collisions, index) {
+        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(this.carGroup.quaternion);
+        const heading = Math.atan2(forward.x, forward.z);
+        const box = this.collisionBox;
+        
+        return collisions.createBox(
+            this.carGroup.position.x + forward.z * box.offsetX + forward.x * box.offsetZ,
+            this.carGroup.position.z - forward.x * box.offsetX + forward.z * box.offsetZ,
+            heading,
+            box.halfWidth,
+            box.halfLength,
+            {
+                type: 'car',
+                index,
+                object: this.carGroup,
+                velocity: new THREE.Vector2(forward.x * this.currentSpeed, forward.z * this.currentSpeed)
+            }
+        );
+    }
+    
+    /**
+     * Emit collision events for sound and camera hooks
+     * @param {Array} contacts - Contacts returned by Collisions.resolveCar()
+     */
+    handleCollisions(contacts) {
+        const minImpactSpeed = 0.5;
+        const cooldown = 300; // ms between events for the same obstacle
         
-        // Get position on track
-        const position = this.track.getPointAt(this.progress);
-        if (position) {
-            this.carGroup.position.copy(position);
-            
-            // Position the car correctly on the track surface
-            // Include any height adjustment set via adjustCarHeight method
-            const heightAdjustment = this.heightAdjustment || 0;
+        contacts.forEach((contact) => {
+            const key = contact.obstacle.index !== undefined ? `${contact.type}${contact.obstacle.index}` : contact.type;
+            const lastTime = this.lastCollisionTimes[key];
             
-            // If we have detected the model's ground offset, use that for precise positioning
-            if (this.modelGroundOffset !== undefined) {
-                // Adjust height to make the model sit exactly on the surface
-                // Using a smaller buffer to position the car closer to the ground
-                const groundBuffer = 0.01; // Reduced from 0.05 to get car closer to ground
-                this.carGroup.position.y = Math.abs(this.modelGroundOffset) * 0.5 + groundBuffer + heightAdjustment;
-            } else {
-                // Fallback to default positioning if no offset was measured
-                this.carGroup.position.y = 0.01 + heightAdjustment; // Reduced from 0.05
-            }
+            // Scraping along a wall has almost no impact speed and stays quiet
+            if (contact.impactSpeed < minImpactSpeed) return;
+            if (lastTime !== undefined && this.time.elapsed - lastTime < cooldown) return;
             
-            // Get the tangent at the current position (direction of movement)
-            const tangent = this.track.getTangentAt(this.progress);
+            this.lastCollisionTimes[key] = this.time.elapsed;
             
-            // Make the car look in the direction of motion
-            if (tangent) {
-                const target = new THREE.Vector3(
-                    position.x + tangent.x,
-                    position.y + tangent.y,
-                    position.z + tangent.z
-                );
-                this.carGroup.lookAt(target);
-                
-                // Add steer effect based on left/right keys
-                let steerAngle = 0;
-                if (this.keys.left) steerAngle = Math.PI * 0.05;
-                if (this.keys.right) steerAngle = -Math.PI * 0.05;
-                
-                if (steerAngle !== 0) {
-                    const steerMatrix = new THREE.Matrix4().makeRotationY(steerAngle);
-                    const currentDirection = new THREE.Vector3(0, 0, 1).applyQuaternion(this.carGroup.quaternion);
-                    currentDirection.applyMatrix4(steerMatrix);
-                    
-                    // Create temporary vector for lookAt
-                    const lookPoint = this.carGroup.position.clone().add(currentDirection);
-                    this.carGroup.lookAt(lookPoint);
-                    
-                    // Adjust progress based on steering
-                    if (progressChange !== 0) {
-                        if (this.keys.left) this.progress += 0.0001 * this.time.delta;
-                        if (this.keys.right) this.progress -= 0.0001 * this.time.delta;
-                    }
-                }
+            // A crash ends any drift combo
+            if (contact.impactSpeed > 3) {
+                this.driftTracker.cancel();
             }
+            
+            this.trigger('collision', [contact]);
+        });
+    }
+    
+    /**
+     * Height of the car group above the floor at its current position
+     * @returns {number}
+     */
+    getRideHeight() {
+        // Include any height adjustment set via adjustCarHeight method
+        const heightAdjustment = this.heightAdjustment || 0;
+        
+        // Follow the surface the car is on (the track ring is raised above the floor)
+        const surfaceHeight = this.track && this.track.getSurfaceHeight
+            ? this.track.getSurfaceHeight(this.carGroup.position)
+            : 0;
+        
+        // If we have detected the model's ground offset, use that for precise positioning
+        if (this.modelGroundOffset !== undefined) {
+            // Adjust height to make the model sit exactly on the surface
+            // Using a smaller buffer to position the car closer to the ground
+            const groundBuffer = 0.01; // Reduced from 0.05 to get car closer to ground
+            return Math.abs(this.modelGroundOffset) * 0.5 + groundBuffer + heightAdjustment + surfaceHeight;
         }
+        
+        // Fallback to default positioning if no offset was measured
+        return 0.01 + heightAdjustment + surfaceHeight; // Reduced from 0.05
     }
     
     update() {
         try {
+            // Using any driving control takes over from the autopilot
+            if (this.input && this.input.isActive(this.player) && this.controlMode === 'auto') {
+                this.setControlMode('manual');
+            }
+            
             if (this.track && this.track.trackCurve && this.carGroup) {
                 // Update movement based on control mode
                 if (this.controlMode === 'auto') {
                     this.updateAutoMovement();
+                    
+                    // The tank keeps filling up under autopilot
+                    this.boost.update(Math.min(this.time.delta / 1000, 0.05), false);
                 } else {
                     this.updateManualMovement();
                 }
                 
-                // Removed wheel animation - wheels no longer rotate
-                // Wheels are now fixed in position
+                this.updateWheels();
+                this.updateSuspension();
             }
         } catch (error) {
             console.error("Error updating car position:", error);
         }
     }
     
+    /**
+     * Spin the wheels by the distance actually travelled and turn the front pair
+     */
+    updateWheels() {
+        if (!this.wheelRig) return;
+        
+        const position = this.carGroup.position;
+        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(this.carGroup.quaternion);
+        const heading = Math.atan2(forward.x, forward.z);
+        
+        if (!this.lastWheelPosition) {
+            this.lastWheelPosition = position.clone();
+            this.lastWheelHeading = heading;
+            this.wheelSteerAngle = 0;
+        }
+        
+        const movement = position.clone().sub(this.lastWheelPosition);
+        movement.y = 0;
+        
+        // Ignore jumps such as snapping back onto the track
+        let distance = movement.length() < 5 ? movement.dot(forward) : 0;
+        
+        if (this.controlMode === 'manual') {
+            this.wheelSteerAngle = this.physics.steerAngle;
+        } else if (Math.abs(distance) > 0.0001) {
+            // Work out the steering angle from how much the car turned over the distance travelled
+            let headingChange = heading - this.lastWheelHeading;
+            headingChange = Math.atan2(Math.sin(headingChange), Math.cos(headingChange));
+            const targetSteer = Math.atan(this.physics.settings.wheelBase * headingChange / distance);
+            this.wheelSteerAngle += (targetSteer - this.wheelSteerAngle) * 0.2;
+        }
+        
+        this.wheelRig.update(distance, this.wheelSteerAngle);
+        
+        this.lastWheelPosition.copy(position);
+        this.lastWheelHeading = heading;
+    }
+    
+    updateSuspension() {
+        if (!this.suspension) return;
+        
+        // Kick the body when rolling on or off the raised track surface
+        const surfaceHeight = this.track.getSurfaceHeight ? this.track.getSurfaceHeight(this.carGroup.position) : 0;
+        if (this.lastSurfaceHeight !== undefined && surfaceHeight !== this.lastSurfaceHeight) {
+            this.suspension.bump(surfaceHeight - this.lastSurfaceHeight, Math.abs(this.currentSpeed));
+        }
+        this.lastSurfaceHeight = surfaceHeight;
+        
+        this.suspension.update(this.time.delta / 1000, this.carGroup);
+    }
+    
+    /**
+     * Current speed in km/h for the HUD and audio
+     * @returns {number}
+     */
+    get speedKmh() {
+        return Math.abs(this.currentSpeed) * this.metersPerUnit * 3.6;
+    }
+    
     debugModelStructure() {
         if (!this.rcCarModel || !this.rcCarModel.scene) {
             console.log("No model to debug");
@@ -564,6 +930,21 @@ export default class RCCar {
         return this; // For chaining
     }
     
+    /**
+     * Tune the suspension at runtime - can be called from console
+     * Example: window.experience.rcCar.setSuspension({ stiffness: 80, damping: 6 })
+     * @param {Object} settings - Any of the Suspension settings
+     */
+    setSuspension(settings) {
+        Object.assign(this.suspensionSettings, settings);
+        
+        if (this.suspension) {
+            Object.assign(this.suspension.settings, settings);
+        }
+        
+        return this; // For chaining
+    }
+    
     /**
      * Reset the height adjustment to default
      */
@@ -581,114 +962,13 @@ export default class RCCar {
     }
     
     /**
-     * Create a fallback model when the F1 car model fails to load
+     * Create a fallback model when a car model fails to load (also the catalog's prototype car)
      */
     createFallbackModel() {
         console.log("Creating fallback car model");
         
-        // Create a simple car shape as fallback
-        this.model = new THREE.Group();
-        
-        // Car body - use a blue color for visibility
-        const bodyGeometry = new THREE.BoxGeometry(1, 0.5, 2);
-        const bodyMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x3344aa,
-            metalness: 0.3,
-            roughness: 0.4
-        });
-        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-        body.castShadow = true;
-        body.receiveShadow = true;
-        this.model.add(body);
-        
-        // Wheels
-        const wheelGeometry = new THREE.CylinderGeometry(0.3, 0.3, 0.2, 16);
-        const wheelMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x222222,
-            metalness: 0.3,
-            roughness: 0.8
-        });
-        
-        // Create and position wheels
-        this.wheels = [];
-        const wheelPositions = [
-            { x: -0.6, y: -0.25, z: 0.7 },  // front left
-            { x: 0.6, y: -0.25, z: 0.7 },   // front right
-            { x: -0.6, y: -0.25, z: -0.7 }, // back left
-            { x: 0.6, y: -0.25, z: -0.7 }   // back right
-        ];
-        
-        wheelPositions.forEach(pos => {
-            const wheel = new THREE.Mesh(wheelGeometry, wheelMaterial);
-            wheel.position.set(pos.x, pos.y, pos.z);
-            wheel.rotation.z = Math.PI / 2; // Rotate to correct orientation
-            wheel.castShadow = true;
-            wheel.receiveShadow = true;
-            this.model.add(wheel);
-            this.wheels.push(wheel);
-        });
-    }
-    
-    /**
-     * Load the F1 model directly using GLTFLoader
-     */
-    loadModelDirectly() {
-        console.log("Attempting to load F1 model directly");
-        
-        // Create a new loader instance
-        const loader = new GLTFLoader();
-        
-        // Try multiple paths to find the correct one
-        const paths = [
-            './models/rc_f1.glb',
-            '/models/rc_f1.glb',
-            '../models/rc_f1.glb',
-            'models/rc_f1.glb',
-            '/dist/models/rc_f1.glb',
-            './dist/models/rc_f1.glb',
-            window.location.origin + '/models/rc_f1.glb',
-            window.location.origin + '/dist/models/rc_f1.glb'
-        ];
-        
-        // Try loading from each path
-        let loadAttempts = 0;
-        
-        const tryNextPath = (index) => {
-            if (index >= paths.length) {
-                console.error("Failed to load F1 model from any path");
-                this.setModel(); // Use fallback
-                return;
-            }
-            
-            const path = paths[index];
-            console.log(`Trying to load F1 model from: ${path}`);
-            
-            loader.load(
-                path,
-                (gltf) => {
-                    console.log(`Successfully loaded F1 model from: ${path}`, gltf);
-                    this.rcCarModel = gltf;
-                    this.setModel();
-                },
-                (progress) => {
-                    // Log progress for larger files
-                    if (progress.loaded && progress.total) {
-                        const percent = Math.round((progress.loaded / progress.total) * 100);
-                        if (percent % 25 === 0) { // Log at 0%, 25%, 50%, 75%, 100%
-                            console.log(`Loading F1 model: ${percent}% (${progress.loaded}/${progress.total})`);
-                        }
-                    }
-                },
-                (error) => {
-                    console.warn(`Failed to load from ${path}:`, error);
-                    loadAttempts++;
-                    // Try the next path
-                    tryNextPath(index + 1);
-                }
-            );
-        };
-        
-        // Start trying paths
-        tryNextPath(0);
+        const placeholder = new PlaceholderCar();
+        this.model = placeholder.model;
+        this.wheels = placeholder.wheels;
     }
-} 
\ No newline at end of file
+}
\ No newline at end of file
@@ -0,0 +1,287 @@
+import * as THREE from 'three';
+import AiCar from './AiCar.js';
+import EventEmitter from '../utils/EventEmitter.js';
+
+// AI drivers, in grid order. car is a catalog id - cars without a model use the placeholder.
+const OPPONENTS = [
+    { name: 'Ava', car: 'buggy', color: '#e63946', number: '3', skill: 0.95, aggression: 0.7 },
+    { name: 'Bruno', car: 'truck', color: '#2a9d8f', number: '11', skill: 0.85, aggression: 0.35 },
+    { name: 'Chen', car: 'f1', color: '#f4a261', number: '21', skill: 0.9, aggression: 0.9 },
+    { name: 'Dara', car: 'prototype', color: '#8e44ad', number: '44', skill: 0.8, aggression: 0.2 },
+    { name: 'Eli', car: 'buggy', color: '#f1c40f', number: '8', skill: 0.75, aggression: 0.55 }
+];
+
+/**
+ * Races against AI opponents.
+ *
+ * Lines the player and the AI cars up on a staggered grid, counts down, then
+ * tracks how far each racer has come (in laps, from track progress) to rank
+ * them live. The race is over for the player when they cross the line after
+ * the last lap; AI cars that haven't finished are ranked by distance.
+ *
+ * Events: 'countdown' [seconds], 'raceStart', 'standingsChange' [standings],
+ * 'racerFinish' [racer], 'raceFinish' [standings], 'raceStop'
+ */
+export default class RaceManager extends EventEmitter {
+    constructor(experience) {
+        super();
+
+        this.experience = experience;
+        this.time = this.experience.time;
+
+        this.settings = {
+            opponents: 3,       // Number of AI cars (up to the number of drivers in OPPONENTS)
+            laps: 3,
+            countdown: 3,       // Seconds before the start
+            gridSpacing: 3,     // Distance between grid slots along the track
+            gridOffset: 1,      // Sideways offset of the grid slots from the track curve
+            maxJump: 0.1        // Largest progress change per frame that still counts as driving (as in LapTimer)
+        };
+
+        this.state = 'idle'; // 'idle', 'countdown', 'racing' or 'finished'
+        this.racers = [];
+        this.opponents = [];
+        this.standings = [];
+    }
+
+    get rcCar() {
+        return this.experience.rcCar;
+    }
+
+    /**
+     * Start a race, replacing any race in progress
+     * Example: window.experience.race.start({ opponents: 5, laps: 2 })
+     * @param {Object} options - Any of the race settings
+     * @returns {boolean} Whether the race could start
+     */
+    start(options = {}) {
+        if (!this.rcCar || !this.rcCar.autopilot || !this.rcCar.track) {
+            console.warn("Can't start a race before the track is ready");
+            return false;
+        }
+
+        this.stop();
+        Object.assign(this.settings, options);
+        
+        // Races are single player
+        if (this.experience.splitScreen) {
+            this.experience.splitScreen.stop();
+        }
+
+        const track = this.rcCar.track;
+        const trackLength = track.getLength();
+        const opponentCount = THREE.MathUtils.clamp(Math.round(this.settings.opponents), 0, OPPONENTS.length);
+
+        // Grid slot 0 is pole, every slot is further back and on the other side
+        const gridSlot = (slot) => ({
+            progress: ((-slot * this.settings.gridSpacing / trackLength) % 1 + 1) % 1,
+            distance: -slot * this.settings.gridSpacing / trackLength,
+            lateral: slot % 2 === 0 ? -this.settings.gridOffset : this.settings.gridOffset
+        });
+
+        // The player starts from pole
+        const playerSlot = gridSlot(0);
+        this.rcCar.placeOnTrack(playerSlot.progress, playerSlot.lateral);
+        this.rcCar.controlsLocked = true;
+        // Autopilot laps would race for the player
+        this.rcCar.modeLocked = true;
+        this.racers = [this.createRacer('player', 'You', playerSlot, null)];
+
+        OPPONENTS.slice(0, opponentCount).forEach((driver, index) => {
+            const slot = gridSlot(index + 1);
+            const car = new AiCar(this.experience, Object.assign({}, driver, {
+                autopilot: this.rcCar.autopilot,
+                entry: this.rcCar.catalog.get(driver.car) || this.rcCar.catalog.getDefault()
+            }));
+            car.place(slot.progress, slot.lateral);
+
+            this.opponents.push(car);
+            this.racers.push(this.createRacer(`ai${index}`, driver.name, slot, car));
+        });
+
+        this.state = 'countdown';
+        this.countdownLeft = this.settings.countdown;
+        this.lastCountdownSecond = null;
+        this.raceTime = 0;
+        this.standingsKey = null;
+
+        this.updateStandings();
+        console.log(`Race started: ${this.settings.laps} laps against ${opponentCount} AI cars`);
+        return true;
+    }
+
+    createRacer(id, name, slot, car) {
+        return {
+            id,
+            name,
+            car,                          // AiCar, null for the player
+            isPlayer: car === null,
+            distance: slot.distance,      // Laps covered since the start line, negative on the grid
+            lastProgress: slot.progress,
+            lap: 1,
+            finished: false,
+            finishTime: null,
+            position: 0
+        };
+    }
+
+    /**
+     * End the race and remove the AI cars
+     */
+    stop() {
+        if (this.state === 'idle') return;
+
+        this.opponents.forEach(car => car.dispose());
+        this.opponents = [];
+        this.racers = [];
+        this.standings = [];
+        this.state = 'idle';
+
+        if (this.rcCar) {
+            this.rcCar.controlsLocked = false;
+            this.rcCar.modeLocked = false;
+        }
+
+        if (this.experience.collisions) {
+            this.experience.collisions.dynamicObstacles = [];
+        }
+
+        this.trigger('raceStop');
+    }
+
+    update() {
+        if (this.state === 'idle') return;
+
+        const dt = Math.min(this.time.delta / 1000, 0.05);
+
+        if (this.state === 'countdown') {
+            this.updateCountdown(dt);
+        } else {
+            this.raceTime += dt;
+        }
+
+        const traffic = this.getTraffic();
+        this.opponents.forEach((car) => {
+            const index = this.racers.findIndex(racer => racer.car === car);
+            car.update(dt, traffic, traffic[index]);
+        });
+
+        // The player bumps into the AI cars
+        if (this.experience.collisions) {
+            const collisions = this.experience.collisions;
+            collisions.dynamicObstacles = this.opponents.map((car, index) => car.getCollisionBox(collisions, index));
+        }
+
+        if (this.state !== 'countdown') {
+            this.updateDistances();
+        }
+        this.updateStandings();
+    }
+
+    updateCountdown(dt) {
+        this.countdownLeft -= dt;
+
+        const second = Math.ceil(this.countdownLeft);
+        if (second !== this.lastCountdownSecond && second > 0) {
+            this.lastCountdownSecond = second;
+            this.trigger('countdown', [second]);
+        }
+
+        if (this.countdownLeft <= 0) {
+            this.state = 'racing';
+            this.rcCar.controlsLocked = false;
+            this.opponents.forEach(car => car.start());
+            this.trigger('raceStart');
+        }
+    }
+
+    /**
+     * Where each racer is along and across the track, for the AI drivers to plan around
+     * @returns {Array} {along, lateral, speed} per racer, in the order of this.racers
+     */
+    getTraffic() {
+        const track = this.rcCar.track;
+        const trackLength = track.getLength();
+
+        return this.racers.map((racer) => {
+            const progress = racer.car ? racer.car.progress : this.rcCar.progress;
+            const position = racer.car ? racer.car.group.position : this.rcCar.carGroup.position;
+            const speed = racer.car ? racer.car.speed : this.rcCar.currentSpeed;
+
+            const center = track.getPointAt(progress);
+            const tangent = track.getTangentAt(progress);
+            const lateral = (position.x - center.x) * tangent.z - (position.z - center.z) * tangent.x;
+
+            return { along: progress * trackLength, lateral, speed };
+        });
+    }
+
+    updateDistances() {
+        this.racers.forEach((racer) => {
+            const progress = racer.car ? racer.car.progress : this.rcCar.progress;
+
+            // Progress wraps at the start line - take the short way round
+            let change = progress - racer.lastProgress;
+            change -= Math.round(change);
+            racer.lastProgress = progress;
+
+            if (racer.finished) return;
+
+            // Cutting across the infield or snapping back onto the track isn't driven distance
+            if (Math.abs(change) > this.settings.maxJump) return;
+
+            // Driving backwards takes distance off again, so reversing over the line doesn't count
+            racer.distance += change;
+            racer.lap = THREE.MathUtils.clamp(Math.floor(racer.distance) + 1, 1, this.settings.laps);
+
+            if (racer.distance >= this.settings.laps) {
+                racer.finished = true;
+                racer.finishTime = this.raceTime;
+                this.trigger('racerFinish', [racer]);
+
+                if (racer.isPlayer) {
+                    this.finish();
+                }
+            }
+        });
+    }
+
+    /**
+     * Rank the racers: finishers by time, then everyone else by distance
+     */
+    updateStandings() {
+        this.standings = this.racers.slice().sort((a, b) => {
+            if (a.finished && b.finished) return a.finishTime - b.finishTime;
+            if (a.finished !== b.finished) return a.finished ? -1 : 1;
+            return b.distance - a.distance;
+        });
+        this.standings.forEach((racer, index) => {
+            racer.position = index + 1;
+        });
+
+        // Only tell the UI when the order, a lap count or a result changes
+        const key = this.standings.map(racer => `${racer.id}:${racer.lap}:${racer.finished}`).join('|');
+        if (key !== this.standingsKey) {
+            this.standingsKey = key;
+            this.trigger('standingsChange', [this.standings]);
+        }
+    }
+
+    finish() {
+        this.state = 'finished';
+        this.rcCar.modeLocked = false;
+        this.updateStandings();
+
+        // AI cars keep driving, but the result is settled
+        console.log(`Race finished in position ${this.getPlayer().position}`);
+        this.trigger('raceFinish', [this.standings]);
+    }
+
+    getPlayer() {
+        return this.racers.find(racer => racer.isPlayer) || null;
+    }
+
+    destroy() {
+        this.stop();
+    }
+}
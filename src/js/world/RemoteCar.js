@@ -0,0 +1,162 @@
+import * as THREE from 'three';
+import KinematicCar from './KinematicCar.js';
+
+/**
+ * Another player's car, driven by the states they send.
+ *
+ * States are buffered with their (server clock) timestamps and the car is shown
+ * a little in the past, between the two states around the render time, so it
+ * moves smoothly however unevenly the packets arrive. When the buffer runs dry
+ * the car carries on with its last velocity for a short while (dead reckoning)
+ * before stopping to wait for the next state.
+ */
+export default class RemoteCar extends KinematicCar {
+    /**
+     * @param {Experience} experience
+     * @param {Object} options
+     * @param {string} options.id - Player id given by the relay server
+     * @param {string} options.name - Shown in the name tag
+     * @param {Object} options.entry - Car catalog entry for the model
+     * @param {string} options.color - Body colour
+     */
+    constructor(experience, options = {}) {
+        super(experience, Object.assign({
+            id: null,
+            entry: null,
+            name: 'Driver',
+            groupName: 'remoteCar',
+            color: '#cc3333',
+            number: '',
+            bufferLength: 40,       // States kept for interpolation
+            maxExtrapolation: 250,  // ms a car keeps moving without new states
+            tagHeight: 2.4
+        }, options));
+
+        this.snapshots = [];
+        this.speed = 0;
+        this.group.visible = false; // Until the first state arrives
+
+        this.velocity = new THREE.Vector3();
+
+        this.createNameTag();
+    }
+
+    /**
+     * Floating label with the player's name, always facing the camera
+     */
+    createNameTag() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 256;
+        canvas.height = 64;
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        context.fillRect(0, 8, 256, 48);
+        context.font = 'bold 30px Arial, sans-serif';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillStyle = '#ffffff';
+        context.fillText(this.settings.name, 128, 32);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.colorSpace = THREE.SRGBColorSpace;
+
+        this.nameTag = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, depthWrite: false }));
+        this.nameTag.scale.set(3, 0.75, 1);
+        this.nameTag.position.y = this.settings.tagHeight;
+        this.nameTag.renderOrder = 1;
+        this.group.add(this.nameTag);
+    }
+
+    /**
+     * @param {{t: number, p: number[], q: number[], s: number}} state - Timestamp (server ms), position, quaternion, speed
+     */
+    addSnapshot(state) {
+        const last = this.snapshots[this.snapshots.length - 1];
+
+        // Late packets are of no use any more
+        if (last && state.t <= last.t) return;
+
+        this.snapshots.push({
+            t: state.t,
+            position: new THREE.Vector3().fromArray(state.p),
+            quaternion: new THREE.Quaternion().fromArray(state.q).normalize(),
+            speed: state.s
+        });
+
+        if (this.snapshots.length > this.settings.bufferLength) {
+            this.snapshots.shift();
+        }
+    }
+
+    /**
+     * Show the car where it was at the render time
+     * @param {number} renderTime - Server clock ms, a little behind the present
+     */
+    update(renderTime) {
+        const snapshots = this.snapshots;
+        if (snapshots.length === 0) return;
+
+        this.group.visible = true;
+
+        const last = snapshots[snapshots.length - 1];
+
+        if (renderTime >= last.t) {
+            this.extrapolate(last, renderTime - last.t);
+        } else if (renderTime <= snapshots[0].t) {
+            this.group.position.copy(snapshots[0].position);
+            this.group.quaternion.copy(snapshots[0].quaternion);
+            this.speed = snapshots[0].speed;
+        } else {
+            // Newest state at or before the render time
+            let index = snapshots.length - 2;
+            while (index > 0 && snapshots[index].t > renderTime) {
+                index--;
+            }
+
+            const a = snapshots[index];
+            const b = snapshots[index + 1];
+            const fraction = (renderTime - a.t) / (b.t - a.t);
+
+            this.group.position.lerpVectors(a.position, b.position, fraction);
+            this.group.quaternion.slerpQuaternions(a.quaternion, b.quaternion, fraction);
+            this.speed = a.speed + (b.speed - a.speed) * fraction;
+
+            // Older states aren't needed again
+            if (index > 1) {
+                snapshots.splice(0, index - 1);
+            }
+        }
+
+        this.updateWheels();
+    }
+
+    /**
+     * Carry on from the last state with its velocity, for a limited time
+     * @param {Object} last - Newest state
+     * @param {number} elapsed - ms since that state
+     */
+    extrapolate(last, elapsed) {
+        const previous = this.snapshots[this.snapshots.length - 2];
+        const time = Math.min(elapsed, this.settings.maxExtrapolation) / 1000;
+
+        if (previous && last.t > previous.t) {
+            this.velocity.subVectors(last.position, previous.position).divideScalar((last.t - previous.t) / 1000);
+        } else {
+            this.velocity.set(0, 0, 0);
+        }
+
+        this.group.position.copy(last.position).addScaledVector(this.velocity, time);
+        this.group.quaternion.copy(last.quaternion);
+        this.speed = elapsed > this.settings.maxExtrapolation ? 0 : last.speed;
+    }
+
+    dispose() {
+        if (this.nameTag) {
+            this.nameTag.material.map.dispose();
+            this.nameTag.material.dispose();
+        }
+
+        super.dispose();
+    }
+}
@@ -0,0 +1,480 @@
+import * as THREE from 'three';
+import EventEmitter from '../utils/EventEmitter.js';
+import downloadFile from '../utils/downloadFile.js';
+
+// One recorded frame: time, car position and quaternion, speed, wheel steer angle,
+// camera position and quaternion
+const FRAME_SIZE = 17;
+
+/**
+ * Records the whole driving session and plays it back.
+ *
+ * While driving, the car's transform, speed and steering and the camera's pose
+ * are sampled at fixed intervals of (unpaused) session time, together with the
+ * control mode and camera mode changes. Replay mode freezes the live world and
+ * drives the player's car from the recording instead, with play/pause, playback
+ * speed, seeking and a choice of cameras - the camera as it was recorded, or any
+ * of the camera's follow modes. Leaving replay mode puts the car and camera back
+ * as they were.
+ *
+ * Replays can be exported to and imported from JSON files. An imported replay is
+ * played with the car currently selected.
+ *
+ * Events: 'enter', 'exit', 'playheadChange' [time], 'playStateChange' [playing],
+ * 'speedChange' [speed], 'cameraChange' [mode]
+ */
+export default class Replay extends EventEmitter {
+    constructor(experience) {
+        super();
+
+        this.experience = experience;
+        this.time = this.experience.time;
+        this.car = this.experience.rcCar;
+        this.camera = this.experience.camera;
+
+        this.settings = {
+            interval: 0.05,         // Seconds between recorded frames
+            maxDuration: 600,       // Older frames are dropped past this many seconds
+            speeds: [0.25, 0.5, 1, 2, 4]
+        };
+
+        // Live recording
+        this.clock = 0;
+        this.frames = [];
+        this.events = [];           // {time, type: 'mode' or 'camera', value}
+        this.lastCameraMode = null;
+
+        // Playback
+        this.active = false;
+        this.tape = null;           // Recording being played: {interval, carId, frames, events}
+        this.playing = false;
+        this.speed = 1;
+        this.playhead = 0;
+        this.cameraMode = 'recorded';
+        this.saved = null;          // Live state to restore on exit
+
+        this.quaternion = new THREE.Quaternion();
+        this.cameraQuaternion = new THREE.Quaternion();
+        this.lastPosition = new THREE.Vector3();
+
+        this.car.on('modeChange', (mode) => this.addEvent('mode', mode));
+    }
+
+    /**
+     * Start and end of the recording being played
+     */
+    get startTime() {
+        return this.tape && this.tape.frames.length ? this.tape.frames[0][0] : 0;
+    }
+
+    get endTime() {
+        return this.tape && this.tape.frames.length ? this.tape.frames[this.tape.frames.length - 1][0] : 0;
+    }
+
+    get duration() {
+        return this.endTime - this.startTime;
+    }
+
+    /**
+     * Control mode of the car at the playhead
+     * @returns {string|null}
+     */
+    get controlMode() {
+        return this.getEventValue('mode', this.playhead);
+    }
+
+    update() {
+        if (this.active) {
+            this.updatePlayback();
+        } else {
+            this.record();
+        }
+    }
+
+    /**
+     * Sample the live session, one frame per interval of session time
+     */
+    record() {
+        const carGroup = this.car.carGroup;
+        const camera = this.camera ? this.camera.instance : null;
+        if (!carGroup || !camera) return;
+
+        // Modes at the start, changes after that
+        if (this.frames.length === 0) {
+            this.addEvent('mode', this.car.controlMode);
+        }
+        if (this.camera.mode !== this.lastCameraMode) {
+            this.lastCameraMode = this.camera.mode;
+            this.addEvent('camera', this.camera.mode);
+        }
+
+        this.clock += Math.min(this.time.delta / 1000, 0.05);
+
+        const last = this.frames[this.frames.length - 1];
+        if (last && this.clock - last[0] < this.settings.interval) return;
+
+        const round = value => Math.round(value * 1000) / 1000;
+        this.frames.push([
+            this.clock,
+            carGroup.position.x, carGroup.position.y, carGroup.position.z,
+            carGroup.quaternion.x, carGroup.quaternion.y, carGroup.quaternion.z, carGroup.quaternion.w,
+            this.car.currentSpeed,
+            this.car.wheelSteerAngle || 0,
+            camera.position.x, camera.position.y, camera.position.z,
+            camera.quaternion.x, camera.quaternion.y, camera.quaternion.z, camera.quaternion.w
+        ].map(round));
+
+        this.trimRecording();
+    }
+
+    addEvent(type, value) {
+        if (this.active) return;
+
+        // Several changes at the same moment - the last one wins
+        const last = this.events[this.events.length - 1];
+        if (last && last.type === type && last.time === this.clock) {
+            last.value = value;
+        } else {
+            this.events.push({ time: this.clock, type, value });
+        }
+    }
+
+    /**
+     * Drop the oldest frames once the recording is longer than the limit
+     */
+    trimRecording() {
+        const start = this.clock - this.settings.maxDuration;
+        if (this.frames[0][0] >= start) return;
+
+        // A tenth of the limit at a time, so it isn't done every frame
+        const cut = start + this.settings.maxDuration * 0.1;
+        this.frames = this.frames.filter(frame => frame[0] >= cut);
+        const firstTime = this.frames[0][0];
+
+        // Keep the modes that were active when the recording now starts
+        const events = this.events.filter(event => event.time > firstTime);
+        ['mode', 'camera'].forEach((type) => {
+            const value = this.getEventValue(type, firstTime);
+            if (value !== null) {
+                events.unshift({ time: firstTime, type, value });
+            }
+        });
+        this.events = events;
+    }
+
+    /**
+     * @param {string} type - 'mode' or 'camera'
+     * @param {number} time
+     * @returns {string|null} Value of the last event of that type up to the time
+     */
+    getEventValue(type, time) {
+        const events = this.active && this.tape ? this.tape.events : this.events;
+        let value = null;
+
+        for (const event of events) {
+            if (event.time > time) break;
+            if (event.type === type) {
+                value = event.value;
+            }
+        }
+
+        return value;
+    }
+
+    /**
+     * The session recorded so far, in the format used for export
+     * @returns {Object}
+     */
+    getSessionTape() {
+        return {
+            version: 1,
+            interval: this.settings.interval,
+            carId: this.car.carEntry ? this.car.carEntry.id : null,
+            frames: this.frames.slice(),
+            events: this.events.slice()
+        };
+    }
+
+    /**
+     * Switch to replay mode
+     * Example: window.experience.replay.enter()
+     * @param {Object} tape - Recording to play, the session so far by default
+     * @returns {boolean} Whether there was anything to replay
+     */
+    enter(tape = this.getSessionTape()) {
+        if (!tape.frames || tape.frames.length < 2) {
+            console.warn("Nothing recorded to replay yet");
+            return false;
+        }
+        if (!this.car.carGroup || !this.camera) return false;
+
+        if (this.active) {
+            this.exit();
+        }
+
+        // Everything playback changes, to put back afterwards
+        const carGroup = this.car.carGroup;
+        this.saved = {
+            position: carGroup.position.clone(),
+            quaternion: carGroup.quaternion.clone(),
+            currentSpeed: this.car.currentSpeed,
+            wheelSteerAngle: this.car.wheelSteerAngle,
+            controlsLocked: this.car.controlsLocked,
+            cameraMode: this.camera.mode
+        };
+
+        // No switching the live car's mode under the replay
+        this.car.controlsLocked = true;
+
+        this.tape = tape;
+        this.active = true;
+        this.playhead = this.startTime;
+        this.car.lastWheelPosition = null;
+
+        this.setCamera(this.cameraMode);
+        this.applyFrame(this.playhead);
+        this.trigger('enter');
+        this.play();
+
+        console.log(`Replay: ${this.duration.toFixed(1)}s`);
+        return true;
+    }
+
+    /**
+     * Back to the live session, where it was left
+     */
+    exit() {
+        if (!this.active) return;
+
+        this.pause();
+        this.active = false;
+        this.tape = null;
+
+        const carGroup = this.car.carGroup;
+        if (carGroup) {
+            carGroup.position.copy(this.saved.position);
+            carGroup.quaternion.copy(this.saved.quaternion);
+        }
+        this.car.currentSpeed = this.saved.currentSpeed;
+        this.car.wheelSteerAngle = this.saved.wheelSteerAngle;
+        this.car.controlsLocked = this.saved.controlsLocked;
+        this.car.lastWheelPosition = null;
+        this.camera.setMode(this.saved.cameraMode);
+        this.saved = null;
+
+        this.trigger('exit');
+    }
+
+    play() {
+        if (!this.active || this.playing) return;
+
+        // Start over from the end of the recording
+        if (this.playhead >= this.endTime) {
+            this.seek(this.startTime);
+        }
+
+        this.playing = true;
+        this.trigger('playStateChange', [true]);
+    }
+
+    pause() {
+        if (!this.playing) return;
+
+        this.playing = false;
+        this.trigger('playStateChange', [false]);
+    }
+
+    togglePlay() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * @param {number} speed - Playback rate, 1 is real time
+     */
+    setSpeed(speed) {
+        this.speed = THREE.MathUtils.clamp(speed, 0.1, 8);
+        this.trigger('speedChange', [this.speed]);
+    }
+
+    /**
+     * Jump to a moment of the recording
+     * @param {number} time - Seconds, between startTime and endTime
+     */
+    seek(time) {
+        if (!this.active) return;
+
+        this.playhead = THREE.MathUtils.clamp(time, this.startTime, this.endTime);
+
+        // A jump, not a drive - don't spin the wheels for it
+        this.car.lastWheelPosition = null;
+        this.applyFrame(this.playhead);
+        this.trigger('playheadChange', [this.playhead]);
+    }
+
+    /**
+     * @param {string} mode - 'recorded' for the camera as it was, or any follow mode of the camera
+     */
+    setCamera(mode) {
+        this.cameraMode = mode;
+        this.camera.setMode(mode);
+        this.trigger('cameraChange', [mode]);
+    }
+
+    updatePlayback() {
+        if (this.playing) {
+            this.playhead += Math.min(this.time.delta / 1000, 0.05) * this.speed;
+
+            if (this.playhead >= this.endTime) {
+                this.playhead = this.endTime;
+                this.pause();
+            }
+        }
+
+        this.applyFrame(this.playhead);
+        this.trigger('playheadChange', [this.playhead]);
+    }
+
+    /**
+     * Index of the last frame at or before a time
+     * @param {number} time
+     * @returns {number}
+     */
+    findFrame(time) {
+        const frames = this.tape.frames;
+        let low = 0;
+        let high = frames.length - 1;
+
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (frames[middle][0] <= time) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        return low;
+    }
+
+    /**
+     * Pose the car (and the camera, when following the recording) between the two frames around a time
+     * @param {number} time
+     */
+    applyFrame(time) {
+        const frames = this.tape.frames;
+        const index = Math.min(this.findFrame(time), frames.length - 2);
+        const a = frames[index];
+        const b = frames[index + 1];
+        const fraction = THREE.MathUtils.clamp((time - a[0]) / Math.max(b[0] - a[0], 0.0001), 0, 1);
+        const lerp = i => a[i] + (b[i] - a[i]) * fraction;
+
+        const carGroup = this.car.carGroup;
+        carGroup.position.set(lerp(1), lerp(2), lerp(3));
+        carGroup.quaternion.set(a[4], a[5], a[6], a[7]);
+        this.quaternion.set(b[4], b[5], b[6], b[7]);
+        carGroup.quaternion.slerp(this.quaternion, fraction).normalize();
+
+        this.car.currentSpeed = lerp(8);
+        this.car.wheelSteerAngle = lerp(9);
+        this.updateWheels();
+
+        // The camera key can switch to a follow mode at any time
+        if (this.camera.mode === 'recorded') {
+            const camera = this.camera.instance;
+            camera.position.set(lerp(10), lerp(11), lerp(12));
+            camera.quaternion.set(a[13], a[14], a[15], a[16]);
+            this.cameraQuaternion.set(b[13], b[14], b[15], b[16]);
+            camera.quaternion.slerp(this.cameraQuaternion, fraction).normalize();
+        }
+    }
+
+    /**
+     * Roll the wheels by how far the car moved since the last frame shown
+     */
+    updateWheels() {
+        const wheelRig = this.car.wheelRig;
+        if (!wheelRig) return;
+
+        const position = this.car.carGroup.position;
+        let distance = 0;
+
+        if (this.car.lastWheelPosition) {
+            const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(this.car.carGroup.quaternion);
+            distance = this.lastPosition.subVectors(position, this.car.lastWheelPosition).setY(0).dot(forward);
+            this.car.lastWheelPosition.copy(position);
+        } else {
+            this.car.lastWheelPosition = position.clone();
+        }
+
+        wheelRig.update(distance, this.car.wheelSteerAngle);
+    }
+
+    /**
+     * Download the session recorded so far (or the replay being played) as a JSON file
+     */
+    exportJson() {
+        const tape = this.active ? this.tape : this.getSessionTape();
+        if (tape.frames.length < 2) {
+            console.warn("Nothing recorded to export yet");
+            return;
+        }
+
+        downloadFile(JSON.stringify(tape), 'application/json', 'rc-car-replay', 'json');
+    }
+
+    /**
+     * Load a replay exported earlier and play it
+     * @param {File} file
+     * @returns {Promise<boolean>} Whether the file held a replay
+     */
+    async importJson(file) {
+        try {
+            const tape = this.parseTape(JSON.parse(await file.text()));
+            return this.enter(tape);
+        } catch (error) {
+            console.warn("Could not import replay:", error);
+            return false;
+        }
+    }
+
+    /**
+     * Check an imported replay before trusting it
+     * @param {Object} data
+     * @returns {Object} The tape
+     */
+    parseTape(data) {
+        if (!data || data.version !== 1) {
+            throw new Error('Not a replay file, or from an unsupported version');
+        }
+
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+        const frames = Array.isArray(data.frames) ? data.frames : [];
+        const validFrames = frames.every((frame, index) =>
+            Array.isArray(frame) && frame.length === FRAME_SIZE && frame.every(isNumber) &&
+            (index === 0 || frame[0] >= frames[index - 1][0])
+        );
+        if (frames.length < 2 || !validFrames) {
+            throw new Error('Replay frames are missing or malformed');
+        }
+
+        const events = (Array.isArray(data.events) ? data.events : []).filter(event =>
+            event && isNumber(event.time) && (event.type === 'mode' || event.type === 'camera') && typeof event.value === 'string'
+        );
+
+        return {
+            version: 1,
+            interval: isNumber(data.interval) ? data.interval : this.settings.interval,
+            carId: typeof data.carId === 'string' ? data.carId : null,
+            frames,
+            events
+        };
+    }
+
+    destroy() {
+        this.exit();
+    }
+}
@@ -0,0 +1,256 @@
+import * as THREE from 'three';
+import DirtyRange from '../utils/DirtyRange.js';
+
+const vertexShader = `
+    uniform float uTime;
+    uniform float uFadeTime;
+
+    attribute vec2 aMark;   // Time the mark was laid, strength
+
+    varying float vAlpha;
+
+    void main() {
+        float age = uTime - aMark.x;
+        vAlpha = aMark.y * clamp(1.0 - age / uFadeTime, 0.0, 1.0);
+
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const fragmentShader = `
+    uniform vec3 uColor;
+    uniform float uOpacity;
+
+    varying float vAlpha;
+
+    void main() {
+        if (vAlpha < 0.01) discard;
+
+        gl_FragColor = vec4(uColor, vAlpha * uOpacity);
+        #include <colorspace_fragment>
+    }
+`;
+
+/**
+ * Rubber marks left on the ground where a car's rear tyres slide.
+ *
+ * Each tyre lays a strip of quads while the car slides (slip angle over the
+ * threshold or the handbrake) or brakes hard at speed. All strips share one
+ * mesh with a fixed number of quads used as a ring buffer, so memory stays
+ * bounded: the oldest quads are reused once it is full. Marks also fade out
+ * over time in the shader, stamped with the time they were laid.
+ */
+export default class SkidMarks {
+    /**
+     * @param {Experience} experience
+     * @param {Object} options
+     * @param {RCCar} options.car - Car whose tyres leave marks (the player's car by default)
+     * @param {number} options.maxQuads - Size of the ring buffer
+     */
+    constructor(experience, options = {}) {
+        this.experience = experience;
+        this.scene = this.experience.scene;
+        this.car = options.car || this.experience.rcCar;
+
+        this.settings = {
+            maxQuads: options.maxQuads || 3000,
+            slipThreshold: 0.2,     // Slip angle (radians) where marks start
+            brakeThreshold: 0.7,    // Brake input that locks the wheels...
+            brakeSpeed: 4,          // ...above this speed
+            minSpeed: 1.5,          // No marks below this speed
+            segmentLength: 0.2,     // Distance between strip points
+            width: 0.3,             // Mark width as a fraction of the car's width
+            lift: 0.005,            // Height above the surface
+            fadeTime: 30,           // Seconds until a mark has faded away
+            opacity: 0.65
+        };
+
+        this.cursor = 0;    // Next quad to write
+        this.elapsed = 0;   // Clock of the marks, frozen while paused
+
+        // Last edge points of each tyre's strip, null when the tyre isn't marking
+        this.tyres = [
+            { side: 1, last: null },
+            { side: -1, last: null }
+        ];
+
+        this.contact = new THREE.Vector3();
+        this.right = new THREE.Vector3();
+        this.center = new THREE.Vector3();
+
+        this.createMesh();
+    }
+
+    createMesh() {
+        const quads = this.settings.maxQuads;
+
+        this.positions = new Float32Array(quads * 4 * 3);
+        this.marks = new Float32Array(quads * 4 * 2).fill(-1000); // Laid long ago: invisible
+
+        const indices = new Uint32Array(quads * 6);
+        for (let i = 0; i < quads; i++) {
+            const vertex = i * 4;
+            indices.set([vertex, vertex + 2, vertex + 1, vertex + 1, vertex + 2, vertex + 3], i * 6);
+        }
+
+        this.geometry = new THREE.BufferGeometry();
+        this.positionAttribute = new THREE.BufferAttribute(this.positions, 3).setUsage(THREE.DynamicDrawUsage);
+        this.markAttribute = new THREE.BufferAttribute(this.marks, 2).setUsage(THREE.DynamicDrawUsage);
+        this.geometry.setAttribute('position', this.positionAttribute);
+        this.geometry.setAttribute('aMark', this.markAttribute);
+        this.dirtyRange = new DirtyRange([this.positionAttribute, this.markAttribute], this.settings.maxQuads, 4);
+        this.geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+
+        this.material = new THREE.ShaderMaterial({
+            vertexShader,
+            fragmentShader,
+            uniforms: {
+                uTime: { value: 0 },
+                uFadeTime: { value: this.settings.fadeTime },
+                uColor: { value: new THREE.Color('#0a0a0a') },
+                uOpacity: { value: this.settings.opacity }
+            },
+            transparent: true,
+            depthWrite: false,
+            side: THREE.DoubleSide,
+            // Stay on top of the ground without z-fighting
+            polygonOffset: true,
+            polygonOffsetFactor: -2,
+            polygonOffsetUnits: -2
+        });
+
+        this.mesh = new THREE.Mesh(this.geometry, this.material);
+        this.mesh.name = 'skidMarks';
+        // Marks are everywhere the car has been
+        this.mesh.frustumCulled = false;
+        this.mesh.renderOrder = 1;
+        this.scene.add(this.mesh);
+    }
+
+    /**
+     * How hard the tyres are sliding, 0 when they grip
+     * @returns {number} 0-1
+     */
+    getSlide() {
+        const car = this.car;
+        const speed = Math.abs(car.currentSpeed);
+
+        if (car.controlMode !== 'manual' || speed < this.settings.minSpeed) return 0;
+
+        const input = car.getDriveInput();
+        const slip = Math.abs(car.physics.slipAngle);
+
+        let slide = 0;
+        if (slip > this.settings.slipThreshold) {
+            slide = Math.min((slip - this.settings.slipThreshold) / 0.3 + 0.3, 1);
+        }
+        if (input.handbrake > 0.5) {
+            slide = Math.max(slide, 0.6);
+        }
+        if (input.brake > this.settings.brakeThreshold && car.currentSpeed > this.settings.brakeSpeed) {
+            slide = Math.max(slide, 0.5);
+        }
+
+        return slide;
+    }
+
+    update() {
+        this.elapsed += Math.min(this.experience.time.delta / 1000, 0.1);
+        this.material.uniforms.uTime.value = this.elapsed;
+
+        const car = this.car;
+        if (!car.carGroup || !car.physics) return;
+
+        const slide = this.getSlide();
+        if (slide <= 0) {
+            // Lift the tyres: the next mark starts a new strip
+            this.tyres.forEach((tyre) => {
+                tyre.last = null;
+            });
+        } else {
+            this.tyres.forEach(tyre => this.updateTyre(tyre, slide));
+        }
+
+        this.dirtyRange.flush();
+    }
+
+    updateTyre(tyre, slide) {
+        const car = this.car;
+        const box = car.collisionBox;
+        const halfWidth = box.halfWidth * this.settings.width * 0.5;
+
+        // Contact point of the rear tyre on the ground
+        this.contact.set(box.offsetX + tyre.side * box.halfWidth * 0.8, 0, box.offsetZ - box.halfLength * 0.8);
+        car.carGroup.localToWorld(this.contact);
+
+        const height = (car.track && car.track.getSurfaceHeight ? car.track.getSurfaceHeight(this.contact) : 0) + this.settings.lift;
+        this.contact.y = height;
+
+        // Across the mark, from the car's left to its right
+        this.right.set(-1, 0, 0).applyQuaternion(car.carGroup.quaternion);
+        this.right.y = 0;
+        this.right.normalize().multiplyScalar(halfWidth);
+
+        if (!tyre.last) {
+            tyre.last = {
+                left: this.contact.clone().sub(this.right),
+                right: this.contact.clone().add(this.right),
+                strength: slide
+            };
+            return;
+        }
+
+        const lastCenter = this.center.copy(tyre.last.left).add(tyre.last.right).multiplyScalar(0.5);
+        const distance = lastCenter.distanceTo(this.contact);
+
+        // Snapped somewhere else (e.g. reset onto the track): start over
+        if (distance > 3) {
+            tyre.last = null;
+            return;
+        }
+        if (distance < this.settings.segmentLength) return;
+
+        const left = this.contact.clone().sub(this.right);
+        const right = this.contact.clone().add(this.right);
+        this.addQuad(tyre.last.left, tyre.last.right, left, right, tyre.last.strength, slide);
+
+        tyre.last.left.copy(left);
+        tyre.last.right.copy(right);
+        tyre.last.strength = slide;
+    }
+
+    addQuad(startLeft, startRight, endLeft, endRight, startStrength, endStrength) {
+        const quad = this.cursor;
+        this.cursor = (this.cursor + 1) % this.settings.maxQuads;
+
+        [startLeft, startRight, endLeft, endRight].forEach((point, index) => {
+            point.toArray(this.positions, (quad * 4 + index) * 3);
+        });
+
+        const strengths = [startStrength, startStrength, endStrength, endStrength];
+        strengths.forEach((strength, index) => {
+            this.marks[(quad * 4 + index) * 2] = this.elapsed;
+            this.marks[(quad * 4 + index) * 2 + 1] = strength;
+        });
+
+        this.dirtyRange.mark(quad);
+    }
+
+    /**
+     * Wipe every mark
+     * Example: window.experience.skidMarks.clear()
+     */
+    clear() {
+        this.marks.fill(-1000);
+        this.dirtyRange.markAll();
+        this.tyres.forEach((tyre) => {
+            tyre.last = null;
+        });
+    }
+
+    destroy() {
+        this.scene.remove(this.mesh);
+        this.geometry.dispose();
+        this.material.dispose();
+    }
+}
@@ -0,0 +1,314 @@
+import * as THREE from 'three';
+import Camera from '../Camera.js';
+import RCCar from './RCCar.js';
+import LapTimer from './LapTimer.js';
+import CarParticles from './CarParticles.js';
+import SkidMarks from './SkidMarks.js';
+import CarLights from './CarLights.js';
+import EventEmitter from '../utils/EventEmitter.js';
+
+/**
+ * Local two-player races on one screen.
+ *
+ * Adds a second car driven by player 2 (arrow keys, see InputManager) with its
+ * own lap timer and camera. The canvas is split in two: player 1 on top,
+ * player 2 below. Both cars start side by side just behind the line, so the
+ * first lap is timed from the start. The first player to complete the laps wins;
+ * the other gets a little longer to finish before the results are shown.
+ *
+ * Events: 'start', 'countdown' [seconds], 'raceStart', 'lapCompleted' [player, lap],
+ * 'playerFinish' [player], 'finish' [results], 'stop'
+ */
+export default class SplitScreen extends EventEmitter {
+    constructor(experience) {
+        super();
+
+        this.experience = experience;
+        this.time = this.experience.time;
+
+        this.settings = {
+            laps: 3,
+            countdown: 3,       // Seconds before the start
+            gridBack: 3,        // Distance of the grid behind the line
+            gridOffset: 1.2,    // Sideways offset of each car from the track curve
+            finishWindow: 30    // Seconds the second player gets after the winner finishes
+        };
+
+        this.state = 'off'; // 'off', 'countdown', 'racing' or 'finished'
+        this.players = [];
+        this.car = null;        // Player 2's car
+        this.lapTimer = null;   // Player 2's lap timer
+        this.camera = null;     // Player 2's camera
+        this.carParticles = null;   // Player 2's dust and exhaust
+        this.skidMarks = null;      // Player 2's tyre marks
+        this.carLights = null;      // Player 2's brake lights and indicators
+
+        // Player 1's lap timer outlives the split-screen sessions
+        this.experience.lapTimer.on('lapCompleted', (lap) => this.completeLap(this.players[0], lap));
+
+        // The camera key switches both views
+        if (this.experience.input) {
+            this.experience.input.on('camera', () => {
+                if (this.camera) {
+                    this.camera.nextMode();
+                }
+            });
+        }
+    }
+
+    get active() {
+        return this.state !== 'off';
+    }
+
+    /**
+     * Split the screen and start a race between the two players
+     * Example: window.experience.splitScreen.start({ laps: 5 })
+     * @param {Object} options - Any of the settings
+     * @returns {boolean} Whether the race could start
+     */
+    start(options = {}) {
+        const experience = this.experience;
+        const rcCar = experience.rcCar;
+
+        if (!rcCar || !rcCar.carGroup || !rcCar.track || !rcCar.track.getLength) {
+            console.warn("Can't start split-screen before the track is ready");
+            return false;
+        }
+
+        this.stop();
+        Object.assign(this.settings, options);
+
+        // One game mode at a time
+        if (experience.race) {
+            experience.race.stop();
+        }
+        if (experience.replay) {
+            experience.replay.exit();
+        }
+
+        // Player 2's car remembers its own choices and wears its own colours
+        this.car = new RCCar(experience, {
+            player: 1,
+            name: 'rcCarPlayerTwo',
+            carStorageKey: 'rcCarSelectedCarPlayerTwo',
+            liveryStorageKey: 'rcCarLiveriesPlayerTwo',
+            livery: { bodyColor: '#2a9d8f', decal: 'number', number: '2' },
+            waitForResources: false
+        });
+        this.lapTimer = new LapTimer(experience, { car: this.car, storageKey: 'rcCarBestLapsPlayerTwo' });
+        this.lapTimer.on('lapCompleted', (lap) => this.completeLap(this.players[1], lap));
+        this.carParticles = new CarParticles(experience, { car: this.car });
+        this.skidMarks = new SkidMarks(experience, { car: this.car });
+        this.carLights = new CarLights(experience, { car: this.car });
+
+        // The cars bump into each other
+        rcCar.rivals = [this.car];
+        this.car.rivals = [rcCar];
+
+        // Player 1 on top, player 2 below
+        this.savedCameraMode = experience.camera.mode;
+        experience.camera.setViewport({ x: 0, y: 0.5, width: 1, height: 0.5 });
+        experience.camera.setMode('chase');
+
+        this.camera = new Camera(experience, {
+            car: this.car,
+            viewport: { x: 0, y: 0, width: 1, height: 0.5 },
+            listenToInput: false
+        });
+        this.camera.instance.far = experience.camera.instance.far;
+        this.camera.setMode('chase');
+        this.car.on('collision', (contact) => this.camera.shake(Math.min(contact.impactSpeed / 10, 1)));
+
+        experience.renderer.setViews([experience.camera, this.camera]);
+        experience.input.splitPlayers = true;
+
+        // Side by side just behind the line
+        const trackLength = rcCar.track.getLength();
+        const gridProgress = 1 - (this.settings.gridBack / trackLength) % 1;
+        rcCar.placeOnTrack(gridProgress, this.settings.gridOffset);
+        this.car.placeOnTrack(gridProgress, -this.settings.gridOffset);
+        rcCar.controlsLocked = true;
+        this.car.controlsLocked = true;
+
+        // A lap player 1 was on doesn't count towards the race
+        experience.lapTimer.reset();
+
+        this.players = [
+            this.createPlayer(0, 'Player 1', rcCar, experience.lapTimer),
+            this.createPlayer(1, 'Player 2', this.car, this.lapTimer)
+        ];
+
+        this.state = 'countdown';
+        this.countdownLeft = this.settings.countdown;
+        this.lastCountdownSecond = null;
+        this.raceTime = 0;
+        this.finishTimeLeft = null;
+
+        this.trigger('start');
+        console.log(`Split-screen race started: ${this.settings.laps} laps`);
+        return true;
+    }
+
+    createPlayer(index, name, car, lapTimer) {
+        return {
+            index,
+            name,
+            car,
+            lapTimer,
+            laps: 0,              // Laps completed
+            bestLap: null,        // Fastest lap time of this race
+            finished: false,
+            finishTime: null,
+            position: 0
+        };
+    }
+
+    /**
+     * Remove player 2 and go back to the full screen
+     */
+    stop() {
+        if (!this.active) return;
+
+        const experience = this.experience;
+
+        experience.renderer.setViews(null);
+        experience.input.splitPlayers = false;
+        experience.camera.setViewport({ x: 0, y: 0, width: 1, height: 1 });
+        experience.camera.setMode(this.savedCameraMode);
+
+        this.camera.dispose();
+        this.carLights.destroy();
+        this.car.dispose();
+        this.skidMarks.destroy();
+        this.camera = null;
+        this.car = null;
+        this.lapTimer = null;
+        this.carParticles = null;
+        this.skidMarks = null;
+        this.carLights = null;
+
+        experience.rcCar.rivals = [];
+        experience.rcCar.controlsLocked = false;
+        experience.rcCar.modeLocked = false;
+
+        this.players = [];
+        this.state = 'off';
+
+        this.trigger('stop');
+    }
+
+    update() {
+        if (!this.active) return;
+
+        const dt = Math.min(this.time.delta / 1000, 0.05);
+
+        if (this.state === 'countdown') {
+            this.updateCountdown(dt);
+        } else {
+            this.raceTime += dt;
+        }
+
+        this.car.update();
+        this.carParticles.update();
+        this.skidMarks.update();
+        this.carLights.update();
+        this.lapTimer.update();
+
+        // The slower player has run out of time
+        if (this.finishTimeLeft !== null && this.state === 'racing') {
+            this.finishTimeLeft -= dt;
+            if (this.finishTimeLeft <= 0) {
+                this.finish();
+            }
+        }
+    }
+
+    updateCountdown(dt) {
+        this.countdownLeft -= dt;
+
+        const second = Math.ceil(this.countdownLeft);
+        if (second !== this.lastCountdownSecond && second > 0) {
+            this.lastCountdownSecond = second;
+            this.trigger('countdown', [second]);
+        }
+
+        if (this.countdownLeft <= 0) {
+            this.state = 'racing';
+            this.players.forEach((player) => {
+                player.car.controlsLocked = false;
+                // Autopilot laps would race for the player
+                player.car.modeLocked = true;
+            });
+            this.trigger('raceStart');
+        }
+    }
+
+    completeLap(player, lap) {
+        if (!player || this.state !== 'racing' || player.finished) return;
+
+        player.laps++;
+        if (player.bestLap === null || lap.time < player.bestLap) {
+            player.bestLap = lap.time;
+        }
+        this.trigger('lapCompleted', [player, lap]);
+
+        if (player.laps < this.settings.laps) return;
+
+        player.finished = true;
+        player.finishTime = this.raceTime;
+        this.trigger('playerFinish', [player]);
+
+        if (this.players.every(other => other.finished)) {
+            this.finish();
+        } else if (this.finishTimeLeft === null) {
+            this.finishTimeLeft = this.settings.finishWindow;
+        }
+    }
+
+    /**
+     * Rank the players: finishers by time, then by laps completed
+     * @returns {Array} Players in finishing order
+     */
+    getResults() {
+        const results = this.players.slice().sort((a, b) => {
+            if (a.finished && b.finished) return a.finishTime - b.finishTime;
+            if (a.finished !== b.finished) return a.finished ? -1 : 1;
+            return b.laps - a.laps;
+        });
+        results.forEach((player, index) => {
+            player.position = index + 1;
+        });
+
+        return results;
+    }
+
+    finish() {
+        this.state = 'finished';
+
+        // Park both cars behind the results
+        this.players.forEach((player) => {
+            player.car.controlsLocked = true;
+            player.car.modeLocked = false;
+        });
+
+        const results = this.getResults();
+        console.log(`Split-screen race won by ${results[0].name}`);
+        this.trigger('finish', [results]);
+    }
+
+    /**
+     * Laps to show for a player, e.g. "Lap 2/3"
+     * @param {number} index - 0 or 1
+     * @returns {number}
+     */
+    getCurrentLap(index) {
+        const player = this.players[index];
+        if (!player) return 0;
+
+        return THREE.MathUtils.clamp(player.laps + 1, 1, this.settings.laps);
+    }
+
+    destroy() {
+        this.stop();
+    }
+}
@@ -0,0 +1,130 @@
+import * as THREE from 'three';
+
+/**
+ * Spring-damper layer between the car group and the car model.
+ *
+ * The body pitches under acceleration and braking, rolls in corners and bounces
+ * over surface changes. Accelerations are measured from how the car group moves,
+ * so it works the same for the autopilot and for free-roam driving.
+ */
+export default class Suspension {
+    /**
+     * @param {Object} options - Per-car overrides for the default tuning
+     */
+    constructor(options = {}) {
+        this.settings = Object.assign({
+            stiffness: 120,        // Spring rate (higher = stiffer, faster oscillation)
+            damping: 12,           // Damper rate (higher = less bounce)
+            pitchPerAcceleration: 0.006, // Radians of pitch per unit/s² of longitudinal acceleration
+            rollPerAcceleration: 0.008,  // Radians of roll per unit/s² of lateral acceleration
+            maxPitch: 0.08,
+            maxRoll: 0.1,
+            maxHeave: 0.15,
+            bumpImpulse: 0.02,     // Vertical kick per unit/s of speed when the surface changes
+            accelerationSmoothing: 12 // Low-pass filter on the measured accelerations
+        }, options);
+
+        // Sprung part of the car - the model is added to this group
+        this.body = new THREE.Group();
+        this.body.name = 'suspensionBody';
+
+        this.pitch = { value: 0, velocity: 0 };
+        this.roll = { value: 0, velocity: 0 };
+        this.heave = { value: 0, velocity: 0 };
+
+        this.longitudinalAcceleration = 0;
+        this.lateralAcceleration = 0;
+
+        this.lastPosition = null;
+        this.lastVelocity = new THREE.Vector3();
+        this.forward = new THREE.Vector3();
+        this.left = new THREE.Vector3();
+    }
+
+    reset() {
+        [this.pitch, this.roll, this.heave].forEach((spring) => {
+            spring.value = 0;
+            spring.velocity = 0;
+        });
+        this.longitudinalAcceleration = 0;
+        this.lateralAcceleration = 0;
+        this.lastPosition = null;
+        this.lastVelocity.set(0, 0, 0);
+        this.body.position.set(0, 0, 0);
+        this.body.rotation.set(0, 0, 0);
+    }
+
+    /**
+     * Kick the body when the wheels roll onto a different surface
+     * @param {number} heightChange - Change in surface height (the car group already moved by this)
+     * @param {number} speed - Current speed in units per second
+     */
+    bump(heightChange, speed) {
+        // The body lags behind the wheels, then springs back
+        this.heave.value -= heightChange;
+        this.heave.velocity += (Math.random() < 0.5 ? -1 : 1) * this.settings.bumpImpulse * speed;
+    }
+
+    /**
+     * @param {number} delta - Elapsed time in seconds
+     * @param {THREE.Object3D} carGroup - The unsprung car group that follows the road
+     */
+    update(delta, carGroup) {
+        const dt = Math.min(delta, 0.05);
+        if (dt <= 0) return;
+
+        const settings = this.settings;
+
+        // Measure the car's acceleration in its own frame
+        if (!this.lastPosition) {
+            this.lastPosition = carGroup.position.clone();
+        }
+
+        const velocity = carGroup.position.clone().sub(this.lastPosition).divideScalar(dt);
+        velocity.y = 0;
+
+        // Ignore teleports (snapping back to the track, resets)
+        if (velocity.length() > 100) {
+            velocity.copy(this.lastVelocity);
+        }
+
+        const acceleration = velocity.clone().sub(this.lastVelocity).divideScalar(dt);
+        this.lastPosition.copy(carGroup.position);
+        this.lastVelocity.copy(velocity);
+
+        this.forward.set(0, 0, 1).applyQuaternion(carGroup.quaternion);
+        this.left.set(1, 0, 0).applyQuaternion(carGroup.quaternion);
+
+        const smoothing = 1 - Math.exp(-settings.accelerationSmoothing * dt);
+        this.longitudinalAcceleration += (acceleration.dot(this.forward) - this.longitudinalAcceleration) * smoothing;
+        this.lateralAcceleration += (acceleration.dot(this.left) - this.lateralAcceleration) * smoothing;
+
+        // Nose lifts when accelerating and dives when braking (positive pitch is nose down)
+        const pitchTarget = THREE.MathUtils.clamp(
+            -this.longitudinalAcceleration * settings.pitchPerAcceleration,
+            -settings.maxPitch,
+            settings.maxPitch
+        );
+
+        // The body leans away from the corner (positive roll lifts the left side)
+        const rollTarget = THREE.MathUtils.clamp(
+            this.lateralAcceleration * settings.rollPerAcceleration,
+            -settings.maxRoll,
+            settings.maxRoll
+        );
+
+        this.stepSpring(this.pitch, pitchTarget, dt);
+        this.stepSpring(this.roll, rollTarget, dt);
+        this.stepSpring(this.heave, 0, dt);
+        this.heave.value = THREE.MathUtils.clamp(this.heave.value, -settings.maxHeave, settings.maxHeave);
+
+        this.body.rotation.set(this.pitch.value, 0, this.roll.value);
+        this.body.position.y = this.heave.value;
+    }
+
+    stepSpring(spring, target, dt) {
+        const force = -this.settings.stiffness * (spring.value - target) - this.settings.damping * spring.velocity;
+        spring.velocity += force * dt;
+        spring.value += spring.velocity * dt;
+    }
+}
@@ -0,0 +1,195 @@
+import * as THREE from 'three';
+import EventEmitter from '../utils/EventEmitter.js';
+import downloadFile from '../utils/downloadFile.js';
+
+const GRAVITY = 9.81;
+
+// Columns of the CSV export, in order, with the sample field they come from
+const CSV_COLUMNS = [
+    ['time_s', 'time'],
+    ['mode', 'mode'],
+    ['speed_kmh', 'speed'],
+    ['long_accel_g', 'longAccel'],
+    ['lat_accel_g', 'latAccel'],
+    ['steer', 'steer'],
+    ['throttle', 'throttle'],
+    ['brake', 'brake'],
+    ['handbrake', 'handbrake'],
+    ['body_slip_deg', 'slip'],
+    ['front_slip_deg', 'frontSlip'],
+    ['rear_slip_deg', 'rearSlip'],
+    ['frame_ms', 'frameTime'],
+    ['x', 'x'],
+    ['z', 'z']
+];
+
+/**
+ * Samples a car every frame for tuning: speed, longitudinal and lateral
+ * acceleration, driving input, tyre slip and frame time.
+ *
+ * The last few seconds are kept for the live graphs (`history`). A session can
+ * also be recorded in full and downloaded as CSV. Accelerations are worked out
+ * from the car's speed and turn rate so they read the same under the autopilot;
+ * the input columns are only filled in manual mode, where the player drives.
+ *
+ * Events: 'recordStart', 'recordStop' (with the number of samples)
+ */
+export default class Telemetry extends EventEmitter {
+    /**
+     * @param {Experience} experience
+     * @param {Object} options
+     * @param {RCCar} options.car - Car to sample (the player's car by default)
+     */
+    constructor(experience, options = {}) {
+        super();
+
+        this.experience = experience;
+        this.time = this.experience.time;
+        this.car = options.car || this.experience.rcCar;
+
+        this.settings = {
+            historyLength: 6,           // Seconds kept for the graphs
+            smoothing: 0.25,            // Share of a new acceleration reading taken each frame
+            maxRecordLength: 600        // Seconds before a recording stops by itself
+        };
+
+        this.elapsed = 0;               // Clock of the samples, frozen while paused
+        this.history = [];
+        this.recording = null;          // Samples of the session being recorded
+
+        this.lastSpeed = null;
+        this.lastHeading = 0;
+        this.longAccel = 0;
+        this.latAccel = 0;
+
+        this.forward = new THREE.Vector3();
+    }
+
+    update() {
+        const car = this.car;
+        if (!car.carGroup || !car.physics) return;
+
+        const frameTime = this.time.delta;
+        const dt = Math.min(frameTime / 1000, 0.1);
+        if (dt <= 0) return;
+
+        this.elapsed += dt;
+
+        // Accelerations in units/s², from the change of speed and the turn rate
+        this.forward.set(0, 0, 1).applyQuaternion(car.carGroup.quaternion);
+        const heading = Math.atan2(this.forward.x, this.forward.z);
+        const speed = car.currentSpeed;
+
+        if (this.lastSpeed !== null) {
+            let turn = heading - this.lastHeading;
+            turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+
+            // Ignore jumps such as snapping back onto the track
+            const longAccel = Math.abs(turn) < 0.5 ? (speed - this.lastSpeed) / dt : 0;
+            const latAccel = Math.abs(turn) < 0.5 ? speed * turn / dt : 0;
+
+            const smoothing = this.settings.smoothing;
+            this.longAccel += (longAccel - this.longAccel) * smoothing;
+            this.latAccel += (latAccel - this.latAccel) * smoothing;
+        }
+        this.lastSpeed = speed;
+        this.lastHeading = heading;
+
+        const toG = car.metersPerUnit / GRAVITY;
+        const manual = car.controlMode === 'manual';
+        const input = manual ? car.getDriveInput() : null;
+        const physics = car.physics;
+
+        const sample = {
+            time: this.elapsed,
+            mode: car.controlMode,
+            speed: car.speedKmh * Math.sign(speed),
+            longAccel: this.longAccel * toG,
+            latAccel: this.latAccel * toG,
+            steer: input ? input.steer : 0,
+            throttle: input ? input.throttle : 0,
+            brake: input ? input.brake : 0,
+            handbrake: input ? input.handbrake : 0,
+            slip: manual ? THREE.MathUtils.radToDeg(physics.slipAngle) : 0,
+            frontSlip: manual ? THREE.MathUtils.radToDeg(physics.frontSlipAngle) : 0,
+            rearSlip: manual ? THREE.MathUtils.radToDeg(physics.rearSlipAngle) : 0,
+            frameTime,
+            x: car.carGroup.position.x,
+            z: car.carGroup.position.z
+        };
+
+        this.history.push(sample);
+        const cutoff = this.elapsed - this.settings.historyLength;
+        while (this.history.length > 0 && this.history[0].time < cutoff) {
+            this.history.shift();
+        }
+
+        if (this.recording) {
+            this.recording.push(sample);
+
+            if (sample.time - this.recording[0].time > this.settings.maxRecordLength) {
+                console.warn("Telemetry recording reached its maximum length");
+                this.stopRecording();
+            }
+        }
+    }
+
+    /**
+     * Start recording every sample, until stopRecording()
+     * Example: window.experience.telemetry.startRecording()
+     */
+    startRecording() {
+        this.recording = [];
+        this.lastRecording = null;
+        this.trigger('recordStart');
+    }
+
+    /**
+     * @returns {Object[]} The samples recorded
+     */
+    stopRecording() {
+        if (!this.recording) return [];
+
+        this.lastRecording = this.recording;
+        this.recording = null;
+        this.trigger('recordStop', [this.lastRecording.length]);
+
+        return this.lastRecording;
+    }
+
+    get isRecording() {
+        return this.recording !== null;
+    }
+
+    /**
+     * The recording in progress or the last one as CSV, times from its start
+     * @returns {string|null} Null when nothing was recorded
+     */
+    toCsv() {
+        const samples = this.recording || this.lastRecording;
+        if (!samples || samples.length === 0) return null;
+
+        const startTime = samples[0].time;
+        const rows = samples.map(sample => CSV_COLUMNS.map(([, field]) => {
+            if (field === 'mode') return sample.mode;
+
+            const value = field === 'time' ? sample.time - startTime : sample[field];
+            return Number(value.toFixed(4));
+        }).join(','));
+
+        return [CSV_COLUMNS.map(([column]) => column).join(','), ...rows].join('\n');
+    }
+
+    /**
+     * Download the recording as a CSV file
+     */
+    exportCsv() {
+        const csv = this.toCsv();
+        if (!csv) {
+            console.warn("No telemetry recorded to export yet");
+            return;
+        }
+
+        downloadFile(csv, 'text/csv', 'rc-car-telemetry', 'csv');
+    }
+}
@@ -85,6 +85,8 @@ export default class Track {
         
         // Create the actual grey track (ring shape)
         const trackWidth = outerRadius - innerRadius;
+        this.trackInnerRadius = innerRadius;
+        this.trackOuterRadius = outerRadius;
         const trackRingGeometry = new THREE.RingGeometry(innerRadius, outerRadius, 128, 1);
         const trackMaterial = new THREE.MeshStandardMaterial({
             color: 0x333333, // Very dark grey track (changed from 0x666666)
@@ -768,6 +770,91 @@ export default class Track {
         }
     }
 
+    /**
+     * Height of the drivable surface under a position - the track ring sits just above the floor
+     * @param {THREE.Vector3} position - World position
+     * @returns {number} Surface height
+     */
+    getSurfaceHeight(position) {
+        if (!this.trackRing || this.trackInnerRadius === undefined) return 0;
+        
+        const distance = Math.sqrt(position.x * position.x + position.z * position.z);
+        if (distance >= this.trackInnerRadius && distance <= this.trackOuterRadius) {
+            return this.trackRing.position.y;
+        }
+        return 0;
+    }
+
+    /**
+     * Drivable width of the track around the track curve
+     * @returns {number}
+     */
+    getTrackWidth() {
+        if (this.trackInnerRadius === undefined) return 0;
+        return this.trackOuterRadius - this.trackInnerRadius;
+    }
+
+    getLength() {
+        try {
+            return this.trackCurve.getLength();
+        } catch (error) {
+            console.error("Error getting track length:", error);
+            return 1;
+        }
+    }
+
+    /**
+     * Find the track progress (0-1) closest to a world position, ignoring height
+     * @param {THREE.Vector3} position - World position to project onto the track
+     * @returns {number} Progress along the track curve
+     */
+    getClosestProgress(position) {
+        // Cache evenly spaced samples of the curve for the coarse search
+        if (!this.progressSamples) {
+            const sampleCount = 256;
+            this.progressSamples = [];
+            for (let i = 0; i < sampleCount; i++) {
+                this.progressSamples.push(this.getPointAt(i / sampleCount));
+            }
+        }
+
+        const distanceAt = (t) => {
+            const point = this.getPointAt(((t % 1) + 1) % 1);
+            const dx = point.x - position.x;
+            const dz = point.z - position.z;
+            return dx * dx + dz * dz;
+        };
+
+        // Coarse search over the cached samples
+        const sampleCount = this.progressSamples.length;
+        let bestIndex = 0;
+        let bestDistance = Infinity;
+        this.progressSamples.forEach((point, index) => {
+            const dx = point.x - position.x;
+            const dz = point.z - position.z;
+            const distance = dx * dx + dz * dz;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestIndex = index;
+            }
+        });
+
+        // Refine between the neighbouring samples
+        let low = (bestIndex - 1) / sampleCount;
+        let high = (bestIndex + 1) / sampleCount;
+        for (let i = 0; i < 16; i++) {
+            const third = (high - low) / 3;
+            if (distanceAt(low + third) < distanceAt(high - third)) {
+                high = high - third;
+            } else {
+                low = low + third;
+            }
+        }
+
+        const progress = (low + high) / 2;
+        return ((progress % 1) + 1) % 1;
+    }
+
     // Replacement for the old createDottedCenterLine method for backward compatibility
     createDottedCenterLine(radius) {
         return this.createDottedLine(radius, 0.05);
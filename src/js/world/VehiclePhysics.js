@@ -0,0 +1,286 @@
+import * as THREE from 'three';
+
+// Move a speed towards zero by an amount without overshooting
+const slowDown = (speed, amount) => Math.abs(speed) <= amount ? 0 : speed - Math.sign(speed) * amount;
+
+/**
+ * Arcade vehicle model for free-roam driving on the floor plane (XZ).
+ * Heading 0 faces +Z, which matches the orientation carGroup.lookAt() gives the car.
+ * All tuning values are in world units and seconds.
+ */
+export default class VehiclePhysics {
+    constructor(options = {}) {
+        this.settings = Object.assign({
+            maxSpeed: 14,          // Top speed going forward
+            maxReverseSpeed: 5,    // Top speed in reverse
+            // Engine acceleration at full throttle as [fraction of top speed, units/s²],
+            // strong off the line and fading out towards top speed
+            accelerationCurve: [
+                [0, 12],
+                [0.5, 9],
+                [0.8, 5.5],
+                [1, 2.5]
+            ],
+            reverseAcceleration: 5,
+            brakeDeceleration: 22, // Deceleration while braking
+            engineBraking: 2.5,    // Deceleration off the throttle at top speed (less at low speed)
+            rollingResistance: 0.4, // Constant deceleration while rolling
+            dragCoefficient: 0.01, // Air drag, grows with the square of the speed
+            maxSteerAngle: 0.6,    // Front wheel angle at full lock (radians)
+            steerSpeed: 3,         // How fast the wheels turn towards the target angle (radians/s)
+            highSpeedSteerFactor: 0.3, // Fraction of steering lock left at top speed
+            wheelBase: 1.6,        // Distance between front and rear axle
+            frontWeightBias: 0.5,  // Share of the wheel base between the centre of mass and the rear axle
+            lateralGrip: 12,       // How quickly sideways velocity is scrubbed off at low speed
+
+            // Tyre model (accelerations, mass normalised to 1)
+            frontCornering: 60,    // Lateral force per radian of front slip
+            rearCornering: 70,     // Lateral force per radian of rear slip
+            frontGrip: 12,         // Maximum lateral force of the front axle
+            rearGrip: 12,          // Maximum lateral force of the rear axle
+            yawInertia: 1,         // Resistance to changes in yaw rate
+            kinematicSpeed: 2,     // Below this speed the simple no-slip model takes over
+            powerOversteer: 0.2,   // Rear grip lost at full throttle
+
+            // Handbrake / drifting
+            handbrakeGripFactor: 0.45,    // Rear grip left while the handbrake is pulled
+            handbrakeDeceleration: 4,     // Extra deceleration from the locked rear wheels
+            gripRecovery: 1.5,            // Rate the rear grip comes back after releasing the handbrake
+            counterSteerRecovery: 2,      // Extra grip recovery while counter-steering
+            counterSteerDamping: 2.5,     // Yaw damping while counter-steering
+
+            // Boost
+            boostSpeed: 0.35,             // Extra top speed at full boost, as a fraction of the top speed
+            boostAcceleration: 8,         // Extra push forward at full boost
+            overspeedDeceleration: 6,     // How fast the car settles back to its top speed after a boost
+
+            maxStep: 1 / 120       // Longest sub-step of the integration
+        }, options);
+
+        // State
+        this.position = new THREE.Vector3();
+        this.velocity = new THREE.Vector3();
+        this.heading = 0;
+        this.steerAngle = 0;
+        this.yawRate = 0;
+        this.forwardSpeed = 0;
+        this.lateralSpeed = 0;
+        this.rearGripFactor = 1;
+        this.boost = 0;           // 0 to 1, set by the car's Boost
+
+        // Outputs of the tyre model
+        this.slipAngle = 0;       // Angle between the heading and the direction of travel
+        this.frontSlipAngle = 0;
+        this.rearSlipAngle = 0;
+
+        // Reusable vectors
+        this.forward = new THREE.Vector3();
+        this.left = new THREE.Vector3();
+    }
+
+    /**
+     * Place the vehicle at a position facing a heading, optionally already moving forward
+     * @param {THREE.Vector3} position - World position (only x and z are used)
+     * @param {number} heading - Yaw in radians
+     * @param {number} speed - Initial forward speed
+     */
+    reset(position, heading, speed = 0) {
+        this.position.set(position.x, 0, position.z);
+        this.heading = heading;
+        this.steerAngle = 0;
+        this.yawRate = 0;
+        this.rearGripFactor = 1;
+        this.boost = 0;
+        this.slipAngle = 0;
+        this.frontSlipAngle = 0;
+        this.rearSlipAngle = 0;
+
+        this.updateAxes();
+        this.velocity.copy(this.forward).multiplyScalar(speed);
+        this.forwardSpeed = speed;
+        this.lateralSpeed = 0;
+    }
+
+    updateAxes() {
+        this.forward.set(Math.sin(this.heading), 0, Math.cos(this.heading));
+        this.left.set(Math.cos(this.heading), 0, -Math.sin(this.heading));
+    }
+
+    /**
+     * Step the simulation
+     * @param {number} delta - Elapsed time in seconds
+     * @param {{throttle: number, brake: number, steer: number, handbrake: number}} input - Pedals 0..1, steer -1 (right) to 1 (left)
+     */
+    update(delta, input) {
+        // Clamp long frames (tab switches) so the car doesn't teleport
+        const dt = Math.min(delta, 0.05);
+        if (dt <= 0) return;
+
+        // Fixed size sub-steps keep the tyre model stable at low frame rates
+        const steps = Math.ceil(dt / this.settings.maxStep);
+        for (let i = 0; i < steps; i++) {
+            this.step(dt / steps, input);
+        }
+    }
+
+    step(dt, input) {
+        const settings = this.settings;
+        const MathUtils = THREE.MathUtils;
+        const handbrake = input.handbrake || 0;
+
+        // Split the velocity into the car's own axes
+        this.updateAxes();
+        let forwardSpeed = this.velocity.dot(this.forward);
+        let lateralSpeed = this.velocity.dot(this.left);
+
+        // Steering - less lock at high speed to keep the car controllable
+        const speedRatio = Math.min(Math.abs(forwardSpeed) / settings.maxSpeed, 1);
+        const steerLimit = settings.maxSteerAngle * (1 - (1 - settings.highSpeedSteerFactor) * speedRatio);
+        const targetSteer = MathUtils.clamp(input.steer, -1, 1) * steerLimit;
+        const maxSteerStep = settings.steerSpeed * dt;
+        this.steerAngle += MathUtils.clamp(targetSteer - this.steerAngle, -maxSteerStep, maxSteerStep);
+
+        // Longitudinal forces
+        if (input.throttle > 0 && forwardSpeed < -0.1) {
+            // Throttle while reversing acts as a brake first
+            forwardSpeed = Math.min(forwardSpeed + settings.brakeDeceleration * input.throttle * dt, 0);
+        } else if (input.throttle > 0) {
+            forwardSpeed += this.getEngineAcceleration(forwardSpeed) * input.throttle * dt;
+        } else if (input.brake > 0 && forwardSpeed > 0.1) {
+            forwardSpeed = Math.max(forwardSpeed - settings.brakeDeceleration * input.brake * dt, 0);
+        } else if (input.brake > 0) {
+            // Stopped (or nearly) - the brake pedal engages reverse
+            forwardSpeed -= settings.reverseAcceleration * input.brake * dt;
+        } else {
+            // Off the pedals the engine holds the car back, more so at high revs
+            const engineBraking = settings.engineBraking * (0.3 + 0.7 * speedRatio);
+            forwardSpeed = slowDown(forwardSpeed, engineBraking * dt);
+        }
+
+        // Rolling resistance and air drag always work against the motion
+        const resistance = settings.rollingResistance + settings.dragCoefficient * forwardSpeed * forwardSpeed;
+        forwardSpeed = slowDown(forwardSpeed, resistance * dt);
+
+        // Locked rear wheels scrub speed
+        if (handbrake > 0) {
+            forwardSpeed = slowDown(forwardSpeed, settings.handbrakeDeceleration * handbrake * dt);
+        }
+
+        // Boost pushes forward unless braking or reversing
+        if (this.boost > 0 && forwardSpeed > -0.1 && !input.brake) {
+            forwardSpeed += settings.boostAcceleration * this.boost * dt;
+        }
+
+        // Above the top speed (e.g. when a boost runs out) the car eases back down instead of stopping dead
+        const topSpeed = this.getTopSpeed();
+        if (forwardSpeed > topSpeed) {
+            forwardSpeed = Math.max(forwardSpeed - settings.overspeedDeceleration * dt, topSpeed);
+        }
+        forwardSpeed = Math.max(forwardSpeed, -settings.maxReverseSpeed);
+
+        // Body slip - positive when the car is travelling to the left of where it points
+        this.slipAngle = this.velocity.length() > 0.5 ? Math.atan2(lateralSpeed, Math.abs(forwardSpeed)) : 0;
+
+        // Counter-steering: front wheels pointing the same way the car is sliding
+        const counterSteer = Math.abs(this.slipAngle) > 0.1 && Math.sign(this.steerAngle) === Math.sign(this.slipAngle)
+            ? Math.abs(input.steer)
+            : 0;
+
+        // Rear grip drops straight away with the handbrake and comes back gradually
+        const targetGrip = 1 - (1 - settings.handbrakeGripFactor) * handbrake;
+        if (targetGrip < this.rearGripFactor) {
+            this.rearGripFactor = targetGrip;
+        } else {
+            const recovery = settings.gripRecovery * (1 + settings.counterSteerRecovery * counterSteer);
+            this.rearGripFactor = Math.min(targetGrip, this.rearGripFactor + recovery * dt);
+        }
+
+        const cgToFront = settings.wheelBase * (1 - settings.frontWeightBias);
+        const cgToRear = settings.wheelBase * settings.frontWeightBias;
+
+        // Low speed: the wheels roll without slipping
+        const kinematicYawRate = forwardSpeed * Math.tan(this.steerAngle) / settings.wheelBase;
+        const kinematicLateral = lateralSpeed * Math.exp(-settings.lateralGrip * dt);
+
+        // Higher speed: slip-angle tyre model with saturating grip
+        let dynamicYawRate = kinematicYawRate;
+        let dynamicLateral = kinematicLateral;
+        const blend = forwardSpeed > 0
+            ? MathUtils.clamp((forwardSpeed - settings.kinematicSpeed) / settings.kinematicSpeed, 0, 1)
+            : 0;
+
+        if (blend > 0) {
+            this.frontSlipAngle = Math.atan2(lateralSpeed + cgToFront * this.yawRate, forwardSpeed) - this.steerAngle;
+            this.rearSlipAngle = Math.atan2(lateralSpeed - cgToRear * this.yawRate, forwardSpeed);
+
+            const frontLimit = settings.frontGrip;
+            const rearLimit = settings.rearGrip * this.rearGripFactor *
+                (1 - settings.powerOversteer * input.throttle * speedRatio);
+
+            const frontForce = MathUtils.clamp(-settings.frontCornering * this.frontSlipAngle, -frontLimit, frontLimit) *
+                Math.cos(this.steerAngle);
+            const rearForce = MathUtils.clamp(-settings.rearCornering * this.rearSlipAngle, -rearLimit, rearLimit);
+
+            const yawAcceleration = (cgToFront * frontForce - cgToRear * rearForce) / settings.yawInertia;
+            dynamicYawRate = this.yawRate + yawAcceleration * dt;
+            // No centripetal term here - the velocity stays in world space while
+            // the car rotates underneath it, which already accounts for it
+            dynamicLateral = lateralSpeed + (frontForce + rearForce) * dt;
+
+            // Counter-steering helps catch the slide
+            dynamicYawRate *= Math.exp(-settings.counterSteerDamping * counterSteer * dt);
+        } else {
+            this.frontSlipAngle = 0;
+            this.rearSlipAngle = 0;
+        }
+
+        this.yawRate = MathUtils.lerp(kinematicYawRate, dynamicYawRate, blend);
+        lateralSpeed = MathUtils.lerp(kinematicLateral, dynamicLateral, blend);
+
+        // Rebuild the velocity on the current axes, then turn the car
+        this.velocity.copy(this.forward).multiplyScalar(forwardSpeed)
+            .addScaledVector(this.left, lateralSpeed);
+
+        this.heading += this.yawRate * dt;
+        this.position.addScaledVector(this.velocity, dt);
+
+        this.forwardSpeed = forwardSpeed;
+        this.lateralSpeed = lateralSpeed;
+        this.updateAxes();
+    }
+
+    /**
+     * Engine acceleration at full throttle for a forward speed, read from the acceleration curve
+     * @param {number} forwardSpeed - Current forward speed
+     * @returns {number} Acceleration in units/s²
+     */
+    getEngineAcceleration(forwardSpeed) {
+        const curve = this.settings.accelerationCurve;
+        const ratio = Math.max(forwardSpeed, 0) / this.getTopSpeed();
+
+        if (ratio >= 1) return 0;
+
+        for (let i = 1; i < curve.length; i++) {
+            const [ratioB, accelerationB] = curve[i];
+            if (ratio <= ratioB) {
+                const [ratioA, accelerationA] = curve[i - 1];
+                const t = (ratio - ratioA) / (ratioB - ratioA);
+                return THREE.MathUtils.lerp(accelerationA, accelerationB, t);
+            }
+        }
+
+        return curve[curve.length - 1][1];
+    }
+
+    /**
+     * Forward top speed, raised while boosting
+     * @returns {number}
+     */
+    getTopSpeed() {
+        return this.settings.maxSpeed * (1 + this.settings.boostSpeed * this.boost);
+    }
+
+    get speed() {
+        return this.velocity.length();
+    }
+}
@@ -0,0 +1,188 @@
+import * as THREE from 'three';
+
+// Default name patterns used to tell front wheels from rear wheels
+// (FL/FR and RL/RR/BL/BR abbreviations, single letters are too ambiguous)
+const FRONT_PATTERN = /front|(^|[^a-z])f[lr]([^a-z]|$)/i;
+const REAR_PATTERN = /rear|back|(^|[^a-z])[rb][lr]([^a-z]|$)/i;
+
+/**
+ * Re-parents the wheel meshes of a car model under pivot groups so they can spin and steer.
+ *
+ * Each wheel gets a steer pivot placed at the centre of its bounding box (GLB wheels
+ * often have their origin somewhere else) and a spin pivot inside it. Meshes that belong
+ * to the same wheel (tyre, rim, hub...) share one pair of pivots. The pivots can live
+ * outside the model, so a sprung body can move without dragging the wheels with it.
+ */
+export default class WheelRig {
+    /**
+     * @param {THREE.Object3D} model - Car model, already oriented relative to the car group
+     * @param {THREE.Object3D[]} parts - Wheel meshes or groups found in the model
+     * @param {Object} options
+     * @param {RegExp} options.frontPattern - Name pattern for front wheels
+     * @param {RegExp} options.rearPattern - Name pattern for rear wheels
+     * @param {THREE.Object3D} options.carGroup - Object whose +Z is the driving direction (defaults to the model's parent)
+     * @param {THREE.Object3D} options.parent - Object the pivots are added to (defaults to the model)
+     */
+    constructor(model, parts, options = {}) {
+        this.model = model;
+        this.carGroup = options.carGroup || model.parent || model;
+        this.parent = options.parent || model;
+        this.frontPattern = options.frontPattern || FRONT_PATTERN;
+        this.rearPattern = options.rearPattern || REAR_PATTERN;
+        this.wheels = [];
+
+        this.carGroup.updateMatrixWorld(true);
+
+        // The car moves along +Z and its axles point along X in car space.
+        // Convert those axes into the pivot parent's local space once.
+        const parentToCar = this.parent.getWorldQuaternion(new THREE.Quaternion()).invert()
+            .multiply(this.carGroup.getWorldQuaternion(new THREE.Quaternion()));
+        this.spinAxis = new THREE.Vector3(1, 0, 0).applyQuaternion(parentToCar);
+        this.steerAxis = new THREE.Vector3(0, 1, 0).applyQuaternion(parentToCar);
+
+        try {
+            this.build(this.removeNestedParts(parts));
+        } catch (error) {
+            console.error("Error building wheel rig:", error);
+        }
+    }
+
+    /**
+     * Name matching can return both a wheel and its own tyre/rim children, or a
+     * parent group holding several wheels. Drop groups that span more than one
+     * wheel, then keep the outermost of what is left so each wheel is whole.
+     */
+    removeNestedParts(parts) {
+        const singleWheels = parts.filter((part) => {
+            const box = new THREE.Box3().setFromObject(part);
+            if (box.isEmpty()) return false;
+
+            // A wheel is about as long as it is tall - a row of wheels isn't
+            const size = box.getSize(new THREE.Vector3());
+            return Math.max(size.x, size.z) <= size.y * 1.6;
+        });
+
+        return singleWheels.filter((part) => {
+            let parent = part.parent;
+            while (parent) {
+                if (singleWheels.includes(parent)) return false;
+                parent = parent.parent;
+            }
+            return true;
+        });
+    }
+
+    build(parts) {
+        const parentInverse = this.parent.matrixWorld.clone().invert();
+        const carInverse = this.carGroup.matrixWorld.clone().invert();
+
+        // Measure every part in world space
+        const measured = [];
+        parts.forEach((part) => {
+            const box = new THREE.Box3().setFromObject(part);
+            if (box.isEmpty()) return;
+
+            const size = box.getSize(new THREE.Vector3());
+            measured.push({
+                part,
+                center: box.getCenter(new THREE.Vector3()),
+                radius: Math.max(size.y, 0.001) / 2
+            });
+        });
+
+        // Group parts whose centres coincide into a single wheel
+        const clusters = [];
+        measured.forEach((item) => {
+            const cluster = clusters.find((candidate) => {
+                return candidate.center.distanceTo(item.center) < Math.max(candidate.radius, item.radius) * 0.75;
+            });
+
+            if (cluster) {
+                cluster.parts.push(item.part);
+                cluster.radius = Math.max(cluster.radius, item.radius);
+            } else {
+                clusters.push({ parts: [item.part], center: item.center, radius: item.radius });
+            }
+        });
+
+        if (clusters.length === 0) return;
+
+        // Average position along the car's forward axis, for wheels that can't be told apart by name
+        const carSpaceZ = (center) => center.clone().applyMatrix4(carInverse).z;
+        const averageZ = clusters.reduce((sum, cluster) => sum + carSpaceZ(cluster.center), 0) / clusters.length;
+
+        clusters.forEach((cluster) => {
+            const isFront = this.isFrontWheel(cluster, carSpaceZ(cluster.center) > averageZ);
+
+            // Pivot at the wheel's real centre, in the parent's local space
+            const steerPivot = new THREE.Group();
+            steerPivot.name = isFront ? 'wheelSteerPivotFront' : 'wheelSteerPivotRear';
+            steerPivot.position.copy(cluster.center).applyMatrix4(parentInverse);
+            this.parent.add(steerPivot);
+
+            const spinPivot = new THREE.Group();
+            spinPivot.name = 'wheelSpinPivot';
+            steerPivot.add(spinPivot);
+            steerPivot.updateMatrixWorld(true);
+
+            // attach() keeps the world transform, so the meshes don't move
+            cluster.parts.forEach((part) => spinPivot.attach(part));
+
+            this.wheels.push({
+                parts: cluster.parts,
+                steerPivot,
+                spinPivot,
+                radius: cluster.radius, // World units
+                isFront,
+                spin: 0
+            });
+        });
+
+        const frontCount = this.wheels.filter(wheel => wheel.isFront).length;
+        console.log(`Wheel rig built: ${this.wheels.length} wheels (${frontCount} front, ${this.wheels.length - frontCount} rear)`);
+    }
+
+    isFrontWheel(cluster, inFrontHalf) {
+        const names = cluster.parts.map(part => part.name || '');
+
+        if (names.some(name => this.frontPattern.test(name))) return true;
+        if (names.some(name => this.rearPattern.test(name))) return false;
+
+        return inFrontHalf;
+    }
+
+    get frontWheels() {
+        return this.wheels.filter(wheel => wheel.isFront);
+    }
+
+    get rearWheels() {
+        return this.wheels.filter(wheel => !wheel.isFront);
+    }
+
+    /**
+     * @param {number} distance - Distance the car travelled forward this frame (negative when reversing)
+     * @param {number} steerAngle - Front wheel angle in radians, positive to the left
+     */
+    update(distance, steerAngle) {
+        this.wheels.forEach((wheel) => {
+            wheel.spin = (wheel.spin + distance / wheel.radius) % (Math.PI * 2);
+            wheel.spinPivot.quaternion.setFromAxisAngle(this.spinAxis, wheel.spin);
+
+            if (wheel.isFront) {
+                wheel.steerPivot.quaternion.setFromAxisAngle(this.steerAxis, steerAngle);
+            }
+        });
+    }
+
+    /**
+     * Remove the pivots (and the wheel meshes inside them) from the scene graph
+     */
+    dispose() {
+        this.wheels.forEach((wheel) => {
+            if (wheel.steerPivot.parent) {
+                wheel.steerPivot.parent.remove(wheel.steerPivot);
+            }
+        });
+        this.wheels = [];
+    }
+}